@@ -0,0 +1,198 @@
+// Encoders for the 16-bit mono PCM Gemini TTS returns.
+// WAV is a header in front of the samples; MP3 (lamejs, pure JS) and Ogg Opus (libopus as WASM)
+// are loaded on first use so WAV-only deployments never pay for them.
+
+export const TTS_AUDIO_FORMATS = {
+  wav: { contentType: 'audio/wav' },
+  mp3: { contentType: 'audio/mpeg' },
+  'ogg-opus': { contentType: 'audio/ogg; codecs=opus' },
+};
+
+export const DEFAULT_TTS_AUDIO_FORMAT = 'wav';
+
+const MP3_KBPS = 48;
+const OPUS_BITRATE = 24000;
+const OPUS_FRAME_MS = 20;
+// libopus encoder delay at 48 kHz (2.5 ms look-ahead + 4 ms delay compensation).
+const OPUS_PRE_SKIP = 312;
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+const OPUS_SERIAL = 0x54545331;
+
+/**
+ * Picks the format from an explicit `format` value, else from the Accept header, else WAV.
+ */
+export function resolveTtsAudioFormat(requested, accept = '') {
+  const value = String(requested || '').trim().toLowerCase();
+  if (TTS_AUDIO_FORMATS[value]) return value;
+  const acceptHeader = String(accept || '').toLowerCase();
+  if (acceptHeader.includes('audio/ogg')) return 'ogg-opus';
+  if (acceptHeader.includes('audio/mpeg')) return 'mp3';
+  return DEFAULT_TTS_AUDIO_FORMAT;
+}
+
+export function pcmToWavBuffer(pcmBuffer, sampleRate) {
+  const channels = 1;
+  const bitsPerSample = 16;
+  const byteRate = sampleRate * channels * (bitsPerSample / 8);
+  const blockAlign = channels * (bitsPerSample / 8);
+  const dataSize = pcmBuffer.length;
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(byteRate, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataSize, 40);
+
+  return Buffer.concat([header, pcmBuffer]);
+}
+
+function pcmSamples(pcmBuffer) {
+  const usable = pcmBuffer.length - (pcmBuffer.length % 2);
+  return new Int16Array(pcmBuffer.buffer.slice(pcmBuffer.byteOffset, pcmBuffer.byteOffset + usable));
+}
+
+export async function pcmToMp3Buffer(pcmBuffer, sampleRate) {
+  const { Mp3Encoder } = await import('@breezystack/lamejs');
+  const encoder = new Mp3Encoder(1, sampleRate, MP3_KBPS);
+  const samples = pcmSamples(pcmBuffer);
+  const chunks = [];
+  for (let offset = 0; offset < samples.length; offset += 1152) {
+    const encoded = encoder.encodeBuffer(samples.subarray(offset, offset + 1152));
+    if (encoded.length) chunks.push(Buffer.from(encoded));
+  }
+  const tail = encoder.flush();
+  if (tail.length) chunks.push(Buffer.from(tail));
+  return Buffer.concat(chunks);
+}
+
+// --- Ogg container (RFC 3533) with Opus mapping (RFC 7845) ---
+
+const OGG_CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i += 1) {
+    let crc = i << 24;
+    for (let bit = 0; bit < 8; bit += 1) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+    }
+    table[i] = crc >>> 0;
+  }
+  return table;
+})();
+
+function oggCrc32(buffer) {
+  let crc = 0;
+  for (const byte of buffer) {
+    crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  }
+  return crc;
+}
+
+function lacingValues(packet) {
+  const values = new Array(Math.floor(packet.length / 255)).fill(255);
+  values.push(packet.length % 255);
+  return values;
+}
+
+function buildOggPage({ packets, granule, sequence, headerType = 0 }) {
+  const lacing = packets.flatMap(lacingValues);
+  const header = Buffer.alloc(27 + lacing.length);
+  header.write('OggS', 0);
+  header.writeUInt8(0, 4);
+  header.writeUInt8(headerType, 5);
+  header.writeBigUInt64LE(BigInt(granule), 6);
+  header.writeUInt32LE(OPUS_SERIAL, 14);
+  header.writeUInt32LE(sequence, 18);
+  header.writeUInt8(lacing.length, 26);
+  Buffer.from(lacing).copy(header, 27);
+  const page = Buffer.concat([header, ...packets]);
+  page.writeUInt32LE(oggCrc32(page), 22);
+  return page;
+}
+
+function buildOpusHead(inputSampleRate) {
+  const head = Buffer.alloc(19);
+  head.write('OpusHead', 0);
+  head.writeUInt8(1, 8); // version
+  head.writeUInt8(1, 9); // channels
+  head.writeUInt16LE(OPUS_PRE_SKIP, 10);
+  head.writeUInt32LE(inputSampleRate, 12);
+  head.writeInt16LE(0, 16); // output gain
+  head.writeUInt8(0, 18); // channel mapping family
+  return head;
+}
+
+function buildOpusTags() {
+  const vendor = Buffer.from('ai-chat tts');
+  const tags = Buffer.alloc(8 + 4 + vendor.length + 4);
+  tags.write('OpusTags', 0);
+  tags.writeUInt32LE(vendor.length, 8);
+  vendor.copy(tags, 12);
+  tags.writeUInt32LE(0, 12 + vendor.length);
+  return tags;
+}
+
+export async function pcmToOggOpusBuffer(pcmBuffer, sampleRate) {
+  if (!OPUS_SAMPLE_RATES.includes(sampleRate)) {
+    throw new Error(`Opus cannot encode ${sampleRate} Hz audio`);
+  }
+  const { default: OpusScript } = await import('opusscript');
+  const encoder = new OpusScript(sampleRate, 1, OpusScript.Application.VOIP);
+  try {
+    encoder.setBitrate(OPUS_BITRATE);
+    const frameSize = (sampleRate * OPUS_FRAME_MS) / 1000;
+    const frameBytes = frameSize * 2;
+    const granulePerFrame = (48000 * OPUS_FRAME_MS) / 1000;
+    const sampleCount = Math.floor(pcmBuffer.length / 2);
+    // Granule positions count 48 kHz samples, including the decoder's pre-skip.
+    const finalGranule = OPUS_PRE_SKIP + Math.round((sampleCount * 48000) / sampleRate);
+
+    const pages = [
+      buildOggPage({ packets: [buildOpusHead(sampleRate)], granule: 0, sequence: 0, headerType: 0x02 }),
+      buildOggPage({ packets: [buildOpusTags()], granule: 0, sequence: 1 }),
+    ];
+
+    // Enough frames to flush the encoder delay too, so the last granule is really decoded.
+    const frameCount = Math.max(1, Math.ceil(finalGranule / granulePerFrame));
+    let pending = [];
+    let pendingSegments = 0;
+    for (let index = 0; index < frameCount; index += 1) {
+      let frame = pcmBuffer.subarray(Math.min(pcmBuffer.length, index * frameBytes), (index + 1) * frameBytes);
+      if (frame.length < frameBytes) frame = Buffer.concat([frame, Buffer.alloc(frameBytes - frame.length)]);
+      const packet = Buffer.from(encoder.encode(frame, frameSize));
+      const segments = lacingValues(packet).length;
+      const isLast = index === frameCount - 1;
+
+      if (pendingSegments + segments > 255) {
+        pages.push(buildOggPage({ packets: pending, granule: index * granulePerFrame, sequence: pages.length }));
+        pending = [];
+        pendingSegments = 0;
+      }
+      pending.push(packet);
+      pendingSegments += segments;
+      if (isLast) {
+        pages.push(buildOggPage({ packets: pending, granule: finalGranule, sequence: pages.length, headerType: 0x04 }));
+      }
+    }
+    return Buffer.concat(pages);
+  } finally {
+    encoder.delete();
+  }
+}
+
+/**
+ * Encodes TTS PCM into `format` (a TTS_AUDIO_FORMATS key).
+ */
+export async function encodeTtsAudio(pcmBuffer, sampleRate, format) {
+  if (format === 'mp3') return pcmToMp3Buffer(pcmBuffer, sampleRate);
+  if (format === 'ogg-opus') return pcmToOggOpusBuffer(pcmBuffer, sampleRate);
+  return pcmToWavBuffer(pcmBuffer, sampleRate);
+}
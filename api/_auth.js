@@ -0,0 +1,154 @@
+import { createHash, randomBytes, randomUUID } from 'node:crypto';
+import { kv } from '@vercel/kv';
+
+// Email magic-link accounts with opaque session tokens.
+// Only token hashes are stored, so a KV dump cannot be replayed as a login.
+//   auth:login:<hash>   -> { email }            single use, LOGIN_TOKEN_TTL_SECONDS
+//   auth:session:<hash> -> { userId, createdAt } SESSION_TTL_SECONDS
+//   auth:email:<email>  -> userId
+//   auth:user:<userId>  -> { id, email, createdAt }
+
+const LOGIN_TOKEN_TTL_SECONDS = 15 * 60;
+// Session lookups per request, so middleware and the handler it wraps share one KV read.
+const resolvedSessions = new WeakMap();
+const SESSION_TTL_SECONDS = 60 * 60 * 24 * 30;
+const EMAIL_MAX_CHARS = 254;
+
+function hashToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+function createToken() {
+  return randomBytes(32).toString('base64url');
+}
+
+function parseStored(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * With AUTH_REQUIRED=true every API call needs a session. Otherwise anonymous calls still work
+ * (single-user deployments) and only account features such as sync need one.
+ */
+export function isAuthRequired() {
+  return process.env.AUTH_REQUIRED === 'true';
+}
+
+export function normalizeEmail(value) {
+  const email = String(value || '').trim().toLowerCase();
+  if (email.length > EMAIL_MAX_CHARS) return '';
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : '';
+}
+
+export async function createLoginToken(email) {
+  const token = createToken();
+  await kv.set(`auth:login:${hashToken(token)}`, JSON.stringify({ email }), { ex: LOGIN_TOKEN_TTL_SECONDS });
+  return token;
+}
+
+/**
+ * Returns the email the link was sent to, or '' when the token is unknown, expired or already used.
+ */
+export async function consumeLoginToken(token) {
+  if (!token) return '';
+  const stored = parseStored(await kv.getdel(`auth:login:${hashToken(token)}`));
+  return normalizeEmail(stored?.email);
+}
+
+export async function getUser(userId) {
+  const user = parseStored(await kv.get(`auth:user:${userId}`));
+  return user?.id ? user : null;
+}
+
+export async function findOrCreateUser(email) {
+  const existingId = await kv.get(`auth:email:${email}`);
+  if (existingId) {
+    const existing = await getUser(existingId);
+    if (existing) return existing;
+  }
+
+  const user = { id: randomUUID(), email, createdAt: new Date().toISOString() };
+  // NX keeps two simultaneous first logins from creating two accounts for one address.
+  const claimed = await kv.set(`auth:email:${email}`, user.id, { nx: true });
+  if (!claimed) {
+    const winner = await getUser(await kv.get(`auth:email:${email}`));
+    if (winner) return winner;
+    await kv.set(`auth:email:${email}`, user.id);
+  }
+  await kv.set(`auth:user:${user.id}`, JSON.stringify(user));
+  return user;
+}
+
+export async function createSession(userId) {
+  const token = createToken();
+  await kv.set(
+    `auth:session:${hashToken(token)}`,
+    JSON.stringify({ userId, createdAt: new Date().toISOString() }),
+    { ex: SESSION_TTL_SECONDS }
+  );
+  return token;
+}
+
+export async function deleteSession(token) {
+  if (token) await kv.del(`auth:session:${hashToken(token)}`);
+}
+
+export async function getSessionUser(token) {
+  if (!token) return null;
+  const session = parseStored(await kv.get(`auth:session:${hashToken(token)}`));
+  return session?.userId ? getUser(session.userId) : null;
+}
+
+export function getBearerToken(req) {
+  const header = String(req.headers?.authorization || '');
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+}
+
+/**
+ * Resolves the caller for a handler. Returns `{ user }` (user is null for an allowed anonymous call),
+ * or null after answering 401 itself, so handlers can `if (!auth) return;`.
+ * A token that does not resolve is always rejected so the client knows to drop it.
+ */
+export async function authorizeRequest(req, res, { requireAccount = isAuthRequired() } = {}) {
+  const token = getBearerToken(req);
+  if (!token) {
+    if (!requireAccount) return { user: null };
+    res.status(401).json({ error: 'Login required', code: 'auth_required' });
+    return null;
+  }
+
+  if (!resolvedSessions.has(req)) resolvedSessions.set(req, await getSessionUser(token));
+  const user = resolvedSessions.get(req);
+  if (!user) {
+    res.status(401).json({ error: 'Session expired', code: 'session_expired' });
+    return null;
+  }
+  return { user };
+}
+
+/**
+ * Prefix for per-user KV keys; anonymous callers keep the shared, unprefixed keys.
+ */
+export function userScope(user) {
+  return user?.id ? `user:${user.id}` : '';
+}
+
+/**
+ * Origin for links in mail. It comes only from APP_URL: the Host header is the caller's to choose,
+ * so deriving it from the request would let anyone get a real login link pointing at their host.
+ */
+export function getAppOrigin() {
+  const origin = String(process.env.APP_URL || '').trim().replace(/\/+$/, '');
+  if (!/^https?:\/\/[^/\s]+$/i.test(origin)) {
+    const err = new Error('APP_URL must be set to the app origin to send login links');
+    err.status = 500;
+    throw err;
+  }
+  return origin;
+}
@@ -0,0 +1,53 @@
+import { MEMORY_PROFILE_KEYS, isMemoryProfileEmpty, sanitizeMemoryProfile } from './_memory_profile.js';
+import { buildPersonaPromptBlock, sanitizePersonaProfile } from './_persona_profile.js';
+
+export const DEFAULT_SYSTEM_PROMPT = `You are a close friend over text. Talk like a real person, not an AI.
+CRITICAL: Keep your responses EXTREMELY concise (1-2 short sentences max).
+ALWAYS respond ONLY in natural English.
+No multiple paragraphs. No AI-style endings.
+Just answer casually like a friend.`;
+
+const LONG_TERM_MEMORY_MAX_CHARS = 2600;
+const MEMORY_LABELS = {
+  hobbies: 'Hobbies',
+  goals: 'Goals',
+  projects: 'Projects',
+  personalityTraits: 'Traits',
+  dailyRoutine: 'Routine',
+  preferences: 'Preferences',
+  background: 'Background',
+  notes: 'Notes',
+};
+
+/**
+ * System prompt for one conversation: the friend's own prompt, persona block and long-term memory.
+ * Shared by /api/chat and the proactive cron so both speak with the same voice.
+ */
+export function buildChatSystemPrompt({ systemPrompt = '', memoryProfile = null, memorySummary = '', personaProfile = null } = {}) {
+  const basePrompt = String(systemPrompt || '').trim().slice(0, 4000) || DEFAULT_SYSTEM_PROMPT;
+  const personaBlock = buildPersonaPromptBlock(sanitizePersonaProfile(personaProfile));
+  const memoryText = buildLongTermMemoryText({
+    memoryProfile: sanitizeMemoryProfile(memoryProfile),
+    memorySummary: String(memorySummary || '').trim().slice(0, LONG_TERM_MEMORY_MAX_CHARS),
+  });
+
+  if (!memoryText) return `${basePrompt}\n\n${personaBlock}`;
+  return `${basePrompt}\n\n${personaBlock}
+
+Long-term memory about the user (use only when relevant, naturally, and do not mention this memory list explicitly):
+${memoryText}`;
+}
+
+function buildLongTermMemoryText({ memoryProfile, memorySummary }) {
+  if (!isMemoryProfileEmpty(memoryProfile)) {
+    const lines = [];
+    for (const key of MEMORY_PROFILE_KEYS) {
+      for (const item of memoryProfile[key] || []) {
+        lines.push(`- [${MEMORY_LABELS[key]}] ${item}`);
+      }
+    }
+    return lines.join('\n').slice(0, LONG_TERM_MEMORY_MAX_CHARS).trim();
+  }
+
+  return String(memorySummary || '').trim().slice(0, LONG_TERM_MEMORY_MAX_CHARS);
+}
@@ -1,36 +1,280 @@
+import { readSseStream } from './_sse.js';
+
 const DEFAULT_MODEL = 'gemini-3-flash-preview';
 
+/**
+ * The Gemini key only ever comes from GEMINI_API_KEY. VITE_* variables are meant for the browser
+ * bundle, so a key under that name is treated as leaked and never used.
+ */
 export function getServerApiKey() {
-  return process.env.GEMINI_API_KEY || process.env.VITE_GEMINI_API_KEY || '';
+  return process.env.GEMINI_API_KEY || '';
+}
+
+export function warnIfPublicApiKey(env = process.env) {
+  const isProduction = env.VERCEL_ENV === 'production' || env.NODE_ENV === 'production';
+  if (isProduction && env.VITE_GEMINI_API_KEY) {
+    console.warn('VITE_GEMINI_API_KEY is set in production. Remove it and use GEMINI_API_KEY; VITE_ variables can be bundled into client code.');
+  }
 }
 
+warnIfPublicApiKey();
+
 export function getModelFromRequest(reqBody = {}) {
   const model = String(reqBody?.model || DEFAULT_MODEL).trim();
   return model || DEFAULT_MODEL;
 }
 
-export async function callGeminiGenerateContent({ model = DEFAULT_MODEL, body, apiKey }) {
-  const key = apiKey || getServerApiKey();
-  if (!key) {
-    const err = new Error('Missing Gemini API key');
-    err.status = 500;
-    throw err;
-  }
+const DEFAULT_GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com';
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_TIMEOUT_MS = 30000;
+// Whole call, retries and fallback included; stays under a 60 s serverless function limit.
+const DEFAULT_TOTAL_TIMEOUT_MS = 55000;
+// Same order as the browser's FALLBACK_MODELS.
+const DEFAULT_FALLBACK_MODELS = ['gemini-3-flash-preview', 'gemini-3-pro-preview'];
+
+function readNonNegativeInt(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/**
+ * Retry and fallback settings. GEMINI_MAX_RETRIES, GEMINI_TIMEOUT_MS (one attempt, or the longest
+ * silence inside a stream), GEMINI_TOTAL_TIMEOUT_MS (the whole call) and GEMINI_FALLBACK_MODELS
+ * (comma separated; empty turns fallback off) override the defaults.
+ */
+export function getGeminiRetryConfig(env = process.env) {
+  return {
+    maxRetries: readNonNegativeInt(env.GEMINI_MAX_RETRIES, DEFAULT_MAX_RETRIES),
+    timeoutMs: readNonNegativeInt(env.GEMINI_TIMEOUT_MS, DEFAULT_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+    totalTimeoutMs: readNonNegativeInt(env.GEMINI_TOTAL_TIMEOUT_MS, DEFAULT_TOTAL_TIMEOUT_MS) || DEFAULT_TOTAL_TIMEOUT_MS,
+    fallbackModels: env.GEMINI_FALLBACK_MODELS === undefined
+      ? DEFAULT_FALLBACK_MODELS
+      : env.GEMINI_FALLBACK_MODELS.split(',').map((model) => model.trim()).filter(Boolean),
+  };
+}
+
+/**
+ * GEMINI_BASE_URL swaps the Gemini host for every server call, e.g. `http://localhost:8787`
+ * for scripts/mock-gemini.js.
+ */
+export function getGeminiApiBase(env = process.env) {
+  return `${(env.GEMINI_BASE_URL || DEFAULT_GEMINI_BASE_URL).replace(/\/+$/, '')}/v1beta`;
+}
 
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${key}`;
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body),
+/**
+ * Maps an upstream HTTP status to the `code` every route returns next to `error`.
+ */
+export function getGeminiErrorCode(status) {
+  if (status === 400) return 'invalid_request';
+  if (status === 401 || status === 403) return 'upstream_auth';
+  if (status === 404) return 'model_not_found';
+  if (status === 429) return 'upstream_rate_limited';
+  if (RETRYABLE_STATUSES.has(status)) return 'upstream_unavailable';
+  return 'upstream_error';
+}
+
+function createGeminiError(message, status, code = getGeminiErrorCode(status)) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+function isRetryableError(err) {
+  return err.code === 'upstream_timeout' || err.code === 'network_error' || RETRYABLE_STATUSES.has(err.status);
+}
+
+// Full jitter; an upstream Retry-After is honoured when it is longer, up to the cap.
+function getBackoffDelay(attempt, retryAfterSeconds = 0) {
+  const exponential = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  const jittered = Math.random() * exponential;
+  return Math.min(BACKOFF_MAX_MS, Math.max(jittered, retryAfterSeconds * 1000));
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
   });
+}
+
+function createDeadlineError(totalTimeoutMs) {
+  const err = createGeminiError(`Gemini did not finish within ${totalTimeoutMs}ms`, 504, 'upstream_timeout');
+  err.noRetry = true;
+  return err;
+}
+
+/**
+ * One upstream request. It is aborted after `timeoutMs` without progress (streaming callers
+ * call `touch()` per chunk to restart that clock) or at `deadline`, whichever comes first; the
+ * caller's `signal` still cancels it.
+ * Resolves with the ok Response, `touch` and `cleanup`, or throws a coded error.
+ */
+async function fetchGeminiOnce(url, { apiKey, body, signal, timeoutMs, deadline, totalTimeoutMs }) {
+  const controller = new AbortController();
+  let idleTimer = null;
+  const touch = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => controller.abort(new Error('timeout')), timeoutMs);
+  };
+  touch();
+  const deadlineTimer = setTimeout(() => controller.abort(new Error('deadline')), Math.max(0, deadline - Date.now()));
+  const abortFromCaller = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', abortFromCaller, { once: true });
+  const cleanup = () => {
+    clearTimeout(idleTimer);
+    clearTimeout(deadlineTimer);
+    signal?.removeEventListener('abort', abortFromCaller);
+  };
 
-  const data = await res.json().catch(() => ({}));
-  if (!res.ok) {
-    const err = new Error(data?.error?.message || `HTTP ${res.status}`);
-    err.status = res.status;
+  let res;
+  try {
+    res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+  } catch (error) {
+    cleanup();
+    if (signal?.aborted) throw error;
+    if (controller.signal.reason?.message === 'deadline') throw createDeadlineError(totalTimeoutMs);
+    if (controller.signal.aborted) throw createGeminiError(`Gemini did not answer within ${timeoutMs}ms`, 504, 'upstream_timeout');
+    throw createGeminiError(error.message || 'Network error', 502, 'network_error');
+  }
+
+  if (!res.ok || !res.body) {
+    const data = await res.json().catch(() => ({}));
+    cleanup();
+    const err = createGeminiError(data?.error?.message || `HTTP ${res.status}`, res.status);
+    err.retryAfter = Number(res.headers.get('retry-after')) || 0;
     throw err;
   }
-  return data;
+  return { res, touch, cleanup };
+}
+
+/**
+ * Runs `attempt(model, deadline)` with retries on transient failures, then moves down the
+ * fallback list, all within `totalTimeoutMs`. Errors that another try cannot fix (bad request,
+ * auth) are thrown right away, and so is the last error once the budget cannot fit another try.
+ */
+async function withGeminiRetries({ model, signal, fallbackModels, maxRetries, totalTimeoutMs }, attempt) {
+  const models = [...new Set([model, ...fallbackModels])];
+  const deadline = Date.now() + totalTimeoutMs;
+  let lastError = null;
+
+  for (const candidate of models) {
+    for (let retry = 0; retry <= maxRetries; retry += 1) {
+      if (Date.now() >= deadline) throw lastError || createDeadlineError(totalTimeoutMs);
+      try {
+        return await attempt(candidate, deadline);
+      } catch (error) {
+        if (signal?.aborted || error.noRetry) throw error;
+        lastError = error;
+        if (!isRetryableError(error)) break;
+        if (retry < maxRetries) {
+          const delay = getBackoffDelay(retry, error.retryAfter);
+          if (Date.now() + delay >= deadline) throw error;
+          console.warn(`Gemini ${candidate} failed (${error.code}), retrying:`, error.message);
+          await wait(delay, signal);
+        }
+      }
+    }
+    if (lastError.code !== 'model_not_found' && !isRetryableError(lastError)) throw lastError;
+  }
+  throw lastError;
+}
+
+function resolveApiKey(apiKey) {
+  const key = apiKey || getServerApiKey();
+  if (!key) throw createGeminiError('Missing Gemini API key', 500, 'missing_api_key');
+  return key;
+}
+
+/**
+ * `generateContent` with per-request timeouts, jittered retries on 429/5xx and model fallback.
+ * `options` overrides getGeminiRetryConfig() for one call.
+ */
+export async function callGeminiGenerateContent({ model = DEFAULT_MODEL, body, apiKey, signal, ...options }) {
+  const key = resolveApiKey(apiKey);
+  const config = { ...getGeminiRetryConfig(), ...options };
+
+  return withGeminiRetries({ model, signal, ...config }, async (candidate, deadline) => {
+    const { res, cleanup } = await fetchGeminiOnce(`${getGeminiApiBase()}/models/${candidate}:generateContent`, {
+      apiKey: key,
+      body,
+      signal,
+      timeoutMs: config.timeoutMs,
+      totalTimeoutMs: config.totalTimeoutMs,
+      deadline,
+    });
+    try {
+      return await res.json();
+    } catch (_) {
+      throw createGeminiError('Invalid response from Gemini', 502, 'upstream_error');
+    } finally {
+      cleanup();
+    }
+  });
+}
+
+/**
+ * Streams a reply via `:streamGenerateContent?alt=sse`, calling `onText` with each new text chunk.
+ * Resolves with the full reply text. Pass an AbortSignal to cancel the upstream request.
+ * Retries and fallback only happen before the first chunk; a reply is never restarted halfway.
+ */
+export async function streamGeminiGenerateContent({ model = DEFAULT_MODEL, body, apiKey, signal, onText, ...options }) {
+  const key = resolveApiKey(apiKey);
+  const config = { ...getGeminiRetryConfig(), ...options };
+
+  return withGeminiRetries({ model, signal, ...config }, async (candidate, deadline) => {
+    const { res, touch, cleanup } = await fetchGeminiOnce(`${getGeminiApiBase()}/models/${candidate}:streamGenerateContent?alt=sse`, {
+      apiKey: key,
+      body,
+      signal,
+      timeoutMs: config.timeoutMs,
+      totalTimeoutMs: config.totalTimeoutMs,
+      deadline,
+    });
+
+    let fullText = '';
+    try {
+      await readSseStream(res.body, (data) => {
+        touch();
+        const chunk = parseJsonSafely(data);
+        const text = (chunk?.candidates?.[0]?.content?.parts || [])
+          .map((part) => (typeof part?.text === 'string' ? part.text : ''))
+          .join('');
+        if (!text) return;
+        fullText += text;
+        if (typeof onText === 'function') onText(text);
+      });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      // Reading the stream is bounded by the idle timeout (reset per event) and the total budget.
+      let err = error;
+      if (!error.code) {
+        if (error.message === 'deadline') err = createDeadlineError(config.totalTimeoutMs);
+        else if (error.message === 'timeout') err = createGeminiError(`Gemini stream stalled for over ${config.timeoutMs}ms`, 504, 'upstream_timeout');
+        else err = createGeminiError(error.message || 'Stream interrupted', 502, 'network_error');
+      }
+      if (fullText) err.noRetry = true;
+      throw err;
+    } finally {
+      cleanup();
+    }
+    return fullText.trim();
+  });
 }
 
 export function extractCandidateText(data) {
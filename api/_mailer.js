@@ -0,0 +1,58 @@
+// Delivery for login links. Any object with `send({ to, subject, text, html })` works as a mailer.
+// With RESEND_API_KEY and MAIL_FROM set, mail goes out through Resend. Local runs without them log
+// the message so the link can be copied from the terminal; production refuses to, since a logged
+// link is a live login.
+
+export function createResendMailer({ apiKey, from }) {
+  return {
+    async send({ to, subject, text, html }) {
+      const res = await fetch('https://api.resend.com/emails', {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ from, to, subject, text, html }),
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        const err = new Error(data?.message || `Mail HTTP ${res.status}`);
+        err.status = 502;
+        throw err;
+      }
+    },
+  };
+}
+
+export function createConsoleMailer() {
+  return {
+    async send({ to, subject, text }) {
+      console.log(`[mail] to=${to} subject="${subject}"\n${text}`);
+    },
+  };
+}
+
+let activeMailer = null;
+
+function isProduction(env) {
+  return env.VERCEL_ENV === 'production' || env.NODE_ENV === 'production';
+}
+
+export function getMailer(env = process.env) {
+  if (!activeMailer) {
+    if (env.RESEND_API_KEY && env.MAIL_FROM) {
+      activeMailer = createResendMailer({ apiKey: env.RESEND_API_KEY, from: env.MAIL_FROM });
+    } else if (isProduction(env)) {
+      const err = new Error('RESEND_API_KEY and MAIL_FROM must be set to send login links in production');
+      err.status = 500;
+      throw err;
+    } else {
+      activeMailer = createConsoleMailer();
+    }
+  }
+  return activeMailer;
+}
+
+export function setMailer(mailer) {
+  activeMailer = mailer;
+}
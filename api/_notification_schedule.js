@@ -0,0 +1,139 @@
+// Per-subscriber proactive notification schedule.
+// Pure functions only, so cron decisions can be reproduced for any subscriber and instant.
+
+export const NOTIFICATION_MAX_PER_DAY = 6;
+// Default gap between cron runs (vercel.json); CRON_INTERVAL_MINUTES overrides it in api/cron.js.
+export const CRON_INTERVAL_MINUTES = 60;
+
+export const DEFAULT_NOTIFICATION_SCHEDULE = Object.freeze({
+  timeZone: 'Asia/Seoul',
+  quietStart: '22:00',
+  quietEnd: '09:00',
+  perDay: 2,
+  days: [0, 1, 2, 3, 4, 5, 6],
+});
+
+const MINUTES_PER_DAY = 24 * 60;
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+function normalizeClock(value, fallback) {
+  const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return fallback;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return fallback;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function clockToMinutes(clock) {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+export function sanitizeNotificationSchedule(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const timeZone = String(source.timeZone || '').trim();
+  const perDay = Math.round(Number(source.perDay));
+  const days = Array.isArray(source.days)
+    ? [...new Set(source.days.map(Number).filter((day) => Number.isInteger(day) && day >= 0 && day <= 6))].sort()
+    : [...DEFAULT_NOTIFICATION_SCHEDULE.days];
+
+  return {
+    timeZone: timeZone && isValidTimeZone(timeZone) ? timeZone : DEFAULT_NOTIFICATION_SCHEDULE.timeZone,
+    quietStart: normalizeClock(source.quietStart, DEFAULT_NOTIFICATION_SCHEDULE.quietStart),
+    quietEnd: normalizeClock(source.quietEnd, DEFAULT_NOTIFICATION_SCHEDULE.quietEnd),
+    perDay: Number.isFinite(perDay)
+      ? Math.min(NOTIFICATION_MAX_PER_DAY, Math.max(0, perDay))
+      : DEFAULT_NOTIFICATION_SCHEDULE.perDay,
+    days,
+  };
+}
+
+/**
+ * Wall-clock date, weekday and minute-of-day for `date` in `timeZone`.
+ */
+export function getLocalTimeParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = (type) => parts.find((part) => part.type === type)?.value || '';
+
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    weekday: WEEKDAY_INDEX[get('weekday')] ?? 0,
+    minutes: (Number(get('hour')) % 24) * 60 + Number(get('minute')),
+  };
+}
+
+function shiftDate(isoDate, days) {
+  const shifted = new Date(`${isoDate}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Decides whether a cron run at `now` should message this subscriber.
+ *
+ * The active window runs from `quietEnd` to the next `quietStart` (it may cross midnight) and
+ * belongs to the day it starts on. `perDay` slots are spread evenly across that window; a run
+ * sends when a slot fell within the last cron interval. `slotKey` identifies the slot so a
+ * retried run does not send it twice. A run only once a day cannot land on spread slots; it
+ * sends one message whenever it falls inside the window.
+ *
+ * @returns {{ send: boolean, reason: string, slotKey: string }}
+ */
+export function getNotificationDecision(rawSchedule, now = new Date(), { intervalMinutes = CRON_INTERVAL_MINUTES } = {}) {
+  const schedule = sanitizeNotificationSchedule(rawSchedule);
+  if (schedule.perDay === 0 || schedule.days.length === 0) {
+    return { send: false, reason: 'disabled', slotKey: '' };
+  }
+
+  const local = getLocalTimeParts(now, schedule.timeZone);
+  const windowStart = clockToMinutes(schedule.quietEnd);
+  const windowEnd = clockToMinutes(schedule.quietStart);
+  // Equal bounds mean no quiet hours: the window is the whole calendar day.
+  const startMinute = windowStart === windowEnd ? 0 : windowStart;
+  const windowLength = windowStart === windowEnd
+    ? MINUTES_PER_DAY
+    : (windowEnd - windowStart + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+
+  const sinceStart = (local.minutes - startMinute + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  if (sinceStart >= windowLength) {
+    return { send: false, reason: 'quiet-hours', slotKey: '' };
+  }
+
+  const startedYesterday = local.minutes < startMinute;
+  const windowWeekday = startedYesterday ? (local.weekday + 6) % 7 : local.weekday;
+  const windowDay = startedYesterday ? shiftDate(local.date, -1) : local.date;
+  if (!schedule.days.includes(windowWeekday)) {
+    return { send: false, reason: 'day-off', slotKey: '' };
+  }
+
+  if (intervalMinutes >= MINUTES_PER_DAY) {
+    return { send: true, reason: '', slotKey: `${windowDay}#0` };
+  }
+
+  for (let slot = 0; slot < schedule.perDay; slot += 1) {
+    const slotMinute = Math.floor(((slot + 0.5) * windowLength) / schedule.perDay);
+    if (slotMinute <= sinceStart && slotMinute > sinceStart - intervalMinutes) {
+      return { send: true, reason: '', slotKey: `${windowDay}#${slot}` };
+    }
+  }
+  return { send: false, reason: 'no-slot', slotKey: '' };
+}
@@ -0,0 +1,173 @@
+import { kv } from '@vercel/kv';
+import { sanitizeMemoryProfile } from './_memory_profile.js';
+import { sanitizeNotificationSchedule } from './_notification_schedule.js';
+import { sanitizePersonaProfile } from './_persona_profile.js';
+
+const CONTEXT_RECENT_MESSAGES = 12;
+const CONTEXT_MESSAGE_MAX_CHARS = 300;
+const INBOX_MAX_MESSAGES = 20;
+// Don't interrupt a chat that is already going.
+const RECENT_ACTIVITY_QUIET_MS = 2 * 60 * 60 * 1000;
+
+// Proactive state belongs to an owner: the signed-in user, so every device of theirs shares one
+// context and inbox, or the bare push endpoint for anonymous subscribers.
+function contextKey(owner) {
+  return `proactive:context:${owner}`;
+}
+
+function inboxKey(owner) {
+  return `proactive:inbox:${owner}`;
+}
+
+function lastSlotKey(owner) {
+  return `proactive:slot:${owner}`;
+}
+
+export function proactiveOwner(userId, endpoint) {
+  return userId ? `user:${userId}` : endpoint;
+}
+
+export function subscriptionKey(endpoint) {
+  return `sub:${endpoint}`;
+}
+
+export function userSubscriptionsKey(userId) {
+  return `user:${userId}:subscriptions`;
+}
+
+export function endpointFromSubscriptionKey(subKey) {
+  return String(subKey || '').replace(/^sub:/, '');
+}
+
+function parseStored(value, fallback) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return fallback;
+  }
+}
+
+/**
+ * Reads a `sub:` record. Older records hold the bare PushSubscription, get the default schedule
+ * and have no owning user.
+ */
+export function parseSubscriptionRecord(value) {
+  const stored = parseStored(value, null);
+  if (!stored || typeof stored !== 'object') return null;
+  const subscription = stored.subscription && typeof stored.subscription === 'object' ? stored.subscription : stored;
+  if (!subscription.endpoint) return null;
+  return {
+    subscription,
+    schedule: sanitizeNotificationSchedule(stored.schedule),
+    userId: typeof stored.userId === 'string' ? stored.userId : '',
+  };
+}
+
+/**
+ * What cron needs to write as the friend: prompt, persona, memory and the tail of the chat.
+ */
+export function sanitizeProactiveContext(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const recentMessages = (Array.isArray(source.recentMessages) ? source.recentMessages : [])
+    .map((item) => ({
+      role: item?.role === 'ai' ? 'ai' : (item?.role === 'user' ? 'user' : ''),
+      text: String(item?.text || '').trim().slice(0, CONTEXT_MESSAGE_MAX_CHARS),
+      proactive: Boolean(item?.proactive),
+    }))
+    .filter((item) => item.role && item.text)
+    .slice(-CONTEXT_RECENT_MESSAGES);
+  const lastUserMessageAt = Date.parse(source.lastUserMessageAt || '');
+
+  return {
+    conversationId: String(source.conversationId || '').slice(0, 80),
+    aiName: String(source.aiName || '').trim().slice(0, 24),
+    systemPrompt: String(source.systemPrompt || '').slice(0, 4000),
+    personaProfile: sanitizePersonaProfile(source.personaProfile),
+    memoryProfile: sanitizeMemoryProfile(source.memoryProfile),
+    memorySummary: String(source.memorySummary || '').slice(0, 2600),
+    recentMessages,
+    lastUserMessageAt: Number.isFinite(lastUserMessageAt) ? new Date(lastUserMessageAt).toISOString() : '',
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+export async function saveProactiveContext(owner, context) {
+  await kv.set(contextKey(owner), JSON.stringify(sanitizeProactiveContext(context)));
+}
+
+export async function getProactiveContext(owner) {
+  const stored = parseStored(await kv.get(contextKey(owner)), null);
+  return stored && typeof stored === 'object' ? stored : null;
+}
+
+export async function getInboxMessages(owner) {
+  const stored = parseStored(await kv.get(inboxKey(owner)), []);
+  return Array.isArray(stored) ? stored : [];
+}
+
+export async function pushInboxMessage(owner, message) {
+  const inbox = [...(await getInboxMessages(owner)), message].slice(-INBOX_MAX_MESSAGES);
+  await kv.set(inboxKey(owner), JSON.stringify(inbox));
+}
+
+export async function ackInboxMessages(owner, ids) {
+  const acked = new Set((Array.isArray(ids) ? ids : []).map(String));
+  const inbox = await getInboxMessages(owner);
+  const remaining = inbox.filter((message) => !acked.has(String(message?.id)));
+  if (remaining.length === inbox.length) return;
+  if (remaining.length === 0) {
+    await kv.del(inboxKey(owner));
+  } else {
+    await kv.set(inboxKey(owner), JSON.stringify(remaining));
+  }
+}
+
+/**
+ * The schedule slot cron last handled for this subscriber, so a repeated run skips it.
+ */
+export async function getLastProactiveSlot(owner) {
+  return String((await kv.get(lastSlotKey(owner))) || '');
+}
+
+export async function setLastProactiveSlot(owner, slotKey) {
+  await kv.set(lastSlotKey(owner), slotKey);
+}
+
+export async function deleteProactiveData(owner) {
+  await kv.del(contextKey(owner));
+  await kv.del(inboxKey(owner));
+  await kv.del(lastSlotKey(owner));
+}
+
+/**
+ * Returns why this subscriber should not be pinged right now, or '' when a message is welcome.
+ */
+export function getProactiveSkipReason(context, inbox, now = new Date()) {
+  if (!context || !Array.isArray(context.recentMessages) || context.recentMessages.length === 0) {
+    return 'no-conversation';
+  }
+  if (Array.isArray(inbox) && inbox.length > 0) return 'unread-pending';
+  if (context.recentMessages[context.recentMessages.length - 1]?.proactive) return 'awaiting-reply';
+
+  const lastUserAt = Date.parse(context.lastUserMessageAt || '');
+  if (Number.isFinite(lastUserAt) && now.getTime() - lastUserAt < RECENT_ACTIVITY_QUIET_MS) {
+    return 'recently-active';
+  }
+  return '';
+}
+
+export function buildProactivePrompt(context) {
+  const recent = (context?.recentMessages || [])
+    .map((item) => `${item.role === 'ai' ? 'YOU' : 'USER'}: ${item.text}`)
+    .join('\n');
+
+  return `You are about to text the user first, without them messaging you.
+${recent ? `Your recent chat with them:\n${recent}\n` : ''}
+Write ONE short text (1-2 sentences) that feels like a natural continuation of your friendship:
+- Follow up on something from the recent chat or from what you remember about them (a plan, a project, how something went).
+- Sound like you just thought of them; do not greet them like a stranger.
+- No "just checking in", no questions about how you can help, never mention being an AI.
+Output only the message text.`;
+}
@@ -0,0 +1,259 @@
+import { kv } from '@vercel/kv';
+import { authorizeRequest } from './_auth.js';
+
+// Per-caller limits for the routes that spend Gemini calls. Each route has a token bucket
+// (short bursts) and all routes draw `cost` units from one daily quota per caller.
+// Callers are the signed-in user, or the client IP for anonymous requests.
+//
+// Stores keep two kinds of state, each changed in one atomic step so concurrent calls cannot
+// both spend the last token or the last unit of quota:
+//   takeBucketToken(key, limit, now, ttlSeconds) -> { allowed, retryAfterMs }
+//   incrementUsage(key, amount, ttlSeconds) -> total (a negative amount refunds)
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+export const RATE_LIMITS = {
+  chat: { capacity: 20, refillPerMinute: 10, cost: 1 },
+  translate: { capacity: 30, refillPerMinute: 20, cost: 1 },
+  'grammar-feedback': { capacity: 15, refillPerMinute: 8, cost: 2 },
+  'native-alternatives': { capacity: 15, refillPerMinute: 8, cost: 1 },
+  'memory-summary': { capacity: 6, refillPerMinute: 2, cost: 1 },
+  tts: { capacity: 20, refillPerMinute: 10, cost: 2 },
+};
+
+const DEFAULT_DAILY_QUOTA = { user: 1500, anonymous: 400 };
+
+// Login links cost no Gemini calls but send mail, so they get their own buckets per client IP
+// and per address and stay out of the daily quota.
+export const LOGIN_LINK_LIMITS = {
+  ip: { capacity: 10, refillPerMinute: 1 },
+  email: { capacity: 3, refillPerMinute: 0.2 },
+};
+
+function readPositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+export function getDailyQuota(user, env = process.env) {
+  return user
+    ? readPositiveInt(env.RATE_LIMIT_DAILY_QUOTA_USER, DEFAULT_DAILY_QUOTA.user)
+    : readPositiveInt(env.RATE_LIMIT_DAILY_QUOTA_ANONYMOUS, DEFAULT_DAILY_QUOTA.anonymous);
+}
+
+/**
+ * Refills `bucket` for the time since it was last touched and takes one token if there is one.
+ * Pure, so it behaves the same over any store.
+ */
+export function takeToken(bucket, limit, now = Date.now()) {
+  const refillPerMs = limit.refillPerMinute / 60000;
+  const elapsed = bucket ? Math.max(0, now - bucket.updatedAt) : 0;
+  const tokens = Math.min(limit.capacity, (bucket ? bucket.tokens : limit.capacity) + elapsed * refillPerMs);
+
+  if (tokens < 1) {
+    return {
+      allowed: false,
+      bucket: { tokens, updatedAt: now },
+      retryAfterMs: Math.ceil((1 - tokens) / refillPerMs),
+    };
+  }
+  return { allowed: true, bucket: { tokens: tokens - 1, updatedAt: now }, retryAfterMs: 0 };
+}
+
+export function getClientIp(req) {
+  const forwarded = String(req.headers?.['x-forwarded-for'] || '').split(',')[0].trim();
+  return forwarded || req.headers?.['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
+
+function utcDateKey(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function secondsUntilNextUtcDay(now) {
+  const next = new Date(now);
+  next.setUTCHours(24, 0, 0, 0);
+  return Math.max(1, Math.ceil((next.getTime() - now) / 1000));
+}
+
+// Mirrors takeToken inside Redis so the read, refill and write happen as one step.
+// Fractional token counts travel as strings; Redis truncates Lua numbers in replies.
+const TAKE_TOKEN_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill_per_ms = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local stored = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(stored[1])
+local updated_at = tonumber(stored[2])
+if tokens == nil or updated_at == nil then
+  tokens = capacity
+  updated_at = now
+end
+tokens = math.min(capacity, tokens + math.max(0, now - updated_at) * refill_per_ms)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+redis.call('EXPIRE', KEYS[1], tonumber(ARGV[4]))
+return { allowed, tostring(tokens) }
+`;
+
+export function createKvRateLimitStore(client = kv) {
+  return {
+    async takeBucketToken(key, limit, now, ttlSeconds) {
+      const refillPerMs = limit.refillPerMinute / 60000;
+      const [allowed, tokens] = await client.eval(
+        TAKE_TOKEN_SCRIPT,
+        [key],
+        [limit.capacity, refillPerMs, now, ttlSeconds],
+      );
+      if (Number(allowed) === 1) return { allowed: true, retryAfterMs: 0 };
+      return { allowed: false, retryAfterMs: Math.ceil((1 - Number(tokens)) / refillPerMs) };
+    },
+    async incrementUsage(key, amount, ttlSeconds) {
+      const total = await client.incrby(key, amount);
+      // Every call renews the expiry, so the day key outlives a crash between the two commands.
+      await client.expire(key, ttlSeconds);
+      return total;
+    },
+  };
+}
+
+export function createMemoryRateLimitStore() {
+  const entries = new Map();
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  };
+  const write = (key, value, ttlSeconds) => {
+    entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+  };
+
+  // No awaits between read and write, so each call is atomic within the process.
+  return {
+    async takeBucketToken(key, limit, now, ttlSeconds) {
+      const result = takeToken(read(key), limit, now);
+      write(key, result.bucket, ttlSeconds);
+      return { allowed: result.allowed, retryAfterMs: result.retryAfterMs };
+    },
+    async incrementUsage(key, amount, ttlSeconds) {
+      const existing = entries.get(key);
+      const total = (read(key) || 0) + amount;
+      if (existing && existing.expiresAt > Date.now()) existing.value = total;
+      else write(key, total, ttlSeconds);
+      return total;
+    },
+  };
+}
+
+let activeStore = null;
+
+/**
+ * KV in deployments; `RATE_LIMIT_STORE=memory` (or `setRateLimitStore`) keeps counts in process for local runs.
+ */
+export function getRateLimitStore() {
+  if (!activeStore) {
+    activeStore = process.env.RATE_LIMIT_STORE === 'memory' ? createMemoryRateLimitStore() : createKvRateLimitStore();
+  }
+  return activeStore;
+}
+
+export function setRateLimitStore(store) {
+  activeStore = store;
+}
+
+// Keep a bucket around long enough to refill completely, then let it expire.
+function getBucketTtl(limit) {
+  return Math.ceil((limit.capacity / limit.refillPerMinute) * 60) + 60;
+}
+
+/**
+ * Decides whether `subject` may call `route` now and records the call if so.
+ * Resolves with `{ allowed, code, retryAfterSeconds, remainingQuota }`.
+ */
+export async function consumeRateLimit(store, { route, subject, dailyQuota, now = Date.now() }) {
+  const limit = RATE_LIMITS[route];
+  const quotaKey = `ratelimit:quota:${subject}:${utcDateKey(now)}`;
+  // Reserve the quota first and check the total the increment returned; a refused call gives
+  // its units back.
+  const total = await store.incrementUsage(quotaKey, limit.cost, DAY_SECONDS * 2);
+  if (total > dailyQuota) {
+    await store.incrementUsage(quotaKey, -limit.cost, DAY_SECONDS * 2);
+    return { allowed: false, code: 'quota_exceeded', retryAfterSeconds: secondsUntilNextUtcDay(now), remainingQuota: 0 };
+  }
+
+  const bucketKey = `ratelimit:tokens:${route}:${subject}`;
+  const result = await store.takeBucketToken(bucketKey, limit, now, getBucketTtl(limit));
+  if (!result.allowed) {
+    const refunded = await store.incrementUsage(quotaKey, -limit.cost, DAY_SECONDS * 2);
+    return {
+      allowed: false,
+      code: 'rate_limited',
+      retryAfterSeconds: Math.max(1, Math.ceil(result.retryAfterMs / 1000)),
+      remainingQuota: Math.max(0, dailyQuota - refunded),
+    };
+  }
+
+  return { allowed: true, code: '', retryAfterSeconds: 0, remainingQuota: Math.max(0, dailyQuota - total) };
+}
+
+/**
+ * Takes a login-link token for the client IP and for the address.
+ * Resolves with `{ allowed, retryAfterSeconds }`.
+ */
+export async function consumeLoginLinkLimit(store, { ip, email, now = Date.now() }) {
+  for (const [kind, subject] of [['ip', ip], ['email', email]]) {
+    const limit = LOGIN_LINK_LIMITS[kind];
+    const result = await store.takeBucketToken(`ratelimit:login:${kind}:${subject}`, limit, now, getBucketTtl(limit));
+    if (!result.allowed) {
+      return { allowed: false, retryAfterSeconds: Math.max(1, Math.ceil(result.retryAfterMs / 1000)) };
+    }
+  }
+  return { allowed: true, retryAfterSeconds: 0 };
+}
+
+/**
+ * Wraps a route handler: resolves the caller, applies the route's limits and answers 429 with
+ * Retry-After when they are used up. The handler runs unchanged otherwise. Only `methods`
+ * (POST unless the route also serves GET) are counted.
+ */
+export function withRateLimit(route, handler, { methods = ['POST'] } = {}) {
+  if (!RATE_LIMITS[route]) throw new Error(`Unknown rate limit route: ${route}`);
+
+  return async function rateLimitedHandler(req, res) {
+    if (!methods.includes(req.method) || process.env.RATE_LIMIT_DISABLED === 'true') return handler(req, res);
+
+    const auth = await authorizeRequest(req, res);
+    if (!auth) return;
+
+    let result;
+    try {
+      result = await consumeRateLimit(getRateLimitStore(), {
+        route,
+        subject: auth.user ? `user:${auth.user.id}` : `ip:${getClientIp(req)}`,
+        dailyQuota: getDailyQuota(auth.user),
+      });
+    } catch (error) {
+      // A broken limiter store should not take the app down with it.
+      console.error('Rate limit store error:', error);
+      return handler(req, res);
+    }
+
+    res.setHeader('X-Quota-Remaining', String(result.remainingQuota));
+    if (!result.allowed) {
+      res.setHeader('Retry-After', String(result.retryAfterSeconds));
+      return res.status(429).json({
+        error: result.code === 'quota_exceeded' ? 'Daily quota exceeded' : 'Too many requests',
+        code: result.code,
+        retryAfter: result.retryAfterSeconds,
+      });
+    }
+    return handler(req, res);
+  };
+}
@@ -0,0 +1,45 @@
+export const MAX_REPLY_BUBBLES = 3;
+const LONG_SINGLE_BUBBLE_CHARS = 140;
+
+export const REPLY_BUBBLES_PROMPT = `Text like a friend who sends a few short messages in a row instead of one block.
+Put each separate text message on its own line, separated by a blank line.
+Use 1 to ${MAX_REPLY_BUBBLES} messages; most replies only need 1 or 2.`;
+
+function splitSentences(text) {
+  return (String(text || '').match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [])
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Breaks a reply into the short consecutive messages a friend would send.
+ * Uses the model's own line breaks first and only falls back to sentence grouping for one long block.
+ */
+export function splitReplyIntoBubbles(text) {
+  const clean = String(text || '').trim();
+  if (!clean) return [];
+
+  let parts = clean
+    .split(/\n+/)
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+  if (parts.length === 1 && clean.length > LONG_SINGLE_BUBBLE_CHARS) {
+    const sentences = splitSentences(clean);
+    if (sentences.length > 1) {
+      const perBubble = Math.ceil(sentences.length / MAX_REPLY_BUBBLES);
+      parts = [];
+      for (let i = 0; i < sentences.length; i += perBubble) {
+        parts.push(sentences.slice(i, i + perBubble).join(' '));
+      }
+    }
+  }
+
+  if (parts.length > MAX_REPLY_BUBBLES) {
+    parts = [
+      ...parts.slice(0, MAX_REPLY_BUBBLES - 1),
+      parts.slice(MAX_REPLY_BUBBLES - 1).join(' '),
+    ];
+  }
+  return parts;
+}
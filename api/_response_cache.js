@@ -0,0 +1,55 @@
+// Content-addressed cache keys for model answers that depend only on their input, shared by the
+// API routes (KV) and the browser (IndexedDB). Bump RESPONSE_CACHE_VERSION when a prompt changes
+// so older answers stop matching.
+
+export const RESPONSE_CACHE_VERSION = 1;
+
+export function normalizeCacheText(value) {
+  return String(value || '').trim().replace(/\s+/g, ' ');
+}
+
+function normalizeModel(value) {
+  return String(value || '').trim() || 'default';
+}
+
+// Per route: the request fields that change the answer, with the same defaults the handler applies.
+const CACHE_KEY_FIELDS = {
+  translate: (params) => ({
+    text: normalizeCacheText(params.text),
+    targetLang: String(params.targetLang || 'Korean'),
+    koreanSpeechLevel: String(params.koreanSpeechLevel || 'polite').toLowerCase() === 'casual' ? 'casual' : 'polite',
+    model: normalizeModel(params.model),
+  }),
+  'grammar-feedback': (params) => ({
+    text: normalizeCacheText(params.text),
+    model: normalizeModel(params.model),
+  }),
+  'native-alternatives': (params) => ({
+    text: normalizeCacheText(params.text),
+    model: normalizeModel(params.model),
+  }),
+};
+
+export function isCacheableRoute(route) {
+  return Object.prototype.hasOwnProperty.call(CACHE_KEY_FIELDS, route);
+}
+
+/**
+ * The string a cache key is hashed from, or '' when the request has nothing to cache.
+ */
+export function getResponseCacheMaterial(route, params = {}) {
+  if (!isCacheableRoute(route)) return '';
+  const fields = CACHE_KEY_FIELDS[route](params || {});
+  if (!fields.text) return '';
+  return JSON.stringify({ v: RESPONSE_CACHE_VERSION, route, ...fields });
+}
+
+/**
+ * Only real answers are kept; fallbacks the routes send alongside an `error` are not.
+ */
+export function isCacheableResponse(route, payload) {
+  if (!payload || typeof payload !== 'object' || payload.error) return false;
+  if (route === 'translate') return typeof payload.translation === 'string' && payload.translation.length > 0;
+  if (route === 'native-alternatives') return Array.isArray(payload.alternatives) && payload.alternatives.length > 0;
+  return true;
+}
@@ -0,0 +1,103 @@
+import { createHash } from 'node:crypto';
+import { kv } from '@vercel/kv';
+import { authorizeRequest } from './_auth.js';
+import { getResponseCacheMaterial, isCacheableResponse } from './_response_cache.js';
+
+// Server half of the response cache. Stores expose:
+//   get(key) -> payload | null,  set(key, payload, ttlSeconds)
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+function getTtlSeconds() {
+  const parsed = Number.parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_TTL_SECONDS;
+}
+
+export function createKvResponseCache(client = kv) {
+  return {
+    async get(key) {
+      const stored = await client.get(key);
+      if (!stored) return null;
+      return typeof stored === 'string' ? JSON.parse(stored) : stored;
+    },
+    async set(key, payload, ttlSeconds) {
+      await client.set(key, JSON.stringify(payload), { ex: ttlSeconds });
+    },
+  };
+}
+
+export function createMemoryResponseCache() {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return structuredClone(entry.payload);
+    },
+    async set(key, payload, ttlSeconds) {
+      entries.set(key, { payload: structuredClone(payload), expiresAt: Date.now() + ttlSeconds * 1000 });
+    },
+  };
+}
+
+let activeCache = null;
+
+/**
+ * KV in deployments; `RESPONSE_CACHE_STORE=memory` (or `setResponseCache`) keeps answers in process for local runs.
+ */
+export function getResponseCache() {
+  if (!activeCache) {
+    activeCache = process.env.RESPONSE_CACHE_STORE === 'memory' ? createMemoryResponseCache() : createKvResponseCache();
+  }
+  return activeCache;
+}
+
+export function setResponseCache(cache) {
+  activeCache = cache;
+}
+
+/**
+ * Wraps a route so a repeated request is answered from the cache before rate limits and Gemini
+ * are reached. Misses run `handler` and keep its successful answer.
+ */
+export function withResponseCache(route, handler) {
+  return async function cachedHandler(req, res) {
+    if (req.method !== 'POST' || process.env.RESPONSE_CACHE_DISABLED === 'true') return handler(req, res);
+    const material = getResponseCacheMaterial(route, req.body);
+    if (!material) return handler(req, res);
+
+    const auth = await authorizeRequest(req, res);
+    if (!auth) return;
+
+    const cache = getResponseCache();
+    const key = `cache:${route}:${createHash('sha256').update(material).digest('hex')}`;
+    try {
+      const cached = await cache.get(key);
+      if (cached) {
+        res.setHeader('X-Cache', 'HIT');
+        return res.status(200).json(cached);
+      }
+    } catch (error) {
+      console.error('Response cache read error:', error);
+    }
+
+    let pendingWrite = null;
+    const sendJson = res.json.bind(res);
+    res.json = (payload) => {
+      if (res.statusCode === 200 && isCacheableResponse(route, payload)) {
+        pendingWrite = cache.set(key, payload, getTtlSeconds())
+          .catch((error) => console.error('Response cache write error:', error));
+      }
+      return sendJson(payload);
+    };
+    res.setHeader('X-Cache', 'MISS');
+    const result = await handler(req, res);
+    // Finish the write before the function is allowed to freeze.
+    await pendingWrite;
+    return result;
+  };
+}
@@ -0,0 +1,44 @@
+// Minimal server-sent events reader shared by the API routes and the browser client.
+
+/**
+ * Reads a `text/event-stream` body and calls `onData` with each event's joined `data:` payload.
+ * Works with any WHATWG ReadableStream (Node 18+ fetch and browsers).
+ */
+export async function readSseStream(stream, onData) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const flushEvent = (rawEvent) => {
+    const data = rawEvent
+      .split(/\r?\n/)
+      .filter((line) => line.startsWith('data:'))
+      .map((line) => line.slice(5).replace(/^ /, ''))
+      .join('\n');
+    if (data) onData(data);
+  };
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary = buffer.search(/\r?\n\r?\n/);
+      while (boundary !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+        flushEvent(rawEvent);
+        boundary = buffer.search(/\r?\n\r?\n/);
+      }
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) flushEvent(buffer);
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+export function formatSseEvent(payload) {
+  return `data: ${JSON.stringify(payload)}\n\n`;
+}
@@ -0,0 +1,81 @@
+// Last-writer-wins record sync, shared by /api/sync and the browser sync engine.
+// A record is { id, updatedAt (ms), deleted?, data? }; deletions are kept as tombstones
+// so a device that was offline still learns about them.
+
+export const SYNC_COLLECTIONS = ['conversations', 'messages', 'dictionaryEntries', 'dictionaryCategories'];
+export const SYNC_BATCH_SIZE = 200;
+const SYNC_PULL_LIMIT = 500;
+const SYNC_RECORD_MAX_CHARS = 200000;
+
+/**
+ * True when `incoming` should replace `current`. Ties go to the tombstone so a delete is never undone.
+ */
+export function isNewerRecord(incoming, current) {
+  if (!current) return true;
+  if (incoming.updatedAt !== current.updatedAt) return incoming.updatedAt > current.updatedAt;
+  return Boolean(incoming.deleted) && !current.deleted;
+}
+
+export function sanitizeSyncRecord(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const id = String(raw.id || '').slice(0, 128);
+  const updatedAt = Number(raw.updatedAt);
+  if (!id || !Number.isFinite(updatedAt) || updatedAt < 0) return null;
+  if (raw.deleted) return { id, updatedAt, deleted: true };
+  if (!raw.data || typeof raw.data !== 'object') return null;
+  if (JSON.stringify(raw.data).length > SYNC_RECORD_MAX_CHARS) return null;
+  return { id, updatedAt, data: raw.data };
+}
+
+function toWireRecord(record) {
+  return record.deleted
+    ? { id: record.id, updatedAt: record.updatedAt, deleted: true }
+    : { id: record.id, updatedAt: record.updatedAt, data: record.data };
+}
+
+/**
+ * Cursors are the server sequence of the last record a device pulled. Older cursors were
+ * `<time>:<id>`; those restart from the beginning, which only re-sends records the device
+ * already has.
+ */
+function parseSyncCursor(value) {
+  const text = String(value || '');
+  if (!/^\d+$/.test(text)) return 0;
+  return Number(text);
+}
+
+/**
+ * Applies one client's changes and returns the next page of records it has not seen, plus the
+ * ids of pushed records that were not stored (invalid or over SYNC_RECORD_MAX_CHARS).
+ * Cursors are per collection and follow the store's write sequence, so device clock skew only
+ * affects conflict resolution and paging never skips a record written by an overlapping sync.
+ */
+export async function applySyncChanges(store, namespace, { changes = {}, cursors = {} } = {}) {
+  const result = { changes: {}, cursors: {}, dropped: {}, hasMore: false };
+
+  for (const collection of SYNC_COLLECTIONS) {
+    const incoming = [];
+    const dropped = [];
+    (Array.isArray(changes[collection]) ? changes[collection] : []).slice(0, SYNC_BATCH_SIZE).forEach((raw) => {
+      const record = sanitizeSyncRecord(raw);
+      if (record) incoming.push(record);
+      else if (raw?.id) dropped.push(String(raw.id));
+    });
+    // Reported back so the client keeps them pending instead of treating them as synced.
+    result.dropped[collection] = dropped;
+
+    const afterSeq = parseSyncCursor(cursors[collection]);
+    const { rejected, page, hasMore } = await store.syncCollection(namespace, collection, incoming, {
+      afterSeq,
+      limit: SYNC_PULL_LIMIT,
+    });
+    if (hasMore) result.hasMore = true;
+
+    // Losing writes come back with the winning version so the client converges.
+    const byId = new Map([...page, ...rejected].map((record) => [record.id, toWireRecord(record)]));
+    result.changes[collection] = [...byId.values()];
+    result.cursors[collection] = page.length > 0 ? String(page[page.length - 1].seq) : (afterSeq ? String(afterSeq) : '');
+  }
+
+  return result;
+}
@@ -0,0 +1,154 @@
+import { kv } from '@vercel/kv';
+import { isNewerRecord } from './_sync.js';
+
+// Storage behind /api/sync. Each namespace + collection keeps its records and a server sequence:
+// every accepted write takes the next number from one counter per namespace, assigned while the
+// write happens, so a cursor never passes a record that is written afterwards.
+//   syncCollection(namespace, collection, incoming, { afterSeq, limit })
+//     -> { rejected: [stored winner], page: [{ ...record, seq }], hasMore }
+// Writes are last-writer-wins (isNewerRecord) checked and applied in one atomic step; `page` is
+// what was written after `afterSeq`, oldest first.
+
+function recordsKey(namespace, collection) {
+  return `sync:${namespace}:${collection}`;
+}
+
+function sequenceIndexKey(namespace, collection) {
+  return `sync:${namespace}:${collection}:seq`;
+}
+
+function counterKey(namespace) {
+  return `sync:${namespace}:seq`;
+}
+
+function parseStored(value) {
+  if (value && typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return null;
+  }
+}
+
+// KEYS: records hash, sequence zset, counter. ARGV: afterSeq, limit, count, then per incoming
+// record id, updatedAt, deleted (1/0) and its JSON. The JSON is stored as sent; cjson would
+// re-encode empty arrays as objects.
+const SYNC_COLLECTION_SCRIPT = `
+local records_key, index_key, counter_key = KEYS[1], KEYS[2], KEYS[3]
+local after_seq = tonumber(ARGV[1])
+local limit = tonumber(ARGV[2])
+local count = tonumber(ARGV[3])
+
+-- Collections stored before sequencing existed get their numbers once.
+if redis.call('EXISTS', index_key) == 0 then
+  for _, id in ipairs(redis.call('HKEYS', records_key)) do
+    redis.call('ZADD', index_key, redis.call('INCR', counter_key), id)
+  end
+end
+
+local results = {}
+for i = 0, count - 1 do
+  local base = 4 + i * 4
+  local id = ARGV[base]
+  local updated_at = tonumber(ARGV[base + 1])
+  local deleted = ARGV[base + 2] == '1'
+  local current = redis.call('HGET', records_key, id)
+  local newer = true
+  if current then
+    local stored = cjson.decode(current)
+    local stored_at = tonumber(stored.updatedAt) or 0
+    if updated_at ~= stored_at then
+      newer = updated_at > stored_at
+    else
+      newer = deleted and stored.deleted ~= true
+    end
+  end
+  if newer then
+    redis.call('HSET', records_key, id, ARGV[base + 3])
+    redis.call('ZADD', index_key, redis.call('INCR', counter_key), id)
+    results[#results + 1] = ''
+  else
+    results[#results + 1] = current
+  end
+end
+
+local entries = redis.call('ZRANGEBYSCORE', index_key, '(' .. after_seq, '+inf', 'WITHSCORES', 'LIMIT', 0, limit + 1)
+local page = {}
+for i = 1, math.min(#entries, limit * 2), 2 do
+  page[#page + 1] = entries[i + 1]
+  page[#page + 1] = redis.call('HGET', records_key, entries[i]) or ''
+end
+return { results, page, #entries > limit * 2 and 1 or 0 }
+`;
+
+export function createKvSyncStore(client = kv) {
+  return {
+    async syncCollection(namespace, collection, incoming, { afterSeq, limit }) {
+      const args = [afterSeq, limit, incoming.length];
+      incoming.forEach((record) => {
+        args.push(record.id, record.updatedAt, record.deleted ? 1 : 0, JSON.stringify(record));
+      });
+      const [results, entries, hasMore] = await client.eval(
+        SYNC_COLLECTION_SCRIPT,
+        [recordsKey(namespace, collection), sequenceIndexKey(namespace, collection), counterKey(namespace)],
+        args,
+      );
+
+      const rejected = results.map((value) => (value ? parseStored(value) : null)).filter(Boolean);
+      const page = [];
+      for (let i = 0; i < entries.length; i += 2) {
+        const record = entries[i + 1] ? parseStored(entries[i + 1]) : null;
+        if (record) page.push({ ...record, seq: Number(entries[i]) });
+      }
+      return { rejected, page, hasMore: Number(hasMore) === 1 };
+    },
+  };
+}
+
+export function createMemorySyncStore() {
+  const collections = new Map();
+  const counters = new Map();
+
+  // Synchronous from read to write, so each call is atomic within the process.
+  return {
+    async syncCollection(namespace, collection, incoming, { afterSeq, limit }) {
+      const key = recordsKey(namespace, collection);
+      if (!collections.has(key)) collections.set(key, new Map());
+      const records = collections.get(key);
+
+      const rejected = [];
+      incoming.forEach((record) => {
+        const current = records.get(record.id);
+        if (current && !isNewerRecord(record, current.record)) {
+          rejected.push(structuredClone(current.record));
+          return;
+        }
+        const seq = (counters.get(namespace) || 0) + 1;
+        counters.set(namespace, seq);
+        records.set(record.id, { record: structuredClone(record), seq });
+      });
+
+      const pending = [...records.values()]
+        .filter((entry) => entry.seq > afterSeq)
+        .sort((a, b) => a.seq - b.seq);
+      const page = pending.slice(0, limit).map((entry) => ({ ...structuredClone(entry.record), seq: entry.seq }));
+      return { rejected, page, hasMore: pending.length > limit };
+    },
+  };
+}
+
+let activeStore = null;
+
+/**
+ * KV in deployments; `SYNC_STORE=memory` (or `setSyncStore`) swaps in the in-memory store for local runs and tests.
+ */
+export function getSyncStore() {
+  if (!activeStore) {
+    activeStore = process.env.SYNC_STORE === 'memory' ? createMemorySyncStore() : createKvSyncStore();
+  }
+  return activeStore;
+}
+
+export function setSyncStore(store) {
+  activeStore = store;
+}
@@ -0,0 +1,94 @@
+import {
+    consumeLoginToken,
+    createLoginToken,
+    createSession,
+    deleteSession,
+    findOrCreateUser,
+    getAppOrigin,
+    getBearerToken,
+    getSessionUser,
+    normalizeEmail,
+} from './_auth.js';
+import { getMailer } from './_mailer.js';
+import { consumeLoginLinkLimit, getClientIp, getRateLimitStore } from './_rate_limit.js';
+
+// GET                                  -> { user } for the session in the Authorization header
+// POST { action: 'request', email }    -> mails a one-time login link
+// POST { action: 'verify', token }     -> { sessionToken, user }
+// DELETE                               -> ends the current session
+export default async function handler(req, res) {
+    try {
+        if (req.method === 'GET') {
+            const user = await getSessionUser(getBearerToken(req));
+            if (!user) return res.status(401).json({ error: 'Session expired', code: 'session_expired' });
+            return res.status(200).json({ user: publicUser(user) });
+        }
+
+        if (req.method === 'DELETE') {
+            await deleteSession(getBearerToken(req));
+            return res.status(200).json({ success: true });
+        }
+
+        if (req.method !== 'POST') {
+            res.setHeader('Allow', 'GET, POST, DELETE');
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const { action } = req.body || {};
+        if (action === 'request') {
+            const email = normalizeEmail(req.body?.email);
+            if (!email) return res.status(400).json({ error: 'Invalid email' });
+
+            const origin = getAppOrigin();
+            const mailer = getMailer();
+            const limit = await checkLoginLinkLimit(req, email);
+            if (!limit.allowed) {
+                res.setHeader('Retry-After', String(limit.retryAfterSeconds));
+                return res.status(429).json({
+                    error: 'Too many login link requests',
+                    code: 'rate_limited',
+                    retryAfter: limit.retryAfterSeconds,
+                });
+            }
+
+            const token = await createLoginToken(email);
+            const link = `${origin}/?login=${encodeURIComponent(token)}`;
+            await mailer.send({
+                to: email,
+                subject: 'AI Chat 로그인 링크',
+                text: `아래 링크를 열면 로그인됩니다. 링크는 15분 동안 한 번만 쓸 수 있습니다.\n\n${link}`,
+                html: `<p>아래 링크를 열면 로그인됩니다. 링크는 15분 동안 한 번만 쓸 수 있습니다.</p><p><a href="${link}">로그인</a></p>`,
+            });
+            return res.status(200).json({ success: true });
+        }
+
+        if (action === 'verify') {
+            const email = await consumeLoginToken(String(req.body?.token || ''));
+            if (!email) return res.status(400).json({ error: 'Login link expired or already used', code: 'invalid_login_token' });
+
+            const user = await findOrCreateUser(email);
+            const sessionToken = await createSession(user.id);
+            return res.status(200).json({ sessionToken, user: publicUser(user) });
+        }
+
+        return res.status(400).json({ error: 'Unknown action' });
+    } catch (error) {
+        console.error('Auth error:', error);
+        return res.status(error.status || 500).json({ error: error.message || 'Auth failed' });
+    }
+}
+
+function publicUser(user) {
+    return { id: user.id, email: user.email };
+}
+
+async function checkLoginLinkLimit(req, email) {
+    if (process.env.RATE_LIMIT_DISABLED === 'true') return { allowed: true, retryAfterSeconds: 0 };
+    try {
+        return await consumeLoginLinkLimit(getRateLimitStore(), { ip: getClientIp(req), email });
+    } catch (error) {
+        // Same as the Gemini routes: a broken limiter store should not block sign-in.
+        console.error('Rate limit store error:', error);
+        return { allowed: true, retryAfterSeconds: 0 };
+    }
+}
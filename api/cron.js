@@ -1,5 +1,24 @@
 import { kv } from '@vercel/kv';
 import webpush from 'web-push';
+import { authorizeRequest } from './_auth.js';
+import { buildChatSystemPrompt } from './_chat_prompt.js';
+import { callGeminiGenerateContent, extractCandidateText, getServerApiKey } from './_gemini_shared.js';
+import {
+    buildProactivePrompt,
+    deleteProactiveData,
+    endpointFromSubscriptionKey,
+    getInboxMessages,
+    getLastProactiveSlot,
+    getProactiveContext,
+    getProactiveSkipReason,
+    parseSubscriptionRecord,
+    proactiveOwner,
+    pushInboxMessage,
+    setLastProactiveSlot,
+    subscriptionKey,
+    userSubscriptionsKey,
+} from './_proactive.js';
+import { CRON_INTERVAL_MINUTES, getNotificationDecision } from './_notification_schedule.js';
 
 // Configuration
 webpush.setVapidDetails(
@@ -8,61 +27,120 @@ webpush.setVapidDetails(
     process.env.VAPID_PRIVATE_KEY
 );
 
+// Minutes between scheduled runs; must match vercel.json (hourly by default, daily on Hobby
+// plans, see .env.example).
+const cronIntervalMinutes = Number(process.env.CRON_INTERVAL_MINUTES) || CRON_INTERVAL_MINUTES;
+
 export default async function handler(req, res) {
-    // 1. Check if it's the right time (9 AM - 10 PM KST)
-    // Vercel Cron uses UTC. KST is UTC+9.
+    // Each subscriber's own schedule decides whether this run messages them.
     const now = new Date();
-    const hourKST = (now.getUTCHours() + 9) % 24;
-
     const isTest = req.query?.test === 'true';
 
-    if (!isTest && (hourKST < 9 || hourKST >= 22)) {
-        return res.status(200).json({ skipped: 'Outside active hours (09:00 - 22:00)' });
-    }
-
-    // 2. Random logic: ~2.3 times a day
-    // If run every hour (13 hours total), 2.3/13 = ~17% chance per hour
-    if (!isTest && Math.random() > 0.17) {
-        return res.status(200).json({ skipped: 'Random skip' });
+    // Scheduled runs carry CRON_SECRET (Vercel sends it as a bearer token) and reach everyone. A
+    // test run from the settings page reaches only the caller: a signed-in user's devices, or the
+    // one anonymous subscription named by `endpoint`.
+    const hasCronSecret = Boolean(process.env.CRON_SECRET)
+        && req.headers?.authorization === `Bearer ${process.env.CRON_SECRET}`;
+    let targetKeys = null;
+    if (isTest && !hasCronSecret) {
+        const auth = await authorizeRequest(req, res);
+        if (!auth) return;
+        targetKeys = await getTestTargetKeys(auth.user, String(req.query?.endpoint || ''));
+        if (!targetKeys) {
+            return res.status(400).json({ error: 'Missing or unknown push subscription endpoint' });
+        }
+    } else if (!isTest && process.env.CRON_SECRET && !hasCronSecret) {
+        return res.status(401).json({ error: 'Unauthorized' });
     }
 
     try {
-        // 3. Generate message via Gemini
-        const message = await generateProactiveMessage();
-
-        // 4. Send to all subscribers
-        const subKeys = await kv.smembers('subscriptions');
+        // Write a message per owner from their own conversation context
+        const subKeys = targetKeys || await kv.smembers('subscriptions');
         const totalSubscriptions = subKeys.length;
         const results = [];
+        // A signed-in user's devices share one message per run instead of each getting their own.
+        const sentByOwner = new Map();
 
         console.log(`Found ${totalSubscriptions} subscriptions`);
 
         for (const key of subKeys) {
-            const sub = await kv.get(key);
-            if (sub) {
-                try {
-                    await webpush.sendNotification(typeof sub === 'string' ? JSON.parse(sub) : sub, JSON.stringify({
-                        title: 'AI Friend',
-                        body: message
-                    }));
-                    results.push({ key, status: 'success' });
-                } catch (err) {
-                    console.error(`Error sending to ${key}:`, err);
-                    if (err.statusCode === 410 || err.statusCode === 404) {
-                        // Subscription expired or not found, remove it
-                        await kv.srem('subscriptions', key);
-                        await kv.del(key);
+            const record = parseSubscriptionRecord(await kv.get(key));
+            if (!record) continue;
+
+            const endpoint = endpointFromSubscriptionKey(key);
+            const owner = proactiveOwner(record.userId, endpoint);
+            let sent = sentByOwner.get(owner);
+            let slotKey = '';
+            if (!isTest) {
+                const decision = getNotificationDecision(record.schedule, now, { intervalMinutes: cronIntervalMinutes });
+                if (!decision.send) {
+                    results.push({ key, status: 'skipped', reason: decision.reason });
+                    continue;
+                }
+                if (!sent && await getLastProactiveSlot(owner) === decision.slotKey) {
+                    results.push({ key, status: 'skipped', reason: 'slot-already-handled' });
+                    continue;
+                }
+                slotKey = decision.slotKey;
+            }
+
+            if (!sent) {
+                const context = await getProactiveContext(owner);
+                const inbox = await getInboxMessages(owner);
+                const skipReason = getProactiveSkipReason(context, inbox, now);
+                if (skipReason && !isTest) {
+                    results.push({ key, status: 'skipped', reason: skipReason });
+                    continue;
+                }
+                sent = { context };
+            }
+
+            try {
+                if (!sent.message) {
+                    const text = await generateProactiveMessage(sent.context);
+                    sent.message = {
+                        id: `proactive-${now.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+                        conversationId: sent.context?.conversationId || '',
+                        text,
+                        createdAt: new Date().toISOString(),
+                    };
+                    // Store first so the client can sync it even if the push itself is dropped.
+                    await pushInboxMessage(owner, sent.message);
+                    sentByOwner.set(owner, sent);
+                    // The slot is used up only once its message exists. Skip reasons and failed
+                    // generations leave it open, so a retried run in the same interval checks again.
+                    if (slotKey) await setLastProactiveSlot(owner, slotKey);
+                }
+                const { message } = sent;
+
+                await webpush.sendNotification(record.subscription, JSON.stringify({
+                    title: sent.context?.aiName || 'AI Friend',
+                    body: message.text,
+                    conversationId: message.conversationId,
+                    messageId: message.id,
+                }));
+                results.push({ key, status: 'success', messageId: message.id });
+            } catch (err) {
+                console.error(`Error sending to ${key}:`, err);
+                if (err.statusCode === 410 || err.statusCode === 404) {
+                    // Subscription expired or not found, remove it
+                    await kv.srem('subscriptions', key);
+                    await kv.del(key);
+                    if (record.userId) {
+                        await kv.srem(userSubscriptionsKey(record.userId), key);
+                    } else {
+                        await deleteProactiveData(owner);
                     }
-                    results.push({ key, status: 'failed', error: err.message, code: err.statusCode });
                 }
+                results.push({ key, status: 'failed', error: err.message, code: err.statusCode });
             }
         }
 
+        // Subscription keys are push endpoints, which unlock /api/proactive; they stay in the logs.
         return res.status(200).json({
             success: true,
-            message,
             totalSubscriptions,
-            results
+            results: results.map(({ key, ...result }) => result)
         });
     } catch (error) {
         console.error('Cron job error:', error);
@@ -70,41 +148,33 @@ export default async function handler(req, res) {
     }
 }
 
-async function generateProactiveMessage() {
-    const apiKey = process.env.VITE_GEMINI_API_KEY;
-    if (!apiKey) throw new Error('API Key missing');
-
-    const prompt = `
-    당신은 사용자의 친한 이성 친구입니다. 
-    오전 9시에서 오후 10시 사이의 일상적인 시간대에 사용자에게 먼저 말을 거는 상황입니다.
-    
-    규칙:
-    1. 친구처럼 반말을 사용하세요. (예: "뭐해?", "밥 먹었어?")
-    2. 너무 길지 않게, 딱 한두 문장으로 간단히 보내세요.
-    3. 일상적인 질문이나 자신의 상황(예: "나 지금 카페 왔는데 너 생각나서 연락했어")을 언급하세요.
-    4. 너무 인공지능 같지 않게 자연스러워야 합니다.
-    
-    메시지 한 줄만 출력하세요.
-  `;
+/**
+ * Subscription keys a test run may reach: the signed-in user's, or the anonymous subscription
+ * for `endpoint`. Null when the caller has nothing to test against.
+ */
+async function getTestTargetKeys(user, endpoint) {
+    if (user?.id) return kv.smembers(userSubscriptionsKey(user.id));
+    if (!endpoint) return null;
+    const key = subscriptionKey(endpoint);
+    const record = parseSubscriptionRecord(await kv.get(key));
+    return record && !record.userId ? [key] : null;
+}
 
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-3-flash-preview:generateContent?key=${apiKey}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            contents: [{ parts: [{ text: prompt }] }]
-        })
+async function generateProactiveMessage(context) {
+    const data = await callGeminiGenerateContent({
+        apiKey: getServerApiKey(),
+        body: {
+            systemInstruction: {
+                parts: [{ text: buildChatSystemPrompt(context || {}) }],
+            },
+            contents: [{ role: 'user', parts: [{ text: buildProactivePrompt(context) }] }],
+        },
     });
 
-    const data = await response.json();
-
-    if (data.error) {
-        throw new Error(`Gemini API Error: ${data.error.message}`);
-    }
-
-    if (!data.candidates || data.candidates.length === 0) {
+    const text = extractCandidateText(data);
+    if (!text) {
         console.error('Gemini API No Candidates:', JSON.stringify(data));
         throw new Error('Gemini API returned no candidates. Check safety settings or prompt.');
     }
-
-    return data.candidates[0].content.parts[0].text.trim();
+    return text;
 }
@@ -11,13 +11,19 @@ import {
   parseJsonSafely,
   pickBestCorrectedText,
 } from './_gemini_shared.js';
+import { authorizeRequest } from './_auth.js';
+import { withRateLimit } from './_rate_limit.js';
+import { withResponseCache } from './_response_cache_store.js';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'POST') {
     res.setHeader('Allow', 'POST');
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  const auth = await authorizeRequest(req, res);
+  if (!auth) return;
+
   const { text = '', model } = req.body || {};
   const input = String(text || '').trim();
   if (!input) return res.status(400).json({ error: 'text is required' });
@@ -187,6 +193,9 @@ Text:
       naturalReason: '',
       naturalRewrite: '',
       error: error.message || 'Grammar feedback failed',
+      code: error.code,
     });
   }
 }
+
+export default withResponseCache('grammar-feedback', withRateLimit('grammar-feedback', handler));
@@ -5,41 +5,52 @@ import {
   getServerApiKey,
   parseJsonSafely,
 } from './_gemini_shared.js';
+import {
+  MEMORY_SUMMARY_MAX_LINES,
+  MEMORY_SUMMARY_OUTPUT_MAX_CHARS,
+  MEMORY_PROFILE_MAX_ITEMS_PER_FIELD,
+  applyPinnedMemory,
+  buildMemorySummary,
+  isMemoryProfileEmpty,
+  memoryProfilesEqual,
+  mergeMemoryProfiles,
+  profileFromLegacySummary,
+  rebalanceMemoryProfile,
+  sanitizeMemoryProfile,
+  sanitizeMemorySummary,
+} from './_memory_profile.js';
+import { authorizeRequest } from './_auth.js';
+import { withRateLimit } from './_rate_limit.js';
 
 const MEMORY_SUMMARY_INPUT_MAX_CHARS = 2600;
-const MEMORY_SUMMARY_OUTPUT_MAX_CHARS = 1400;
-const MEMORY_SUMMARY_MAX_LINES = 12;
-const MEMORY_PROFILE_MAX_ITEMS_PER_FIELD = 8;
-const MEMORY_PROFILE_MAX_ITEM_CHARS = 180;
-
-const MEMORY_PROFILE_KEYS = [
-  'hobbies',
-  'goals',
-  'projects',
-  'personalityTraits',
-  'dailyRoutine',
-  'preferences',
-  'background',
-  'notes',
-];
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'POST') {
     res.setHeader('Allow', 'POST');
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { currentSummary = '', currentMemoryProfile = null, history = [], model } = req.body || {};
+  const auth = await authorizeRequest(req, res);
+  if (!auth) return;
+
+  const {
+    currentSummary = '',
+    currentMemoryProfile = null,
+    pinnedMemoryProfile = null,
+    history = [],
+    model,
+  } = req.body || {};
   const apiKey = getServerApiKey();
   if (!apiKey) return res.status(500).json({ error: 'Missing GEMINI_API_KEY' });
 
   const normalizedHistory = normalizeChatHistory(history);
   const safeCurrentSummary = String(currentSummary || '').trim().slice(0, MEMORY_SUMMARY_INPUT_MAX_CHARS);
   const legacyProfile = profileFromLegacySummary(safeCurrentSummary);
-  const safeCurrentProfile = rebalanceMemoryProfile(mergeMemoryProfiles(
+  const safePinnedProfile = sanitizeMemoryProfile(pinnedMemoryProfile);
+  const safeCurrentProfile = applyPinnedMemory(rebalanceMemoryProfile(mergeMemoryProfiles(
     sanitizeMemoryProfile(currentMemoryProfile),
     legacyProfile
-  ));
+  )), safePinnedProfile);
   const resolvedModel = getModelFromRequest({ model });
 
   if (normalizedHistory.length === 0) {
@@ -151,7 +162,7 @@ ${normalizedHistory.map((m) => `${m.role.toUpperCase()}: ${m.text}`).join('\n')}
       console.warn('memory-summary structured parse fallback used:', parseError?.message || parseError);
     }
 
-    const memoryProfile = rebalanceMemoryProfile(sanitizeMemoryProfile(nextProfile));
+    const memoryProfile = applyPinnedMemory(rebalanceMemoryProfile(sanitizeMemoryProfile(nextProfile)), safePinnedProfile);
     const memorySummary = buildMemorySummary(memoryProfile);
 
     return res.status(200).json({
@@ -161,10 +172,12 @@ ${normalizedHistory.map((m) => `${m.role.toUpperCase()}: ${m.text}`).join('\n')}
     });
   } catch (error) {
     console.error('memory-summary api error:', error);
-    return res.status(error.status || 500).json({ error: error.message || 'Memory summary failed' });
+    return res.status(error.status || 500).json({ error: error.message || 'Memory summary failed', code: error.code });
   }
 }
 
+export default withRateLimit('memory-summary', handler);
+
 function normalizeChatHistory(history) {
   if (!Array.isArray(history)) return [];
   return history
@@ -176,345 +189,3 @@ function normalizeChatHistory(history) {
     .slice(-20);
 }
 
-function emptyMemoryProfile() {
-  return {
-    hobbies: [],
-    goals: [],
-    projects: [],
-    personalityTraits: [],
-    dailyRoutine: [],
-    preferences: [],
-    background: [],
-    notes: [],
-  };
-}
-
-function sanitizeMemoryProfile(value) {
-  const base = emptyMemoryProfile();
-  const source = value && typeof value === 'object' ? value : {};
-
-  for (const key of MEMORY_PROFILE_KEYS) {
-    base[key] = normalizeStringArray(source[key]);
-  }
-
-  return base;
-}
-
-function normalizeStringArray(value) {
-  if (!Array.isArray(value)) return [];
-
-  const items = [];
-  for (const raw of value) {
-    const text = String(raw || '')
-      .trim()
-      .replace(/\s+/g, ' ')
-      .replace(/^\[(hobby|hobbies|goal|goals|project|projects|trait|traits|personality|routine|daily routine|preference|preferences|background|note|notes)\]\s*/i, '')
-      .replace(/^[-•*]\s*/, '')
-      .slice(0, MEMORY_PROFILE_MAX_ITEM_CHARS)
-      .trim();
-    if (!text) continue;
-    if (items.some((existing) => areMemoryItemsNearDuplicate(existing, text))) continue;
-    items.push(text);
-    if (items.length >= MEMORY_PROFILE_MAX_ITEMS_PER_FIELD) break;
-  }
-  return items;
-}
-
-function mergeMemoryProfiles(primary, secondary) {
-  const a = sanitizeMemoryProfile(primary);
-  const b = sanitizeMemoryProfile(secondary);
-  const merged = emptyMemoryProfile();
-
-  for (const key of MEMORY_PROFILE_KEYS) {
-    const items = [];
-    for (const candidate of [...a[key], ...b[key]]) {
-      if (items.some((existing) => areMemoryItemsNearDuplicate(existing, candidate))) continue;
-      items.push(candidate);
-      if (items.length >= MEMORY_PROFILE_MAX_ITEMS_PER_FIELD) break;
-    }
-    merged[key] = items;
-  }
-
-  return merged;
-}
-
-function isMemoryProfileEmpty(profile) {
-  const safe = sanitizeMemoryProfile(profile);
-  return MEMORY_PROFILE_KEYS.every((key) => safe[key].length === 0);
-}
-
-function memoryProfilesEqual(a, b) {
-  const left = sanitizeMemoryProfile(a);
-  const right = sanitizeMemoryProfile(b);
-  return MEMORY_PROFILE_KEYS.every((key) => JSON.stringify(left[key]) === JSON.stringify(right[key]));
-}
-
-function profileFromLegacySummary(summary) {
-  const text = String(summary || '').trim();
-  if (!text) return emptyMemoryProfile();
-
-  const bullets = sanitizeMemorySummary(text)
-    .split('\n')
-    .map((line) => line.replace(/^-\s*/, '').trim())
-    .filter(Boolean);
-
-  if (bullets.length === 0) return emptyMemoryProfile();
-
-  const seeded = {
-    ...emptyMemoryProfile(),
-    notes: normalizeStringArray(bullets),
-  };
-  return rebalanceMemoryProfile(seeded);
-}
-
-function rebalanceMemoryProfile(profile) {
-  const safe = sanitizeMemoryProfile(profile);
-  const next = emptyMemoryProfile();
-
-  // Keep explicit fields first.
-  for (const key of MEMORY_PROFILE_KEYS) {
-    if (key === 'notes') continue;
-    next[key] = [...safe[key]];
-  }
-
-  const remainingNotes = [];
-  for (const note of safe.notes) {
-    const tagged = parseTaggedMemoryItem(note);
-    if (tagged) {
-      pushUnique(next[tagged.key], tagged.text);
-      continue;
-    }
-
-    const guessedKey = classifyMemoryItem(note);
-    if (guessedKey && guessedKey !== 'notes') {
-      pushUnique(next[guessedKey], note);
-    } else {
-      remainingNotes.push(note);
-    }
-  }
-
-  next.notes = normalizeStringArray(remainingNotes);
-
-  // Remove note items that substantially duplicate explicit fields.
-  const explicitItems = MEMORY_PROFILE_KEYS
-    .filter((key) => key !== 'notes')
-    .flatMap((key) => next[key]);
-  next.notes = next.notes.filter((note) => !explicitItems.some((item) => areMemoryItemsNearDuplicate(item, note)));
-
-  // Normalize and cap all arrays after redistribution.
-  for (const key of MEMORY_PROFILE_KEYS) {
-    next[key] = normalizeStringArray(next[key]);
-  }
-  return next;
-}
-
-function parseTaggedMemoryItem(value) {
-  const text = String(value || '').trim();
-  const match = text.match(/^\[(.+?)\]\s*(.+)$/);
-  if (!match) return null;
-
-  const rawLabel = match[1].trim().toLowerCase();
-  const payload = match[2].trim();
-  if (!payload) return null;
-
-  const labelMap = {
-    hobby: 'hobbies',
-    hobbies: 'hobbies',
-    goal: 'goals',
-    goals: 'goals',
-    project: 'projects',
-    projects: 'projects',
-    trait: 'personalityTraits',
-    traits: 'personalityTraits',
-    personality: 'personalityTraits',
-    routine: 'dailyRoutine',
-    'daily routine': 'dailyRoutine',
-    preference: 'preferences',
-    preferences: 'preferences',
-    background: 'background',
-    note: 'notes',
-    notes: 'notes',
-  };
-
-  const key = labelMap[rawLabel];
-  if (!key) return null;
-  return { key, text: payload };
-}
-
-function classifyMemoryItem(value) {
-  const text = String(value || '').trim().toLowerCase();
-  if (!text) return 'notes';
-
-  if (/(like|enjoy|favorite|into|listen(?:s|ing)? to|read(?:s|ing)?)\b.*\b(music|rock|lo-?fi|reading|books|games?|movies?|coffee|cafes?|coffee shops?)/.test(text)) return 'hobbies';
-  if (/\b(goal|want to|trying to|hope to|aim to|improve|learn)\b/.test(text)) return 'goals';
-  if (/\b(building|working on|develop|project|app|startup)\b/.test(text)) return 'projects';
-  if (/\bprefer|likes? .*feedback|concise feedback|short answers?|direct answers?|quiet coffee shops?|large windows|scenic views?\b/.test(text)) return 'preferences';
-  if (/\busually|every day|daily|at night|in the morning|routine|often\b/.test(text)) return 'dailyRoutine';
-  if (/\bmajor|majored|college|university|job|work as|background|computer science\b/.test(text)) return 'background';
-  if (/\b(nervous|confident|introvert|extrovert|shy|curious|patient)\b/.test(text)) return 'personalityTraits';
-
-  return 'notes';
-}
-
-function pushUnique(target, item) {
-  const text = String(item || '').trim();
-  if (!text) return;
-  if (target.some((existing) => areMemoryItemsNearDuplicate(existing, text))) return;
-  target.push(text);
-}
-
-function areMemoryItemsNearDuplicate(a, b) {
-  const left = String(a || '').trim();
-  const right = String(b || '').trim();
-  if (!left || !right) return false;
-
-  const leftNorm = normalizeMemoryComparable(left);
-  const rightNorm = normalizeMemoryComparable(right);
-  if (!leftNorm || !rightNorm) return false;
-  if (leftNorm === rightNorm) return true;
-
-  if (leftNorm.length >= 24 && rightNorm.length >= 24) {
-    if (leftNorm.includes(rightNorm) || rightNorm.includes(leftNorm)) return true;
-  }
-
-  const leftTokens = comparableTokens(leftNorm);
-  const rightTokens = comparableTokens(rightNorm);
-  if (leftTokens.length === 0 || rightTokens.length === 0) return false;
-
-  const leftSet = new Set(leftTokens);
-  const rightSet = new Set(rightTokens);
-  let intersection = 0;
-  for (const token of leftSet) {
-    if (rightSet.has(token)) intersection += 1;
-  }
-  const minSize = Math.min(leftSet.size, rightSet.size);
-  if (minSize < 3) return false;
-
-  const overlap = intersection / minSize;
-  return overlap >= 0.8;
-}
-
-function normalizeMemoryComparable(text) {
-  return String(text || '')
-    .toLowerCase()
-    .replace(/\[[^\]]+\]\s*/g, '')
-    .replace(/[^a-z0-9\s]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-
-function comparableTokens(text) {
-  const stopwords = new Set([
-    'the', 'a', 'an', 'and', 'or', 'to', 'of', 'in', 'on', 'at', 'for', 'with', 'as', 'such',
-    'is', 'are', 'am', 'be', 'being', 'been', 'it', 'that', 'this', 'while', 'especially',
-    'currently', 'really', 'very', 'personally'
-  ]);
-
-  return String(text || '')
-    .split(' ')
-    .map((token) => token.trim())
-    .filter(Boolean)
-    .map((token) => token.replace(/(ing|ed|s)$/i, ''))
-    .filter((token) => token.length >= 3 && !stopwords.has(token));
-}
-
-function buildMemorySummary(profile) {
-  const safe = sanitizeMemoryProfile(profile);
-  const sectionLabels = {
-    hobbies: 'Hobby',
-    goals: 'Goal',
-    projects: 'Project',
-    personalityTraits: 'Trait',
-    dailyRoutine: 'Routine',
-    preferences: 'Preference',
-    background: 'Background',
-    notes: 'Note',
-  };
-
-  const bullets = [];
-  for (const key of MEMORY_PROFILE_KEYS) {
-    for (const item of safe[key]) {
-      bullets.push(`- [${sectionLabels[key]}] ${item}`);
-    }
-  }
-
-  const clipped = clipBulletLines(bullets, {
-    maxLines: MEMORY_SUMMARY_MAX_LINES,
-    maxChars: MEMORY_SUMMARY_OUTPUT_MAX_CHARS,
-  });
-  return sanitizeMemorySummary(clipped, '');
-}
-
-function sanitizeMemorySummary(value, fallback = '') {
-  const text = String(value || '').trim();
-  if (!text) return String(fallback || '').trim();
-
-  const lines = text
-    .split('\n')
-    .map((line) => line.trim())
-    .filter(Boolean)
-    .map((line) => (line.startsWith('- ') ? line : `- ${line.replace(/^[•*-]\s*/, '')}`));
-
-  const cleanedLines = removeDanglingTrailingBullets(lines);
-  const clipped = clipBulletLines(cleanedLines, {
-    maxLines: MEMORY_SUMMARY_MAX_LINES,
-    maxChars: MEMORY_SUMMARY_OUTPUT_MAX_CHARS,
-  });
-  const cleanedClipped = sanitizeClippedBullets(clipped);
-  return cleanedClipped || String(fallback || '').trim();
-}
-
-function clipBulletLines(lines, { maxLines, maxChars }) {
-  const limitedLines = (Array.isArray(lines) ? lines : []).slice(0, maxLines);
-  const kept = [];
-  let used = 0;
-
-  for (const line of limitedLines) {
-    const candidate = String(line || '').trim();
-    if (!candidate) continue;
-    const separatorCost = kept.length > 0 ? 1 : 0;
-    const nextCost = separatorCost + candidate.length;
-    if (used + nextCost <= maxChars) {
-      kept.push(candidate);
-      used += nextCost;
-      continue;
-    }
-    break;
-  }
-
-  if (kept.length === 0 && limitedLines.length > 0) {
-    const first = String(limitedLines[0] || '').trim();
-    const hard = first.slice(0, Math.max(0, maxChars));
-    const soft = hard.replace(/\s+\S*$/, '').trim();
-    return (soft || hard).trim();
-  }
-
-  return kept.join('\n').trim();
-}
-
-function removeDanglingTrailingBullets(lines) {
-  const next = [...(Array.isArray(lines) ? lines : [])];
-  while (next.length > 0 && isLikelyDanglingBullet(next[next.length - 1])) {
-    next.pop();
-  }
-  return next;
-}
-
-function sanitizeClippedBullets(text) {
-  const lines = String(text || '')
-    .split('\n')
-    .map((line) => line.trim())
-    .filter(Boolean);
-  const cleaned = removeDanglingTrailingBullets(lines);
-  return cleaned.join('\n').trim();
-}
-
-function isLikelyDanglingBullet(line) {
-  const raw = String(line || '').trim();
-  if (!raw) return true;
-  const content = raw.replace(/^[-•*]\s*/, '').trim();
-  if (!content) return true;
-  if (content.length <= 4) return true;
-  if (/^[A-Za-z]+$/.test(content) && content.length < 12) return true;
-  return false;
-}
@@ -10,13 +10,19 @@ import {
   parseJsonSafely,
   prepareNativeAlternativesSource,
 } from './_gemini_shared.js';
+import { authorizeRequest } from './_auth.js';
+import { withRateLimit } from './_rate_limit.js';
+import { withResponseCache } from './_response_cache_store.js';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'POST') {
     res.setHeader('Allow', 'POST');
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  const auth = await authorizeRequest(req, res);
+  if (!auth) return;
+
   const { text = '', model } = req.body || {};
   const input = String(text || '').trim();
   if (!input) return res.status(400).json({ error: 'text is required' });
@@ -164,6 +170,8 @@ Message:
     throw new Error('Insufficient alternatives');
   } catch (error) {
     console.error('native-alternatives api error:', error);
-    return res.status(200).json({ alternatives: buildFallbackNativeAlternatives(preparedSourceText || input), error: error.message || 'Fallback used' });
+    return res.status(200).json({ alternatives: buildFallbackNativeAlternatives(preparedSourceText || input), error: error.message || 'Fallback used', code: error.code });
   }
 }
+
+export default withResponseCache('native-alternatives', withRateLimit('native-alternatives', handler));
@@ -0,0 +1,52 @@
+import { kv } from '@vercel/kv';
+import { authorizeRequest } from './_auth.js';
+import {
+    ackInboxMessages,
+    getInboxMessages,
+    parseSubscriptionRecord,
+    proactiveOwner,
+    saveProactiveContext,
+    subscriptionKey,
+} from './_proactive.js';
+
+// Per-subscriber proactive chat state. Signed-in users share one state across their devices;
+// anonymous subscribers are keyed by the push subscription endpoint.
+// POST { endpoint, context } stores what cron should write from.
+// GET ?endpoint= returns messages cron wrote that the client has not synced yet.
+// POST { endpoint, ack: [ids] } removes synced messages.
+export default async function handler(req, res) {
+    const auth = await authorizeRequest(req, res);
+    if (!auth) return;
+
+    const endpoint = String((req.method === 'GET' ? req.query?.endpoint : req.body?.endpoint) || '');
+    if (!endpoint) {
+        return res.status(400).json({ error: 'Missing endpoint' });
+    }
+
+    // Only known subscriptions may read or write proactive state, and only their owner.
+    const record = parseSubscriptionRecord(await kv.get(subscriptionKey(endpoint)));
+    const userId = auth.user?.id || '';
+    if (!record || record.userId !== userId) {
+        return res.status(404).json({ error: 'Unknown subscription' });
+    }
+    const owner = proactiveOwner(userId, endpoint);
+
+    if (req.method === 'GET') {
+        const messages = await getInboxMessages(owner);
+        return res.status(200).json({ messages });
+    }
+
+    if (req.method === 'POST') {
+        if (Array.isArray(req.body?.ack)) {
+            await ackInboxMessages(owner, req.body.ack);
+            return res.status(200).json({ success: true });
+        }
+        if (req.body?.context && typeof req.body.context === 'object') {
+            await saveProactiveContext(owner, req.body.context);
+            return res.status(200).json({ success: true });
+        }
+        return res.status(400).json({ error: 'Expected context or ack' });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+}
@@ -1,17 +1,35 @@
 import { kv } from '@vercel/kv';
+import { authorizeRequest } from './_auth.js';
+import { sanitizeNotificationSchedule } from './_notification_schedule.js';
+import { parseSubscriptionRecord, subscriptionKey, userSubscriptionsKey } from './_proactive.js';
 
 export default async function handler(req, res) {
     if (req.method === 'POST') {
-        const subscription = req.body;
+        const auth = await authorizeRequest(req, res);
+        if (!auth) return;
+
+        // Body is { subscription, schedule }; older clients post the bare subscription.
+        const subscription = req.body?.subscription || req.body;
+        if (!subscription?.endpoint) {
+            return res.status(400).json({ error: 'Missing subscription endpoint' });
+        }
+        const schedule = sanitizeNotificationSchedule(req.body?.schedule);
+        const userId = auth.user?.id || '';
 
         // Store subscription in Vercel KV
         // We use a SET to store unique subscriptions
-        const subKey = `sub:${subscription.endpoint}`;
-        await kv.set(subKey, JSON.stringify(subscription));
+        const subKey = subscriptionKey(subscription.endpoint);
+        // A device that signs in to another account moves over with its subscription.
+        const previous = parseSubscriptionRecord(await kv.get(subKey));
+        if (previous?.userId && previous.userId !== userId) {
+            await kv.srem(userSubscriptionsKey(previous.userId), subKey);
+        }
+        await kv.set(subKey, JSON.stringify({ subscription, schedule, userId }));
         // Also add to a list of all subscriptions for the cron job
         await kv.sadd('subscriptions', subKey);
+        if (userId) await kv.sadd(userSubscriptionsKey(userId), subKey);
 
-        return res.status(200).json({ success: true });
+        return res.status(200).json({ success: true, schedule });
     }
 
     return res.status(405).json({ error: 'Method not allowed' });
@@ -0,0 +1,27 @@
+import { authorizeRequest } from './_auth.js';
+import { applySyncChanges } from './_sync.js';
+import { getSyncStore } from './_sync_store.js';
+
+// POST { cursors: { [collection]: cursor }, changes: { [collection]: records[] } }
+// Pushes local changes and returns the next page of server changes after each cursor.
+// Synced data lives under the signed-in user, so this route always needs a session.
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const auth = await authorizeRequest(req, res, { requireAccount: true });
+    if (!auth) return;
+
+    const { cursors, changes } = req.body || {};
+    try {
+        const result = await applySyncChanges(getSyncStore(), auth.user.id, {
+            changes: changes && typeof changes === 'object' ? changes : {},
+            cursors: cursors && typeof cursors === 'object' ? cursors : {},
+        });
+        return res.status(200).json(result);
+    } catch (error) {
+        console.error('Sync error:', error);
+        return res.status(500).json({ error: 'Sync failed' });
+    }
+}
@@ -1,11 +1,17 @@
 import { callGeminiGenerateContent, extractCandidateText, getModelFromRequest, getServerApiKey } from './_gemini_shared.js';
+import { authorizeRequest } from './_auth.js';
+import { withRateLimit } from './_rate_limit.js';
+import { withResponseCache } from './_response_cache_store.js';
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'POST') {
     res.setHeader('Allow', 'POST');
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  const auth = await authorizeRequest(req, res);
+  if (!auth) return;
+
   try {
     const { text = '', targetLang = 'Korean', koreanSpeechLevel = 'polite', model } = req.body || {};
     const input = String(text || '').trim();
@@ -35,9 +41,14 @@ Text: "${input}"`
     });
 
     const translation = extractCandidateText(data);
-    return res.status(200).json({ translation: translation || '번역 실패 (데이터 없음)' });
+    if (!translation) {
+      return res.status(200).json({ translation: '번역 실패 (데이터 없음)', error: 'Empty translation' });
+    }
+    return res.status(200).json({ translation });
   } catch (error) {
     console.error('translate api error:', error);
-    return res.status(error.status || 500).json({ error: error.message || 'Translation failed' });
+    return res.status(error.status || 500).json({ error: error.message || 'Translation failed', code: error.code });
   }
 }
+
+export default withResponseCache('translate', withRateLimit('translate', handler));
@@ -1,6 +1,15 @@
+import { createHash } from 'node:crypto';
+import { authorizeRequest, isAuthRequired } from './_auth.js';
+import { withRateLimit } from './_rate_limit.js';
+import { callGeminiGenerateContent, getServerApiKey } from './_gemini_shared.js';
+import { TTS_AUDIO_FORMATS, encodeTtsAudio, resolveTtsAudioFormat } from './_audio_encoding.js';
+
 const GEMINI_TTS_MODEL = process.env.GEMINI_TTS_MODEL || 'gemini-2.5-flash-preview-tts';
 const GEMINI_TTS_VOICE = process.env.GEMINI_TTS_VOICE || 'Kore';
 const DEFAULT_SAMPLE_RATE = 24000;
+// Bump when the encoders change output, so clients and CDNs stop reusing old audio.
+const TTS_CACHE_VERSION = 1;
+const TTS_MAX_AGE_SECONDS = 365 * 24 * 60 * 60;
 
 function parseSampleRate(mimeType = '') {
   const match = String(mimeType).match(/rate=(\d+)/i);
@@ -8,60 +17,74 @@ function parseSampleRate(mimeType = '') {
   return Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_SAMPLE_RATE;
 }
 
-function pcmToWavBuffer(pcmBuffer, sampleRate = DEFAULT_SAMPLE_RATE) {
-  const channels = 1;
-  const bitsPerSample = 16;
-  const byteRate = sampleRate * channels * (bitsPerSample / 8);
-  const blockAlign = channels * (bitsPerSample / 8);
-  const dataSize = pcmBuffer.length;
-
-  const header = Buffer.alloc(44);
-  header.write('RIFF', 0);
-  header.writeUInt32LE(36 + dataSize, 4);
-  header.write('WAVE', 8);
-  header.write('fmt ', 12);
-  header.writeUInt32LE(16, 16);
-  header.writeUInt16LE(1, 20); // PCM
-  header.writeUInt16LE(channels, 22);
-  header.writeUInt32LE(sampleRate, 24);
-  header.writeUInt32LE(byteRate, 28);
-  header.writeUInt16LE(blockAlign, 32);
-  header.writeUInt16LE(bitsPerSample, 34);
-  header.write('data', 36);
-  header.writeUInt32LE(dataSize, 40);
-
-  return Buffer.concat([header, pcmBuffer]);
+/**
+ * Reads text, voice, style and format from the query (GET) or JSON body (POST).
+ */
+function readTtsRequest(req) {
+  const source = (req.method === 'GET' ? req.query : req.body) || {};
+  const text = String(source.text || '').trim();
+  const voiceName = String(source.voiceName || GEMINI_TTS_VOICE).trim() || GEMINI_TTS_VOICE;
+  const style = String(source.style || '').trim();
+  const format = resolveTtsAudioFormat(source.format, req.headers?.accept);
+  return { text, voiceName, style, format };
+}
+
+// The same text, voice, style and format always sound the same, so the hash is a stable ETag.
+function buildTtsEtag({ text, voiceName, style, format }) {
+  const hash = createHash('sha256')
+    .update(JSON.stringify([TTS_CACHE_VERSION, GEMINI_TTS_MODEL, voiceName, style, text, format]))
+    .digest('base64url')
+    .slice(0, 32);
+  return `"tts-${hash}"`;
+}
+
+function matchesEtag(req, etag) {
+  return String(req.headers?.['if-none-match'] || '')
+    .split(',')
+    .map((value) => value.trim().replace(/^W\//, ''))
+    .some((value) => value === etag || value === '*');
 }
 
-export default async function handler(req, res) {
-  if (req.method !== 'POST') {
+function setTtsCacheHeaders(res, etag) {
+  res.setHeader('ETag', etag);
+  res.setHeader('Vary', 'Accept');
+  // Shared caches may keep audio only when the API is open to everyone anyway.
+  res.setHeader('Cache-Control', isAuthRequired()
+    ? `private, max-age=${TTS_MAX_AGE_SECONDS}, immutable`
+    : `public, max-age=${TTS_MAX_AGE_SECONDS}, s-maxage=${TTS_MAX_AGE_SECONDS}, immutable`);
+}
+
+async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const apiKey = process.env.GEMINI_API_KEY || process.env.VITE_GEMINI_API_KEY;
+  const auth = await authorizeRequest(req, res);
+  if (!auth) return;
+
+  const apiKey = getServerApiKey();
   if (!apiKey) {
     return res.status(500).json({ error: 'Gemini API key is not configured on server' });
   }
 
-  const text = String(req.body?.text || '').trim();
+  const ttsRequest = readTtsRequest(req);
+  const { text, voiceName, style: styleInstruction, format } = ttsRequest;
   if (!text) {
     return res.status(400).json({ error: 'text is required' });
   }
 
-  const voiceName = String(req.body?.voiceName || GEMINI_TTS_VOICE).trim() || GEMINI_TTS_VOICE;
-  const styleInstruction = String(req.body?.style || '').trim();
   const prompt = styleInstruction
     ? `${styleInstruction}\n\n${text}`
     : `Read this naturally like a friendly native English speaker in a casual chat:\n${text}`;
 
   try {
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_TTS_MODEL}:generateContent`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-goog-api-key': apiKey,
-      },
-      body: JSON.stringify({
+    // Chat models cannot speak, so TTS retries its own model only.
+    const data = await callGeminiGenerateContent({
+      apiKey,
+      model: GEMINI_TTS_MODEL,
+      fallbackModels: [],
+      body: {
         contents: [{
           parts: [{ text: prompt }],
         }],
@@ -75,15 +98,9 @@ export default async function handler(req, res) {
             },
           },
         },
-      }),
+      },
     });
 
-    const data = await response.json().catch(() => ({}));
-    if (!response.ok) {
-      const message = data?.error?.message || `HTTP ${response.status}`;
-      return res.status(response.status).json({ error: message });
-    }
-
     const part = data?.candidates?.[0]?.content?.parts?.[0];
     const base64Audio = part?.inlineData?.data;
     if (!base64Audio) {
@@ -93,13 +110,31 @@ export default async function handler(req, res) {
     const mimeType = part?.inlineData?.mimeType || '';
     const sampleRate = parseSampleRate(mimeType);
     const pcmBuffer = Buffer.from(base64Audio, 'base64');
-    const wavBuffer = pcmToWavBuffer(pcmBuffer, sampleRate);
+    const audioBuffer = await encodeTtsAudio(pcmBuffer, sampleRate, format);
 
-    res.setHeader('Content-Type', 'audio/wav');
-    res.setHeader('Cache-Control', 'no-store');
-    return res.status(200).send(wavBuffer);
+    setTtsCacheHeaders(res, buildTtsEtag(ttsRequest));
+    res.setHeader('Content-Type', TTS_AUDIO_FORMATS[format].contentType);
+    res.setHeader('Content-Length', String(audioBuffer.length));
+    return res.status(200).send(audioBuffer);
   } catch (error) {
     console.error('TTS API error:', error);
-    return res.status(500).json({ error: error.message || 'TTS generation failed' });
+    return res.status(error.status || 500).json({ error: error.message || 'TTS generation failed', code: error.code });
+  }
+}
+
+const rateLimitedHandler = withRateLimit('tts', handler, { methods: ['GET', 'POST'] });
+
+export default async function ttsHandler(req, res) {
+  // Revalidations are answered before the limiter, so replaying cached audio costs no quota.
+  if (req.method === 'GET' || req.method === 'POST') {
+    const ttsRequest = readTtsRequest(req);
+    const etag = ttsRequest.text ? buildTtsEtag(ttsRequest) : '';
+    if (etag && matchesEtag(req, etag)) {
+      const auth = await authorizeRequest(req, res);
+      if (!auth) return;
+      setTtsCacheHeaders(res, etag);
+      return res.status(304).end();
+    }
   }
+  return rateLimitedHandler(req, res);
 }
@@ -1,5 +1,8 @@
 // Service Worker for offline caching
 const CACHE_NAME = 'ai-chat-v1';
+// Synthesized speech written by the page (src/ttsCache.js); survives SW updates.
+const TTS_CACHE_NAME = 'ai-chat-tts-v1';
+const TTS_URL_PREFIX = '/tts-cache/';
 const ASSETS_TO_CACHE = [
     '/',
     '/index.html',
@@ -15,15 +18,26 @@ self.addEventListener('install', (event) => {
 self.addEventListener('activate', (event) => {
     event.waitUntil(
         caches.keys().then((keys) =>
-            Promise.all(keys.filter((k) => k !== CACHE_NAME).map((k) => caches.delete(k)))
+            Promise.all(keys.filter((k) => k !== CACHE_NAME && k !== TTS_CACHE_NAME).map((k) => caches.delete(k)))
         )
     );
     self.clients.claim();
 });
 
 self.addEventListener('fetch', (event) => {
-    // Skip non-GET requests and API calls
-    if (event.request.method !== 'GET' || event.request.url.includes('googleapis.com')) {
+    const { pathname } = new URL(event.request.url);
+    // Skip non-GET requests and API calls (GET /api/tts is cached by HTTP headers and the page)
+    if (event.request.method !== 'GET' || event.request.url.includes('googleapis.com') || pathname.startsWith('/api/')) {
+        return;
+    }
+
+    // Cached speech is only ever written by the page; never go to the network for it.
+    if (pathname.startsWith(TTS_URL_PREFIX)) {
+        event.respondWith(
+            caches.open(TTS_CACHE_NAME)
+                .then((cache) => cache.match(event.request))
+                .then((cached) => cached || new Response('', { status: 404 }))
+        );
         return;
     }
 
@@ -67,6 +81,8 @@ self.addEventListener('push', (event) => {
                     client.postMessage({
                         type: 'PUSH_MESSAGE',
                         text: data.body,
+                        conversationId: data.conversationId || '',
+                        messageId: data.messageId || '',
                         time: new Intl.DateTimeFormat('ko-KR', {
                             hour: '2-digit',
                             minute: '2-digit',
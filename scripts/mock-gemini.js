@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+// Local stand-in for the Gemini REST API, so the app runs without network or a real key.
+//
+//   npm run mock:gemini
+//   GEMINI_BASE_URL=http://localhost:8787 GEMINI_API_KEY=mock vercel dev
+//   (VITE_GEMINI_BASE_URL does the same for the browser's own-key fallbacks)
+//
+// Answers generateContent and streamGenerateContent with canned text shaped like each route
+// expects: grammar and alternatives JSON, memory profile JSON, translations, chat replies and
+// PCM audio for TTS requests. MOCK_GEMINI_SCRIPT may point at a JSON file of rules that take
+// precedence, matched against the prompt text in order:
+//   [{ "match": "order pizza", "text": "Pepperoni!" }, { "match": "flaky", "status": 503, "times": 2 }]
+// A rule with `times` stops matching after that many uses, which is handy for retry tests.
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+
+const PORT = Number(process.env.MOCK_GEMINI_PORT) || 8787;
+const STREAM_DELAY_MS = Number(process.env.MOCK_GEMINI_STREAM_DELAY_MS) || 40;
+const SAMPLE_RATE = 24000;
+
+function loadScript() {
+  const path = process.env.MOCK_GEMINI_SCRIPT;
+  if (!path) return [];
+  const rules = JSON.parse(readFileSync(path, 'utf8'));
+  if (!Array.isArray(rules)) throw new Error('MOCK_GEMINI_SCRIPT must contain a JSON array');
+  return rules;
+}
+
+const scriptRules = loadScript();
+
+function findScriptRule(prompt) {
+  const rule = scriptRules.find((item) => prompt.includes(item.match) && item.times !== 0);
+  if (rule && typeof rule.times === 'number') rule.times -= 1;
+  return rule || null;
+}
+
+function getPromptText(body) {
+  return (body?.contents || [])
+    .flatMap((content) => content?.parts || [])
+    .map((part) => part?.text || '')
+    .join('\n');
+}
+
+function getLastUserText(body) {
+  const userTurns = (body?.contents || []).filter((content) => content?.role !== 'model');
+  const last = userTurns[userTurns.length - 1];
+  return (last?.parts || []).map((part) => part?.text || '').join(' ').trim();
+}
+
+// The sentence a prompt is about: the last quoted line that is not part of a JSON schema.
+function getQuotedSubject(prompt) {
+  const quoted = [...prompt.matchAll(/"([^"\n]{2,})"/g)]
+    .map((match) => match[1])
+    .filter((text) => !/^(string|short string|boolean)$/.test(text) && !/^[a-zA-Z]+$/.test(text));
+  return quoted[quoted.length - 1] || '';
+}
+
+// A few classic learner slips, enough to exercise the correction UI.
+const GRAMMAR_FIXES = [
+  { pattern: /\b(he|she|it) (go|do|have|want|like)\b/gi, fix: (_, subject, verb) => `${subject} ${verb === 'have' ? 'has' : verb === 'do' || verb === 'go' ? `${verb}es` : `${verb}s`}`, reason: 'Third-person singular verb.' },
+  { pattern: /\ba ([aeiou]\w*)/gi, fix: (_, word) => `an ${word}`, reason: 'Use "an" before a vowel sound.' },
+  { pattern: /(?<=\byesterday\b.*)\bgo\b/gi, fix: () => 'went', reason: 'Past tense for yesterday.' },
+];
+
+function mockGrammar(sentence) {
+  const edits = [];
+  let corrected = sentence;
+  for (const { pattern, fix, reason } of GRAMMAR_FIXES) {
+    corrected = corrected.replace(pattern, (...args) => {
+      const right = fix(...args);
+      edits.push({ wrong: args[0], right, reason });
+      return right;
+    });
+  }
+  const hasErrors = edits.length > 0;
+  return {
+    hasErrors,
+    correctedText: corrected,
+    edits,
+    feedback: hasErrors ? edits.map((edit) => edit.reason).join(' ') : 'Looks good overall.',
+    feedbackPoints: edits.map((edit) => ({ part: edit.wrong, issue: edit.reason, fix: edit.right })),
+    naturalRewrite: hasErrors ? corrected : '',
+    naturalAlternative: '',
+    naturalReason: '',
+  };
+}
+
+function mockAlternatives(sentence) {
+  const base = sentence.replace(/[.!?]+$/, '');
+  const lower = /^I\b/.test(base) ? base : base.replace(/^./, (first) => first.toLowerCase());
+  return {
+    alternatives: [
+      { text: `Honestly, ${lower}.`, tone: 'casual', nuance: 'Relaxed and friendly.' },
+      { text: `So basically, ${lower}.`, tone: 'chatty', nuance: 'Sounds like talking to a friend.' },
+      { text: `${base}, you know?`, tone: 'warm', nuance: 'Invites the other person in.' },
+    ],
+  };
+}
+
+/**
+ * Picks a canned answer from what the prompt asks for. Returns the candidate text.
+ */
+function mockText(body) {
+  const prompt = getPromptText(body);
+  if (prompt.includes('"hasErrors"')) return JSON.stringify(mockGrammar(getQuotedSubject(prompt) || 'i am fine'));
+  if (prompt.includes('"alternatives"')) return JSON.stringify(mockAlternatives(getQuotedSubject(prompt) || 'I am fine'));
+  if (prompt.includes('<sentence> || <tone>')) {
+    const { alternatives } = mockAlternatives(getQuotedSubject(prompt) || 'I am fine');
+    return alternatives.map((item, index) => `${index + 1}) ${item.text} || ${item.tone} || ${item.nuance}`).join('\n');
+  }
+  if (prompt.includes('memoryProfile')) return JSON.stringify({ hasNewMemory: false, memoryProfile: {} });
+  if (/^Translate\b/.test(prompt)) return `[번역] ${getQuotedSubject(prompt) || prompt.split('\n').pop()}`;
+  if (prompt.startsWith('Convert this mixed Korean+English')) return 'I want to grab dinner later.';
+  if (prompt.includes('text the user first')) return 'Hey, how did that thing you mentioned go?';
+  return `(mock) You said: "${getLastUserText(body).slice(0, 120)}". Tell me more!`;
+}
+
+function mockAudio(text) {
+  // A quiet 440 Hz tone roughly as long as the sentence would take to say.
+  const seconds = Math.min(6, Math.max(0.4, text.length * 0.05));
+  const samples = Math.round(SAMPLE_RATE * seconds);
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i += 1) {
+    pcm.writeInt16LE(Math.round(Math.sin((2 * Math.PI * 440 * i) / SAMPLE_RATE) * 3000), i * 2);
+  }
+  return pcm.toString('base64');
+}
+
+function candidateResponse(parts) {
+  return { candidates: [{ content: { role: 'model', parts }, finishReason: 'STOP' }] };
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+async function streamText(res, text) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  const words = text.match(/\S+\s*/g) || [text];
+  for (const word of words) {
+    res.write(`data: ${JSON.stringify(candidateResponse([{ text: word }]))}\n\n`);
+    await new Promise((resolve) => setTimeout(resolve, STREAM_DELAY_MS));
+  }
+  res.end();
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const raw = Buffer.concat(chunks).toString('utf8');
+  return raw ? JSON.parse(raw) : {};
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const match = url.pathname.match(/^\/v1beta\/models\/([^/:]+):(generateContent|streamGenerateContent)$/);
+  if (req.method !== 'POST' || !match) {
+    sendJson(res, 404, { error: { code: 404, message: `No mock for ${req.method} ${url.pathname}`, status: 'NOT_FOUND' } });
+    return;
+  }
+
+  let body;
+  try {
+    body = await readBody(req);
+  } catch (_) {
+    sendJson(res, 400, { error: { code: 400, message: 'Invalid JSON body', status: 'INVALID_ARGUMENT' } });
+    return;
+  }
+
+  const [, model, method] = match;
+  const prompt = getPromptText(body);
+  const rule = findScriptRule(prompt);
+  console.log(`${method} ${model}${rule ? ` (script: ${rule.match})` : ''}`);
+
+  if (rule?.status && rule.status !== 200) {
+    sendJson(res, rule.status, { error: { code: rule.status, message: rule.text || 'Scripted failure', status: 'MOCK' } });
+    return;
+  }
+
+  if (body?.generationConfig?.responseModalities?.includes('AUDIO')) {
+    sendJson(res, 200, candidateResponse([{
+      inlineData: { mimeType: `audio/L16;codec=pcm;rate=${SAMPLE_RATE}`, data: mockAudio(prompt) },
+    }]));
+    return;
+  }
+
+  const text = rule?.text ?? mockText(body);
+  if (method === 'streamGenerateContent') {
+    await streamText(res, text);
+    return;
+  }
+  sendJson(res, 200, candidateResponse([{ text }]));
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock Gemini listening on http://localhost:${PORT} (set GEMINI_BASE_URL to this)`);
+});
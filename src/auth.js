@@ -0,0 +1,133 @@
+// Account session for the API
+// Login is an emailed one-time link (`/?login=<token>`) exchanged for a session token,
+// which every /api call then sends as a bearer token.
+
+const SESSION_TOKEN_KEY = 'auth_session_token';
+const SESSION_USER_KEY = 'auth_user';
+const LOGIN_QUERY_PARAM = 'login';
+
+const changeListeners = new Set();
+
+function notifyChange() {
+  changeListeners.forEach((listener) => listener(getCurrentUser()));
+}
+
+function setSession(token, user) {
+  if (token) {
+    localStorage.setItem(SESSION_TOKEN_KEY, token);
+    localStorage.setItem(SESSION_USER_KEY, JSON.stringify(user));
+  } else {
+    localStorage.removeItem(SESSION_TOKEN_KEY);
+    localStorage.removeItem(SESSION_USER_KEY);
+  }
+  notifyChange();
+}
+
+/**
+ * Called with the new user (or null) after login, logout or an expired session.
+ */
+export function onAuthChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+export function getCurrentUser() {
+  if (!localStorage.getItem(SESSION_TOKEN_KEY)) return null;
+  try {
+    const user = JSON.parse(localStorage.getItem(SESSION_USER_KEY) || 'null');
+    return user?.id ? user : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+export function getAuthHeaders() {
+  const token = localStorage.getItem(SESSION_TOKEN_KEY);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * `fetch` for /api routes: adds the session header and signs out locally when the server
+ * says the session is gone.
+ */
+export async function apiFetch(path, options = {}) {
+  const response = await fetch(path, {
+    ...options,
+    headers: { ...(options.headers || {}), ...getAuthHeaders() },
+  });
+  if (response.status === 401 && getCurrentUser()) {
+    const data = await response.clone().json().catch(() => ({}));
+    if (data?.code === 'session_expired') setSession('', null);
+  }
+  return response;
+}
+
+function formatRetryAfter(seconds) {
+  if (seconds >= 3600) return `${Math.ceil(seconds / 3600)}시간`;
+  if (seconds >= 60) return `${Math.ceil(seconds / 60)}분`;
+  return `${seconds}초`;
+}
+
+export function isApiLimitError(error) {
+  return error?.code === 'rate_limited' || error?.code === 'quota_exceeded';
+}
+
+/**
+ * Turns a failed /api response into an Error with `status` and `code`. Rate-limit and quota
+ * answers get a message that can go straight to the user.
+ */
+export async function readApiError(response) {
+  const data = await response.json().catch(() => ({}));
+  const error = new Error(data?.error || `HTTP ${response.status}`);
+  error.status = response.status;
+  error.code = data?.code || '';
+  if (isApiLimitError(error)) {
+    const retryAfter = Number(response.headers.get('Retry-After')) || Number(data?.retryAfter) || 0;
+    error.retryAfter = retryAfter;
+    error.message = error.code === 'quota_exceeded'
+      ? '오늘 사용할 수 있는 양을 모두 썼어요. 내일 다시 이용해주세요.'
+      : `요청이 너무 많아요. ${formatRetryAfter(Math.max(1, retryAfter))} 후에 다시 시도해주세요.`;
+  }
+  return error;
+}
+
+export async function requestLoginLink(email) {
+  const response = await fetch('/api/auth', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ action: 'request', email }),
+  });
+  if (!response.ok) throw await readApiError(response);
+}
+
+/**
+ * Finishes a login when the page was opened from a login link. Resolves with the user, or null
+ * when the URL carries no link. The token is removed from the address bar either way.
+ */
+export async function completeLoginFromUrl() {
+  const url = new URL(window.location.href);
+  const token = url.searchParams.get(LOGIN_QUERY_PARAM);
+  if (!token) return null;
+
+  url.searchParams.delete(LOGIN_QUERY_PARAM);
+  window.history.replaceState(null, '', `${url.pathname}${url.search}${url.hash}`);
+
+  const response = await fetch('/api/auth', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ action: 'verify', token }),
+  });
+  if (!response.ok) throw await readApiError(response);
+  const data = await response.json();
+  setSession(data.sessionToken, data.user);
+  return data.user;
+}
+
+export async function logout() {
+  try {
+    await fetch('/api/auth', { method: 'DELETE', headers: getAuthHeaders() });
+  } catch (error) {
+    console.warn('Failed to end session on server:', error);
+  }
+  setSession('', null);
+}
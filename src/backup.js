@@ -0,0 +1,189 @@
+// Full app backup and restore
+// One versioned JSON file with every conversation, message, dictionary entry and setting.
+import { markPendingChanges, stampModifiedRecords } from './changeStamps.js';
+import { loadConversations, getActiveConversationId, replaceConversations, setActiveConversationId } from './conversations.js';
+import { loadAllMessages, replaceAllMessages } from './messageStore.js';
+import { DICTIONARY_EXPORT_FORMAT } from './dictionaryTransfer.js';
+
+export const BACKUP_FORMAT = 'ai-chat-backup';
+export const BACKUP_VERSION = 1;
+
+// Plain settings restored as-is. The API key stays on the device on purpose.
+const BACKUP_SETTINGS_KEYS = [
+  'gemini_model',
+  'gemini_direct_chat_fallback',
+  'gemini_reply_mode',
+  'notification_schedule',
+];
+const DICTIONARY_ENTRIES_KEY = 'native_dictionary_entries';
+const DICTIONARY_CATEGORIES_KEY = 'native_dictionary_categories';
+
+function readJsonArray(key) {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(key) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+export async function createBackup() {
+  const settings = {};
+  BACKUP_SETTINGS_KEYS.forEach((key) => {
+    const value = localStorage.getItem(key);
+    if (value !== null) settings[key] = value;
+  });
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    activeConversationId: getActiveConversationId(),
+    conversations: loadConversations(),
+    messages: await loadAllMessages(),
+    dictionary: {
+      entries: readJsonArray(DICTIONARY_ENTRIES_KEY),
+      categories: readJsonArray(DICTIONARY_CATEGORIES_KEY),
+    },
+    settings,
+  };
+}
+
+// Upgrade steps keyed by the version they read; each returns the next version's shape.
+const BACKUP_MIGRATIONS = {
+  // Version 0: a dictionary-only export from the dictionary page.
+  0: (data) => ({
+    format: BACKUP_FORMAT,
+    version: 1,
+    createdAt: data.exportedAt || new Date().toISOString(),
+    activeConversationId: '',
+    conversations: [],
+    messages: [],
+    dictionary: { entries: data.entries || [], categories: data.categories || [] },
+    settings: {},
+    partial: true,
+  }),
+};
+
+function detectVersion(data) {
+  if (data?.format === DICTIONARY_EXPORT_FORMAT) return 0;
+  if (data?.format !== BACKUP_FORMAT) return null;
+  const version = Number(data.version);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+/**
+ * Parses, upgrades and validates a backup file. Throws with a user-facing message.
+ */
+export function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text || ''));
+  } catch (_) {
+    throw new Error('백업 파일을 읽을 수 없습니다.');
+  }
+
+  let version = detectVersion(data);
+  if (version === null) throw new Error('이 앱의 백업 파일이 아닙니다.');
+  if (version > BACKUP_VERSION) throw new Error('더 새로운 버전의 앱에서 만든 백업입니다. 앱을 업데이트해주세요.');
+
+  while (version < BACKUP_VERSION) {
+    data = BACKUP_MIGRATIONS[version](data);
+    version = data.version;
+  }
+
+  const errors = validateBackup(data);
+  if (errors.length > 0) throw new Error(`백업 파일이 손상되었습니다: ${errors[0]}`);
+  return data;
+}
+
+function validateBackup(data) {
+  const errors = [];
+  if (!Array.isArray(data.conversations)) errors.push('conversations');
+  if (!Array.isArray(data.messages)) errors.push('messages');
+  if (!Array.isArray(data.dictionary?.entries)) errors.push('dictionary.entries');
+  if (!Array.isArray(data.dictionary?.categories)) errors.push('dictionary.categories');
+  if (!data.settings || typeof data.settings !== 'object') errors.push('settings');
+  if (errors.length > 0) return errors;
+
+  const conversationIds = new Set();
+  data.conversations.forEach((conversation, index) => {
+    if (!conversation?.id) errors.push(`conversations[${index}].id`);
+    else conversationIds.add(conversation.id);
+  });
+  data.messages.forEach((message, index) => {
+    if (!message?.id || !Number.isFinite(Number(message.seq))) errors.push(`messages[${index}]`);
+    else if (!conversationIds.has(message.conversationId)) errors.push(`messages[${index}].conversationId`);
+  });
+  data.dictionary.entries.forEach((entry, index) => {
+    if (!entry?.id || !String(entry.text || '').trim()) errors.push(`dictionary.entries[${index}]`);
+  });
+  return errors;
+}
+
+/**
+ * Counts for the confirm dialog: what the file holds next to what is on this device now.
+ */
+export async function summarizeRestore(backup) {
+  const current = {
+    conversations: loadConversations().length,
+    messages: (await loadAllMessages().catch(() => [])).length,
+    dictionaryEntries: readJsonArray(DICTIONARY_ENTRIES_KEY).length,
+  };
+  return {
+    partial: Boolean(backup.partial),
+    createdAt: backup.createdAt || '',
+    incoming: {
+      conversations: backup.conversations.length,
+      messages: backup.messages.length,
+      dictionaryEntries: backup.dictionary.entries.length,
+      settings: Object.keys(backup.settings).length,
+    },
+    current,
+  };
+}
+
+function withRestoreStamp(records, stamp) {
+  return records.map((record) => ({ ...record, modifiedAt: stamp }));
+}
+
+/**
+ * Overwrites local state with the backup. A partial (dictionary-only) backup leaves chats alone.
+ * For sync the restore is one write made now: restored records are stamped with the restore time
+ * and records the backup does not have are deleted as of it, so other devices end up with the
+ * backup too instead of keeping whichever side was edited last.
+ * The caller should reload the app afterwards.
+ */
+export async function restoreBackup(backup) {
+  const now = Date.now();
+  const stamp = new Date(now).toISOString();
+  if (!backup.partial) {
+    const previousMessages = await loadAllMessages().catch(() => []);
+    const messages = withRestoreStamp(backup.messages, stamp);
+    markPendingChanges('messages', [...new Set([...previousMessages, ...messages].map((message) => message.id).filter(Boolean))], now);
+    await replaceAllMessages(messages);
+    replaceConversations(withRestoreStamp(backup.conversations, stamp));
+    const activeId = backup.conversations.some((conversation) => conversation.id === backup.activeConversationId)
+      ? backup.activeConversationId
+      : backup.conversations[0]?.id || '';
+    if (activeId) setActiveConversationId(activeId);
+
+    BACKUP_SETTINGS_KEYS.forEach((key) => {
+      if (typeof backup.settings[key] === 'string') localStorage.setItem(key, backup.settings[key]);
+      else localStorage.removeItem(key);
+    });
+  }
+
+  localStorage.setItem(DICTIONARY_ENTRIES_KEY, JSON.stringify(stampModifiedRecords(
+    'dictionaryEntries',
+    readJsonArray(DICTIONARY_ENTRIES_KEY),
+    withRestoreStamp(backup.dictionary.entries, stamp),
+    now,
+  )));
+  localStorage.setItem(DICTIONARY_CATEGORIES_KEY, JSON.stringify(stampModifiedRecords(
+    'dictionaryCategories',
+    readJsonArray(DICTIONARY_CATEGORIES_KEY),
+    withRestoreStamp(backup.dictionary.categories, stamp),
+    now,
+  )));
+}
@@ -0,0 +1,100 @@
+// Write times and pending changes for synced records
+// Local writes stamp `modifiedAt` on the records they change, so sync can order edits from
+// several devices by when they were made rather than by when each device got around to syncing.
+// They also mark the ids they touched as pending, so a sync run only reads what changed since
+// the last one. Marks are kept once this device has started syncing (`startPendingChanges`) and
+// are cleared as the server settles them, so they grow with unsynced writes, not with history.
+
+const PENDING_KEY = 'sync_pending';
+
+let lastMark = 0;
+
+function readPending() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(PENDING_KEY) || 'null');
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function withoutStamp(record) {
+  const { modifiedAt, ...rest } = record;
+  return JSON.stringify(rest);
+}
+
+/**
+ * Marks ids as changed locally. The mark is the write time in ms (unique per write), which
+ * also dates a deletion: an id that is gone when sync reads it is pushed as a tombstone.
+ * Marking before the write is safe; a write that never lands just re-sends the stored record.
+ */
+export function markPendingChanges(collection, ids, now = Date.now()) {
+  if (!ids.length) return;
+  const pending = readPending();
+  if (!pending) return;
+  const entries = { ...(pending[collection] || {}) };
+  ids.forEach((id) => {
+    lastMark = Math.max(now, lastMark + 1);
+    entries[id] = lastMark;
+  });
+  pending[collection] = entries;
+  localStorage.setItem(PENDING_KEY, JSON.stringify(pending));
+}
+
+/**
+ * Pending marks of one collection as `{ id: mark }`.
+ */
+export function loadPendingChanges(collection) {
+  return { ...(readPending()?.[collection] || {}) };
+}
+
+/**
+ * Clears marks the server has settled. A mark that moved since `settled` was read belongs to a
+ * newer write and stays.
+ */
+export function clearPendingChanges(collection, settled) {
+  const pending = readPending();
+  const entries = pending?.[collection];
+  if (!entries) return;
+  Object.entries(settled).forEach(([id, mark]) => {
+    if (entries[id] === mark) delete entries[id];
+  });
+  localStorage.setItem(PENDING_KEY, JSON.stringify(pending));
+}
+
+/**
+ * Starts (or restarts) tracking with nothing pending; sync then offers every local record once.
+ */
+export function startPendingChanges() {
+  localStorage.setItem(PENDING_KEY, '{}');
+}
+
+export function isTrackingPendingChanges() {
+  return readPending() !== null;
+}
+
+/**
+ * `next` with `modifiedAt` set on every record that differs from `previous`; changed and removed
+ * ids are marked pending. A record that brings a stamp of its own (a restore) counts as changed
+ * and keeps it.
+ */
+export function stampModifiedRecords(collection, previous, next, now = Date.now()) {
+  const before = new Map(previous.filter((record) => record?.id).map((record) => [record.id, record]));
+  const stamp = new Date(now).toISOString();
+  const changedIds = [];
+  const stamped = next.map((record) => {
+    if (!record?.id) return record;
+    const old = before.get(record.id);
+    const ownStamp = record.modifiedAt && record.modifiedAt !== old?.modifiedAt;
+    if (old && !ownStamp && withoutStamp(old) === withoutStamp(record)) {
+      return old.modifiedAt ? { ...record, modifiedAt: old.modifiedAt } : record;
+    }
+    changedIds.push(record.id);
+    if (ownStamp) return record;
+    return { ...record, modifiedAt: stamp };
+  });
+
+  const kept = new Set(next.map((record) => record?.id));
+  markPendingChanges(collection, [...changedIds, ...[...before.keys()].filter((id) => !kept.has(id))], now);
+  return stamped;
+}
@@ -0,0 +1,223 @@
+// Conversation threads
+// Each thread is an independent AI friend with its own profile, memory and history.
+import { stampModifiedRecords } from './changeStamps.js';
+import { setLegacyMessagesOwner } from './messageStore.js';
+
+const CONVERSATIONS_KEY = 'chat_conversations';
+const ACTIVE_CONVERSATION_KEY = 'chat_active_conversation';
+const LEGACY_KEYS = [
+  'ai_name',
+  'ai_avatar',
+  'gemini_system_prompt',
+  'gemini_tts_voice_preset',
+  'chat_persona_profile',
+  'chat_memory_profile',
+  'chat_memory_summary',
+  'chat_memory_pins',
+  'chat_memory_pending_turns',
+];
+
+export const DEFAULT_AI_NAME = 'AI Assistant';
+export const DEFAULT_AI_AVATAR = '✦';
+export const CONVERSATION_NAME_MAX_CHARS = 24;
+// Avatars are an emoji or an uploaded photo. Photos end up inside CSS `url()` values, so only
+// plain base64 image data URLs are kept; anything else from a backup or sync falls back.
+const AVATAR_DATA_URL_PATTERN = /^data:image\/(png|jpeg|webp|gif);base64,[A-Za-z0-9+/=]+$/;
+
+function readJson(key, fallback) {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(key) || 'null');
+    return parsed ?? fallback;
+  } catch (_) {
+    return fallback;
+  }
+}
+
+function generateConversationId() {
+  return `c-${Date.now().toString(36)}-${Math.random().toString(16).slice(2, 8)}`;
+}
+
+function normalizeAvatar(value) {
+  const avatar = String(value || '');
+  if (!avatar) return DEFAULT_AI_AVATAR;
+  if (avatar.startsWith('data:')) return AVATAR_DATA_URL_PATTERN.test(avatar) ? avatar : DEFAULT_AI_AVATAR;
+  return avatar;
+}
+
+function normalizeConversation(raw) {
+  if (!raw || typeof raw !== 'object' || !raw.id) return null;
+  const now = new Date().toISOString();
+  return {
+    id: String(raw.id),
+    name: String(raw.name || '').trim().slice(0, CONVERSATION_NAME_MAX_CHARS) || DEFAULT_AI_NAME,
+    avatar: normalizeAvatar(raw.avatar),
+    systemPrompt: String(raw.systemPrompt || ''),
+    ttsVoicePreset: String(raw.ttsVoicePreset || ''),
+    personaProfile: raw.personaProfile && typeof raw.personaProfile === 'object' ? raw.personaProfile : null,
+    memoryProfile: raw.memoryProfile && typeof raw.memoryProfile === 'object' ? raw.memoryProfile : null,
+    memorySummary: String(raw.memorySummary || ''),
+    memoryPins: raw.memoryPins && typeof raw.memoryPins === 'object' ? raw.memoryPins : null,
+    pendingMemoryTurns: Math.max(0, Number(raw.pendingMemoryTurns) || 0),
+    preview: String(raw.preview || ''),
+    previewTime: String(raw.previewTime || ''),
+    pinned: Boolean(raw.pinned),
+    createdAt: raw.createdAt || now,
+    updatedAt: raw.updatedAt || raw.createdAt || now,
+    // Last write on any device (sync ordering); `updatedAt` is last activity (list ordering).
+    modifiedAt: String(raw.modifiedAt || ''),
+  };
+}
+
+export function loadConversations() {
+  const list = readJson(CONVERSATIONS_KEY, []);
+  if (!Array.isArray(list)) return [];
+  return list.map(normalizeConversation).filter(Boolean);
+}
+
+const changeListeners = new Set();
+
+function saveConversations(list) {
+  const previous = readJson(CONVERSATIONS_KEY, []);
+  const stamped = stampModifiedRecords('conversations', Array.isArray(previous) ? previous : [], list);
+  localStorage.setItem(CONVERSATIONS_KEY, JSON.stringify(stamped));
+  changeListeners.forEach((listener) => listener());
+}
+
+/**
+ * Called after any thread is created, updated or deleted, including writes made by GeminiAPI.
+ */
+export function onConversationsChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+/**
+ * Replaces every thread at once (backup restore). Invalid records are dropped.
+ */
+export function replaceConversations(list) {
+  saveConversations((Array.isArray(list) ? list : []).map(normalizeConversation).filter(Boolean));
+}
+
+/**
+ * Writes and deletes threads from another device. They already carry their own stamps and are
+ * not local changes, so nothing is marked for sync.
+ */
+export function applySyncedConversations(records, deleteIds = []) {
+  const removed = new Set(deleteIds);
+  const byId = new Map(records.map(normalizeConversation).filter(Boolean).map((record) => [record.id, record]));
+  const next = loadConversations()
+    .filter((conversation) => !removed.has(conversation.id))
+    .map((conversation) => {
+      const replacement = byId.get(conversation.id);
+      if (replacement) byId.delete(conversation.id);
+      return replacement || conversation;
+    });
+  localStorage.setItem(CONVERSATIONS_KEY, JSON.stringify([...next, ...byId.values()]));
+  changeListeners.forEach((listener) => listener());
+}
+
+export function getConversation(id) {
+  return loadConversations().find((conversation) => conversation.id === id) || null;
+}
+
+/**
+ * Pinned threads first, then most recently active.
+ */
+export function sortConversations(list) {
+  return [...list].sort((a, b) => {
+    if (a.pinned !== b.pinned) return a.pinned ? -1 : 1;
+    return String(b.updatedAt).localeCompare(String(a.updatedAt));
+  });
+}
+
+export function createConversation(fields = {}) {
+  const now = new Date().toISOString();
+  const conversation = normalizeConversation({
+    ...fields,
+    id: generateConversationId(),
+    createdAt: now,
+    updatedAt: now,
+  });
+  const list = loadConversations();
+  list.push(conversation);
+  saveConversations(list);
+  return conversation;
+}
+
+/**
+ * Patches a thread in place. Pass `touch: true` to bump its position in the list.
+ */
+export function updateConversation(id, patch = {}, { touch = false } = {}) {
+  const list = loadConversations();
+  const index = list.findIndex((conversation) => conversation.id === id);
+  if (index === -1) return null;
+  const next = normalizeConversation({
+    ...list[index],
+    ...patch,
+    id: list[index].id,
+    updatedAt: touch ? new Date().toISOString() : list[index].updatedAt,
+  });
+  list[index] = next;
+  saveConversations(list);
+  return next;
+}
+
+export function deleteConversation(id) {
+  const list = loadConversations();
+  const next = list.filter((conversation) => conversation.id !== id);
+  if (next.length === list.length) return false;
+  saveConversations(next);
+  if (getActiveConversationId() === id) {
+    localStorage.removeItem(ACTIVE_CONVERSATION_KEY);
+  }
+  return true;
+}
+
+/**
+ * List-row preview for a thread, cached on the conversation so the list never loads full histories.
+ */
+export function buildConversationPreview(messages) {
+  const latest = Array.isArray(messages) ? messages[messages.length - 1] : null;
+  return {
+    preview: latest ? String(latest.text || '').replace(/\s+/g, ' ').slice(0, 80) : '',
+    previewTime: latest?.time || '',
+  };
+}
+
+export function getActiveConversationId() {
+  return localStorage.getItem(ACTIVE_CONVERSATION_KEY) || '';
+}
+
+export function setActiveConversationId(id) {
+  localStorage.setItem(ACTIVE_CONVERSATION_KEY, id);
+}
+
+/**
+ * Moves the pre-thread single-chat storage into the first conversation.
+ * The message array itself stays put until the message store migrates it into IndexedDB.
+ * Returns the id of the created thread, or '' when storage was already migrated.
+ */
+export function migrateLegacyConversation() {
+  if (localStorage.getItem(CONVERSATIONS_KEY) !== null) return '';
+
+  const storedMessages = readJson('chat_messages', []);
+  const legacyMessages = Array.isArray(storedMessages) ? storedMessages : [];
+  const conversation = createConversation({
+    ...buildConversationPreview(legacyMessages),
+    name: localStorage.getItem('ai_name') || DEFAULT_AI_NAME,
+    avatar: localStorage.getItem('ai_avatar') || DEFAULT_AI_AVATAR,
+    systemPrompt: localStorage.getItem('gemini_system_prompt') || '',
+    ttsVoicePreset: localStorage.getItem('gemini_tts_voice_preset') || '',
+    personaProfile: readJson('chat_persona_profile', null),
+    memoryProfile: readJson('chat_memory_profile', null),
+    memorySummary: localStorage.getItem('chat_memory_summary') || '',
+    memoryPins: readJson('chat_memory_pins', null),
+    pendingMemoryTurns: Number(localStorage.getItem('chat_memory_pending_turns')) || 0,
+  });
+  setLegacyMessagesOwner(conversation.id);
+  setActiveConversationId(conversation.id);
+
+  // Only drop the old keys once everything has been written under the new layout.
+  LEGACY_KEYS.forEach((key) => localStorage.removeItem(key));
+  return conversation.id;
+}
@@ -0,0 +1,103 @@
+// Spaced-repetition scheduling for dictionary entries (SM-2 variant)
+// Each entry carries its own `review` state; entries without one are new cards, due right away.
+
+export const REVIEW_GRADES = ['again', 'hard', 'good', 'easy'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+// A forgotten card comes back later in the same session rather than tomorrow.
+const RELEARN_DELAY_MS = 10 * 60 * 1000;
+const GRADE_QUALITY = { again: 0, hard: 3, good: 4, easy: 5 };
+
+export function getReviewState(entry) {
+  const review = entry?.review && typeof entry.review === 'object' ? entry.review : {};
+  const ease = Number(review.ease);
+  const interval = Number(review.interval);
+  const repetitions = Number(review.repetitions);
+  const lapses = Number(review.lapses);
+  const dueAt = Date.parse(review.dueAt || '');
+  const createdAt = Date.parse(entry?.createdAt || '');
+
+  return {
+    ease: Number.isFinite(ease) ? Math.max(MIN_EASE, ease) : DEFAULT_EASE,
+    interval: Number.isFinite(interval) && interval > 0 ? interval : 0,
+    repetitions: Number.isInteger(repetitions) && repetitions > 0 ? repetitions : 0,
+    lapses: Number.isInteger(lapses) && lapses > 0 ? lapses : 0,
+    dueAt: new Date(Number.isFinite(dueAt) ? dueAt : (Number.isFinite(createdAt) ? createdAt : 0)).toISOString(),
+    lastReviewedAt: review.lastReviewedAt || '',
+  };
+}
+
+/**
+ * Next review state after grading a card. `interval` is in days; `again` resets the streak.
+ */
+export function scheduleReview(state, grade, now = new Date()) {
+  const quality = GRADE_QUALITY[grade];
+  if (quality === undefined) return state;
+  const current = getReviewState({ review: state });
+  const ease = Math.max(MIN_EASE, current.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+  if (grade === 'again') {
+    return {
+      ease,
+      interval: 0,
+      repetitions: 0,
+      lapses: current.lapses + 1,
+      dueAt: new Date(now.getTime() + RELEARN_DELAY_MS).toISOString(),
+      lastReviewedAt: now.toISOString(),
+    };
+  }
+
+  let interval;
+  if (current.repetitions === 0) {
+    interval = grade === 'easy' ? 4 : 1;
+  } else if (current.repetitions === 1) {
+    interval = grade === 'hard' ? 3 : (grade === 'easy' ? 8 : 6);
+  } else if (grade === 'hard') {
+    interval = current.interval * 1.2;
+  } else {
+    interval = current.interval * ease * (grade === 'easy' ? 1.3 : 1);
+  }
+  interval = Math.max(1, Math.round(interval));
+
+  return {
+    ease,
+    interval,
+    repetitions: current.repetitions + 1,
+    lapses: current.lapses,
+    dueAt: new Date(now.getTime() + interval * DAY_MS).toISOString(),
+    lastReviewedAt: now.toISOString(),
+  };
+}
+
+function endOfLocalDay(now) {
+  const end = new Date(now);
+  end.setHours(23, 59, 59, 999);
+  return end.getTime();
+}
+
+/**
+ * Entries due by the end of today (local time), most overdue first.
+ */
+export function getDueEntries(entries, now = new Date()) {
+  const cutoff = endOfLocalDay(now);
+  return (Array.isArray(entries) ? entries : [])
+    .map((entry) => ({ entry, dueAt: Date.parse(getReviewState(entry).dueAt) }))
+    .filter((item) => item.dueAt <= cutoff)
+    .sort((a, b) => a.dueAt - b.dueAt)
+    .map((item) => item.entry);
+}
+
+/**
+ * Short label for how far away a grade would push the card, e.g. "10분", "6일".
+ */
+export function formatReviewInterval(state, grade, now = new Date()) {
+  const next = scheduleReview(state, grade, now);
+  const diffMs = Date.parse(next.dueAt) - now.getTime();
+  if (diffMs < DAY_MS) return `${Math.max(1, Math.round(diffMs / 60000))}분`;
+  const days = Math.round(diffMs / DAY_MS);
+  if (days < 30) return `${days}일`;
+  if (days < 365) return `${Math.round(days / 30)}개월`;
+  return `${(days / 365).toFixed(1)}년`;
+}
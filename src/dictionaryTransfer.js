@@ -0,0 +1,306 @@
+// Dictionary export/import
+// JSON is the lossless format; CSV and the Anki text deck are for spreadsheets and flashcard apps.
+
+export const DICTIONARY_EXPORT_FORMAT = 'ai-chat-dictionary';
+export const DICTIONARY_EXPORT_VERSION = 1;
+
+const CSV_COLUMNS = [
+  'id',
+  'entryType',
+  'original',
+  'text',
+  'tone',
+  'nuance',
+  'categories',
+  'grammarEdits',
+  'manualOrder',
+  'originalSentAt',
+  'createdAt',
+];
+
+/**
+ * Dedup key shared by `addDictionaryEntry`, `addGrammarDictionaryEntry` and import.
+ */
+export function normalizeDictionaryText(text) {
+  return String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function categoryNamesFor(entry, categories) {
+  const byId = new Map(categories.map((cat) => [cat.id, cat.name]));
+  return (Array.isArray(entry?.categoryIds) ? entry.categoryIds : []).map((id) => byId.get(id)).filter(Boolean);
+}
+
+export function buildDictionaryJsonExport(entries, categories) {
+  return JSON.stringify({
+    format: DICTIONARY_EXPORT_FORMAT,
+    version: DICTIONARY_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    categories,
+    entries,
+  }, null, 2);
+}
+
+// Spreadsheet apps run a cell that starts with one of these as a formula.
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsvField(value) {
+  const raw = String(value ?? '');
+  // A leading apostrophe makes the cell plain text; import strips it again.
+  const text = CSV_FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function unescapeCsvFormula(value) {
+  return value.startsWith("'") && CSV_FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+}
+
+export function buildDictionaryCsv(entries, categories) {
+  const rows = entries.map((entry) => CSV_COLUMNS.map((column) => {
+    if (column === 'categories') return categoryNamesFor(entry, categories).join('; ');
+    if (column === 'grammarEdits') {
+      return Array.isArray(entry.grammarEdits) && entry.grammarEdits.length > 0 ? JSON.stringify(entry.grammarEdits) : '';
+    }
+    return entry[column] ?? '';
+  }).map(escapeCsvField).join(','));
+  // Leading BOM so spreadsheet apps read Korean text as UTF-8.
+  return `\uFEFF${[CSV_COLUMNS.join(','), ...rows].join('\r\n')}`;
+}
+
+function escapeAnkiField(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\t/g, ' ')
+    .replace(/\r?\n/g, '<br>');
+}
+
+function toAnkiTag(name) {
+  return String(name || '').trim().replace(/\s+/g, '_');
+}
+
+/**
+ * Tab-separated notes for Anki's "Import File": front, back, tags.
+ */
+export function buildDictionaryAnkiText(entries, categories) {
+  const header = ['#separator:tab', '#html:true', '#columns:Front\tBack\tTags', '#tags column:3'];
+  const notes = entries.map((entry) => {
+    const isGrammar = entry.entryType === 'grammar';
+    const front = escapeAnkiField(entry.original || entry.nuance || entry.text);
+    const backParts = [`<b>${escapeAnkiField(entry.text)}</b>`];
+    if (isGrammar) {
+      (Array.isArray(entry.grammarEdits) ? entry.grammarEdits : []).forEach((edit) => {
+        backParts.push(`${escapeAnkiField(edit.wrong)} → ${escapeAnkiField(edit.right)}`);
+      });
+    } else {
+      if (entry.tone) backParts.push(`<i>${escapeAnkiField(entry.tone)}</i>`);
+      if (entry.nuance) backParts.push(escapeAnkiField(entry.nuance));
+    }
+    const tags = [isGrammar ? 'grammar_correction' : 'native_expression', ...categoryNamesFor(entry, categories).map(toAnkiTag)];
+    return [front, backParts.join('<br>'), tags.join(' ')].join('\t');
+  });
+  return [...header, ...notes].join('\n');
+}
+
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+function parseDictionaryCsv(text) {
+  const [header = [], ...rows] = parseCsvRows(text);
+  const columns = header.map((name) => name.trim());
+  if (!columns.includes('text')) throw new Error('CSV에 text 열이 없습니다.');
+
+  const categoriesByName = new Map();
+  const entries = rows.map((cells) => {
+    const record = Object.fromEntries(columns.map((column, index) => [column, unescapeCsvFormula(cells[index] ?? '')]));
+    const categoryIds = String(record.categories || '')
+      .split(';')
+      .map((name) => name.trim())
+      .filter(Boolean)
+      .map((name) => {
+        const key = name.toLowerCase();
+        if (!categoriesByName.has(key)) categoriesByName.set(key, { id: `csv-${categoriesByName.size}`, name, createdAt: '' });
+        return categoriesByName.get(key).id;
+      });
+    let grammarEdits = [];
+    try {
+      grammarEdits = record.grammarEdits ? JSON.parse(record.grammarEdits) : [];
+    } catch (_) {
+      grammarEdits = [];
+    }
+    return {
+      id: record.id,
+      entryType: record.entryType,
+      original: record.original,
+      text: record.text,
+      tone: record.tone,
+      nuance: record.nuance,
+      categoryIds,
+      grammarEdits,
+      manualOrder: record.manualOrder === '' ? undefined : Number(record.manualOrder),
+      originalSentAt: record.originalSentAt,
+      createdAt: record.createdAt,
+    };
+  });
+  return { entries, categories: [...categoriesByName.values()] };
+}
+
+/**
+ * Reads a JSON or CSV export back into `{ entries, categories }`. Throws with a user-facing message.
+ */
+export function parseDictionaryImport(text) {
+  const clean = String(text || '').replace(/^\uFEFF/, '').trim();
+  if (!clean) throw new Error('파일이 비어 있습니다.');
+
+  if (clean.startsWith('{') || clean.startsWith('[')) {
+    let data;
+    try {
+      data = JSON.parse(clean);
+    } catch (_) {
+      throw new Error('JSON 형식이 올바르지 않습니다.');
+    }
+    // A bare array is accepted as a list of entries without categories.
+    if (Array.isArray(data)) return { entries: data, categories: [] };
+    if (!Array.isArray(data?.entries)) throw new Error('사전 내보내기 파일이 아닙니다.');
+    return {
+      entries: data.entries,
+      categories: Array.isArray(data.categories) ? data.categories : [],
+    };
+  }
+  return parseDictionaryCsv(clean);
+}
+
+function normalizeImportedEntry(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const text = String(raw.text || '').trim();
+  if (!text) return null;
+  const createdAt = Number.isFinite(Date.parse(raw.createdAt || '')) ? raw.createdAt : new Date().toISOString();
+  const grammarEdits = (Array.isArray(raw.grammarEdits) ? raw.grammarEdits : [])
+    .map((edit) => ({
+      wrong: String(edit?.wrong || '').trim(),
+      right: String(edit?.right || '').trim(),
+      reason: String(edit?.reason || '').trim(),
+    }))
+    .filter((edit) => edit.wrong && edit.right);
+  const manualOrder = Number(raw.manualOrder);
+
+  return {
+    ...raw,
+    entryType: raw.entryType === 'grammar' ? 'grammar' : 'native',
+    original: String(raw.original || ''),
+    originalSentAt: raw.originalSentAt || createdAt,
+    text,
+    tone: String(raw.tone || ''),
+    nuance: String(raw.nuance || ''),
+    categoryIds: Array.isArray(raw.categoryIds) ? raw.categoryIds.map(String).filter(Boolean) : [],
+    grammarEdits,
+    manualOrder: Number.isFinite(manualOrder) ? manualOrder : undefined,
+    createdAt,
+  };
+}
+
+/**
+ * Merges an import into the current dictionary.
+ * Categories match by name; entries match by normalized text and existing entries win, picking
+ * up the duplicate's categories.
+ */
+export function mergeDictionaryImport({ entries, categories }, imported, generateId) {
+  const nextCategories = [...categories];
+  const categoryIdByName = new Map(nextCategories.map((cat) => [cat.name.toLowerCase(), cat.id]));
+  const categoryIdMap = new Map();
+  let addedCategories = 0;
+
+  (Array.isArray(imported?.categories) ? imported.categories : []).forEach((raw) => {
+    const name = String(raw?.name || '').trim().replace(/\s+/g, ' ').slice(0, 24);
+    const sourceId = String(raw?.id || '');
+    if (!name || !sourceId) return;
+    const key = name.toLowerCase();
+    if (!categoryIdByName.has(key)) {
+      const created = { id: generateId(), name, createdAt: raw.createdAt || new Date().toISOString() };
+      nextCategories.push(created);
+      categoryIdByName.set(key, created.id);
+      addedCategories += 1;
+    }
+    categoryIdMap.set(sourceId, categoryIdByName.get(key));
+  });
+
+  const indexByText = new Map(entries.map((entry, index) => [normalizeDictionaryText(entry.text), index]));
+  const usedIds = new Set(entries.map((entry) => entry.id));
+  const nextEntries = [...entries];
+  // Imported entries go after everything already here; orders from the source dictionary would
+  // collide with local ones.
+  let nextManualOrder = entries.reduce((max, entry, index) => {
+    const order = Number(entry?.manualOrder);
+    return Math.max(max, Number.isFinite(order) ? order : index);
+  }, -1) + 1;
+  let added = 0;
+  let skipped = 0;
+
+  (Array.isArray(imported?.entries) ? imported.entries : []).forEach((raw) => {
+    const entry = normalizeImportedEntry(raw);
+    if (!entry) {
+      skipped += 1;
+      return;
+    }
+    const key = normalizeDictionaryText(entry.text);
+    const categoryIds = entry.categoryIds.map((categoryId) => categoryIdMap.get(categoryId)).filter(Boolean);
+    if (indexByText.has(key)) {
+      const index = indexByText.get(key);
+      const existing = nextEntries[index];
+      const existingIds = Array.isArray(existing.categoryIds) ? existing.categoryIds : [];
+      const mergedIds = [...new Set([...existingIds, ...categoryIds])];
+      if (mergedIds.length > existingIds.length) nextEntries[index] = { ...existing, categoryIds: mergedIds };
+      skipped += 1;
+      return;
+    }
+    const id = entry.id && !usedIds.has(entry.id) ? String(entry.id) : generateId();
+    indexByText.set(key, nextEntries.length);
+    usedIds.add(id);
+    nextEntries.push({
+      ...entry,
+      id,
+      categoryIds: [...new Set(categoryIds)],
+      manualOrder: nextManualOrder,
+    });
+    nextManualOrder += 1;
+    added += 1;
+  });
+
+  return { entries: nextEntries, categories: nextCategories, added, skipped, addedCategories };
+}
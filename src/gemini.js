@@ -1,24 +1,24 @@
 // Gemini API integration module
 // Supports Gemini 2.0 Flash, 2.5 Pro, and 2.0 Flash Lite
 
-const DEMO_RESPONSES = [
-    "안녕하세요! 무엇을 도와드릴까요? 😊",
-    "좋은 질문이네요! 알려드릴게요.",
-    "흥미로운 주제예요. 좀 더 자세히 이야기해볼까요?",
-    "네, 이해했어요. 다른 궁금한 점이 있나요?",
-    "그건 조금 복잡한 문제인데요, 하나씩 살펴볼까요? 🤔",
-    "맞아요! 그 부분에 대해 더 설명해드릴게요.",
-    "재미있는 대화네요! 계속해주세요 ✨",
-    "도움이 필요하시면 언제든 말씀해주세요!",
-    "이 부분은 제가 잘 아는 영역이에요. 자세히 알려드릴게요!",
-    "좋은 아이디어예요! 실현 가능한 방법을 생각해볼게요 💡",
-];
+import { updateConversation } from './conversations.js';
+import { apiFetch, isApiLimitError, readApiError } from './auth.js';
+import { getCachedResponse, setCachedResponse } from './responseCache.js';
+import { readSseStream } from '../api/_sse.js';
+import { splitReplyIntoBubbles } from '../api/_reply_bubbles.js';
+import { splitIntoSentences } from './sentences.js';
+
+export const DEFAULT_SYSTEM_PROMPT = "You are a close friend over text. Talk like a real person, not an AI. CRITICAL: Keep your responses EXTREMELY concise (1-2 short sentences max). ALWAYS respond ONLY in natural English. Never use multiple paragraphs. No philosophical fluff, no long-winded jokes, no AI-style 'how can I help you' endings. Just answer the question or chat casually like a busy friend.";
 
+// VITE_GEMINI_BASE_URL points direct calls at another host, e.g. the local mock server.
+const GEMINI_API_BASE = `${(import.meta.env.VITE_GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com').replace(/\/+$/, '')}/v1beta`;
 const DEFAULT_MODEL = 'gemini-3-flash-preview';
 const LEGACY_MODEL_MAP = {
     'gemini-1.5-flash': DEFAULT_MODEL,
     'gemini-1.5-pro': 'gemini-3-pro-preview',
 };
+// stream: tokens fill one bubble live; complete: one finished bubble; split: a few short bubbles in a row.
+export const REPLY_MODES = ['stream', 'complete', 'split'];
 const FALLBACK_MODELS = [
     'gemini-3-flash-preview',
     'gemini-3-pro-preview',
@@ -26,31 +26,47 @@ const FALLBACK_MODELS = [
 
 export class GeminiAPI {
     constructor() {
-        this.envApiKey = import.meta.env.VITE_GEMINI_API_KEY || '';
+        // Model calls go through /api with the server's key. A key the user enters in settings stays
+        // on this device and is only used for the direct fallbacks below.
         this.apiKey = localStorage.getItem('gemini_api_key') || '';
         const savedModel = localStorage.getItem('gemini_model') || DEFAULT_MODEL;
         this.model = LEGACY_MODEL_MAP[savedModel] || savedModel;
-        this.systemPrompt = localStorage.getItem('gemini_system_prompt') ||
-            "You are a close friend over text. Talk like a real person, not an AI. CRITICAL: Keep your responses EXTREMELY concise (1-2 short sentences max). ALWAYS respond ONLY in natural English. Never use multiple paragraphs. No philosophical fluff, no long-winded jokes, no AI-style 'how can I help you' endings. Just answer the question or chat casually like a busy friend.";
+        // Prompt, memory and persona belong to the active conversation; see useConversation().
+        this.conversationId = '';
+        this.systemPrompt = DEFAULT_SYSTEM_PROMPT;
         this.conversationHistory = [];
+        this.memoryProfile = null;
+        this.memorySummary = '';
+        this.memoryPins = null;
+        this.memoryRevision = 0;
+        this.personaProfile = null;
+        // Direct browser -> Gemini chat calls skip memory/persona; only used when explicitly enabled.
+        this.directChatFallback = localStorage.getItem('gemini_direct_chat_fallback') === 'true';
+        const savedReplyMode = localStorage.getItem('gemini_reply_mode');
+        this.replyMode = REPLY_MODES.includes(savedReplyMode)
+            ? savedReplyMode
+            : (localStorage.getItem('gemini_stream_replies') === 'false' ? 'complete' : 'stream');
 
         if (this.model !== savedModel) {
             localStorage.setItem('gemini_model', this.model);
         }
     }
 
+    // Throws instead of returning an error text, which callers would keep as the translation.
     async translate(text, targetLang = 'Korean') {
         try {
-            const server = await this._postBackend('/api/translate', { text, targetLang, model: this.model });
+            const server = await this._postCachedBackend('translate', { text, targetLang, model: this.model });
             if (server?.translation) return server.translation;
         } catch (serverError) {
+            if (isApiLimitError(serverError) && !this.hasOwnApiKey) throw serverError;
             console.warn('Translate backend fallback to direct call:', serverError);
         }
 
-        if (!this.isConfigured) return "번역 데모: " + text;
+        if (!this.hasOwnApiKey) throw new Error('번역 오류 (연결 실패)');
         const prompt = `Translate the following English text into natural, conversational ${targetLang}: "${text}"\nOnly provide the translation, no explanations.`;
+        let data;
         try {
-            const url = `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent?key=${this.effectiveApiKey}`;
+            const url = `${GEMINI_API_BASE}/models/${this.model}:generateContent?key=${this.effectiveApiKey}`;
             const body = {
                 contents: [{ role: 'user', parts: [{ text: prompt }] }],
                 generationConfig: { temperature: 0.1, maxOutputTokens: 1024 }
@@ -60,17 +76,19 @@ export class GeminiAPI {
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(body)
             });
-            const data = await res.json();
-            return data?.candidates?.[0]?.content?.parts?.[0]?.text?.trim() || "번역 실패 (데이터 없음)";
+            data = await res.json();
         } catch (e) {
             console.error('Translation error:', e);
-            return "번역 오류 (연결 실패)";
+            throw new Error('번역 오류 (연결 실패)');
         }
+        const translation = data?.candidates?.[0]?.content?.parts?.[0]?.text?.trim();
+        if (!translation) throw new Error('번역 실패 (데이터 없음)');
+        return translation;
     }
 
     async checkGrammar(text) {
         try {
-            const server = await this._postBackend('/api/grammar-feedback', { text, model: this.model });
+            const server = await this._postCachedBackend('grammar-feedback', { text, model: this.model });
             if (server && typeof server === 'object') {
                 return {
                     hasErrors: Boolean(server.hasErrors),
@@ -85,22 +103,13 @@ export class GeminiAPI {
                 };
             }
         } catch (serverError) {
+            // A made-up "looks fine" review would be saved on the message as passed; let the caller
+            // say why instead.
+            if (isApiLimitError(serverError) && !this.hasOwnApiKey) throw serverError;
             console.warn('Grammar backend fallback to direct call:', serverError);
         }
 
-        if (!this.isConfigured) {
-            return {
-                hasErrors: false,
-                correctedText: text,
-                edits: [],
-                feedback: 'Sounds natural for daily conversation.',
-                feedbackPoints: [],
-                sentenceFeedback: [],
-                naturalAlternative: '',
-                naturalReason: '',
-                naturalRewrite: ''
-            };
-        }
+        if (!this.hasOwnApiKey) throw new Error('문법 검사 오류 (연결 실패)');
 
         const prompt = `You are an English writing coach for language learners.
 Analyze the user's sentence and return ONLY valid JSON (no markdown, no extra text) in this exact schema:
@@ -148,7 +157,7 @@ Sentence:
 "${text}"`;
 
         try {
-            const url = `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent?key=${this.effectiveApiKey}`;
+            const url = `${GEMINI_API_BASE}/models/${this.model}:generateContent?key=${this.effectiveApiKey}`;
             const callModel = async (analysisPrompt) => {
                 const body = {
                     contents: [{ role: 'user', parts: [{ text: analysisPrompt }] }],
@@ -279,32 +288,23 @@ Text:
             };
         } catch (error) {
             console.error('Grammar check error:', error);
-            return {
-                hasErrors: false,
-                correctedText: text,
-                edits: [],
-                feedback: 'Looks good overall.',
-                feedbackPoints: [],
-                sentenceFeedback: [],
-                naturalAlternative: '',
-                naturalReason: '',
-                naturalRewrite: ''
-            };
+            throw new Error('문법 검사 오류 (연결 실패)');
         }
     }
 
     async getNativeAlternatives(text) {
         try {
-            const server = await this._postBackend('/api/native-alternatives', { text, model: this.model });
+            const server = await this._postCachedBackend('native-alternatives', { text, model: this.model });
             if (Array.isArray(server?.alternatives)) {
                 const normalized = this._normalizeNativeAlternatives(server.alternatives);
                 if (normalized.length > 0) return normalized;
             }
         } catch (serverError) {
+            if (isApiLimitError(serverError) && !this.hasOwnApiKey) throw serverError;
             console.warn('Native alternatives backend fallback to direct call:', serverError);
         }
 
-        if (!this.isConfigured) {
+        if (!this.hasOwnApiKey) {
             return this._buildFallbackNativeAlternatives(text);
         }
 
@@ -357,7 +357,7 @@ Sentence:
 "${text}"`;
 
         try {
-            const url = `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent?key=${this.effectiveApiKey}`;
+            const url = `${GEMINI_API_BASE}/models/${this.model}:generateContent?key=${this.effectiveApiKey}`;
             const callModel = async (prompt, responseMimeType = null) => {
                 const generationConfig = {
                     temperature: 0.4,
@@ -495,17 +495,18 @@ Message:
         }
     }
 
-    get isConfigured() {
-        return this.envApiKey.length > 0 || this.apiKey.length > 0;
+    get hasOwnApiKey() {
+        return this.apiKey.length > 0;
     }
 
     get effectiveApiKey() {
-        return this.envApiKey || this.apiKey;
+        return this.apiKey;
     }
 
     setApiKey(key) {
-        this.apiKey = key;
-        localStorage.setItem('gemini_api_key', key);
+        this.apiKey = String(key || '').trim();
+        if (this.apiKey) localStorage.setItem('gemini_api_key', this.apiKey);
+        else localStorage.removeItem('gemini_api_key');
     }
 
     setModel(model) {
@@ -513,24 +514,117 @@ Message:
         localStorage.setItem('gemini_model', this.model);
     }
 
+    useConversation(conversation) {
+        // Bumping the revision also drops any memory refresh still in flight for the previous thread.
+        this.memoryRevision += 1;
+        this.conversationId = conversation?.id || '';
+        this.systemPrompt = conversation?.systemPrompt || DEFAULT_SYSTEM_PROMPT;
+        this.memoryProfile = conversation?.memoryProfile || null;
+        this.memorySummary = conversation?.memorySummary || '';
+        this.memoryPins = conversation?.memoryPins || null;
+        this.personaProfile = conversation?.personaProfile || null;
+        this.conversationHistory = [];
+    }
+
+    loadHistory(messages = []) {
+        this.conversationHistory = [];
+        (Array.isArray(messages) ? messages : [])
+            .filter((msg) => (msg?.role === 'user' || msg?.role === 'ai') && String(msg.text || '').trim())
+            .forEach((msg) => this.addToHistory(msg.role === 'ai' ? 'model' : 'user', String(msg.text).trim()));
+    }
+
     setSystemPrompt(prompt) {
         this.systemPrompt = prompt;
-        localStorage.setItem('gemini_system_prompt', prompt);
+        this._saveConversation({ systemPrompt: prompt });
+    }
+
+    setMemory({ memoryProfile = null, memorySummary = '', pinnedMemoryProfile } = {}) {
+        this.memoryRevision += 1;
+        this.memoryProfile = memoryProfile && typeof memoryProfile === 'object' ? memoryProfile : null;
+        this.memorySummary = String(memorySummary || '').trim();
+        const patch = { memoryProfile: this.memoryProfile, memorySummary: this.memorySummary };
+
+        if (pinnedMemoryProfile !== undefined) {
+            this.memoryPins = pinnedMemoryProfile && typeof pinnedMemoryProfile === 'object' ? pinnedMemoryProfile : null;
+            patch.memoryPins = this.memoryPins;
+        }
+        this._saveConversation(patch);
+    }
+
+    async refreshMemory(history) {
+        const revision = this.memoryRevision;
+        const server = await this._postBackend('/api/memory-summary', {
+            currentSummary: this.memorySummary,
+            currentMemoryProfile: this.memoryProfile,
+            pinnedMemoryProfile: this.memoryPins,
+            history: Array.isArray(history) ? history : [],
+            model: this.model,
+        });
+        // Drop the result if memory was edited locally while the request was in flight.
+        if (revision !== this.memoryRevision) return null;
+        // Resolves with null whenever nothing was applied, so callers know the turns are still unsummarized.
+        if (!server?.memoryProfile || typeof server.memoryProfile !== 'object') return null;
+        this.setMemory({
+            memoryProfile: server.memoryProfile,
+            memorySummary: typeof server.memorySummary === 'string' ? server.memorySummary : this.memorySummary,
+        });
+        return server;
+    }
+
+    setPersonaProfile(profile) {
+        this.personaProfile = profile && typeof profile === 'object' ? { ...profile } : null;
+        this._saveConversation({ personaProfile: this.personaProfile });
+    }
+
+    async previewReply(message, personaProfile) {
+        const server = await this._postBackend('/api/chat', {
+            message,
+            model: this.model,
+            history: [],
+            systemPrompt: this.systemPrompt,
+            personaProfile,
+        });
+        return typeof server?.reply === 'string' ? server.reply.trim() : '';
+    }
+
+    setDirectChatFallback(enabled) {
+        this.directChatFallback = Boolean(enabled);
+        localStorage.setItem('gemini_direct_chat_fallback', this.directChatFallback ? 'true' : 'false');
+    }
+
+    setReplyMode(mode) {
+        this.replyMode = REPLY_MODES.includes(mode) ? mode : 'stream';
+        localStorage.setItem('gemini_reply_mode', this.replyMode);
+        localStorage.removeItem('gemini_stream_replies');
+    }
+
+    _saveConversation(patch) {
+        if (!this.conversationId) return;
+        updateConversation(this.conversationId, patch);
     }
 
     async _postBackend(path, payload) {
-        const res = await fetch(path, {
+        const res = await apiFetch(path, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(payload || {})
         });
-        if (!res.ok) {
-            const data = await res.json().catch(() => ({}));
-            throw new Error(data?.error || `HTTP ${res.status}`);
-        }
+        if (!res.ok) throw await readApiError(res);
         return res.json();
     }
 
+    /**
+     * _postBackend() for answers that depend only on the request: served from IndexedDB when the
+     * same text was asked before, and stored after a successful call.
+     */
+    async _postCachedBackend(route, payload) {
+        const cached = await getCachedResponse(route, payload);
+        if (cached) return cached;
+        const server = await this._postBackend(`/api/${route}`, payload);
+        void setCachedResponse(route, payload, server);
+        return server;
+    }
+
     addToHistory(role, text) {
         this.conversationHistory.push({
             role: role,
@@ -547,32 +641,160 @@ Message:
     }
 
     async sendMessage(userMessage) {
-        this.addToHistory('user', userMessage);
+        const { text } = await this._sendChat(userMessage);
+        return text;
+    }
 
-        if (!this.isConfigured) {
-            return this._getDemoResponse();
-        }
+    /**
+     * Like sendMessage(), but resolves with the reply broken into short consecutive messages.
+     */
+    async sendMessageParts(userMessage) {
+        const { text, parts } = await this._sendChat(userMessage, { splitReplies: true });
+        return parts.length > 0 ? parts : [text];
+    }
+
+    async _sendChat(userMessage, { splitReplies = false } = {}) {
+        const history = this._buildBackendHistory();
+        this.addToHistory('user', userMessage);
 
         try {
-            const response = await this._callAPI();
-            const text = this._extractText(response);
+            let text;
+            let parts = [];
+            try {
+                const server = await this._postBackend('/api/chat', {
+                    message: userMessage,
+                    model: this.model,
+                    history,
+                    systemPrompt: this.systemPrompt,
+                    memoryProfile: this.memoryProfile,
+                    memorySummary: this.memorySummary,
+                    personaProfile: this.personaProfile,
+                    splitReplies,
+                });
+                text = typeof server?.reply === 'string' ? server.reply.trim() : '';
+                if (!text) throw new Error('빈 응답이 반환되었습니다.');
+                if (Array.isArray(server?.messages)) {
+                    parts = server.messages.map((part) => String(part || '').trim()).filter(Boolean);
+                }
+            } catch (serverError) {
+                if (!this.directChatFallback || !this.hasOwnApiKey) throw serverError;
+                console.warn('Chat backend fallback to direct call:', serverError);
+                text = this._extractText(await this._callAPI());
+            }
+            if (splitReplies && parts.length === 0) parts = splitReplyIntoBubbles(text);
             this.addToHistory('model', text);
-            return text;
+            return { text, parts };
         } catch (error) {
             console.error('Gemini API Error:', error);
 
             // Remove the last user message from history on error
             this.conversationHistory.pop();
+            throw this._toUserFacingError(error);
+        }
+    }
+
+    /**
+     * Streaming counterpart of sendMessage(). `onDelta` receives the accumulated reply text as tokens arrive.
+     * Aborting `signal` keeps the partial reply (if any) and resolves with it; `aborted` tells the caller why.
+     */
+    async sendMessageStream(userMessage, { onDelta, signal } = {}) {
+        const history = this._buildBackendHistory();
+        this.addToHistory('user', userMessage);
+
+        let text = '';
+        const emit = (delta) => {
+            text += delta;
+            if (typeof onDelta === 'function') onDelta(text);
+        };
+
+        try {
+            try {
+                await this._streamBackend('/api/chat', {
+                    message: userMessage,
+                    model: this.model,
+                    history,
+                    systemPrompt: this.systemPrompt,
+                    memoryProfile: this.memoryProfile,
+                    memorySummary: this.memorySummary,
+                    personaProfile: this.personaProfile,
+                    stream: true,
+                }, emit, signal);
+            } catch (serverError) {
+                // Never replay a reply that already started streaming.
+                if (signal?.aborted || text || !this.directChatFallback || !this.hasOwnApiKey) throw serverError;
+                console.warn('Chat stream backend fallback to direct call:', serverError);
+                await this._streamAPI(emit, signal);
+            }
+
+            text = text.trim();
+            if (!text) throw new Error('빈 응답이 반환되었습니다.');
+            this.addToHistory('model', text);
+            return { text, aborted: false };
+        } catch (error) {
+            const partial = text.trim();
+            if (signal?.aborted) {
+                if (partial) {
+                    this.addToHistory('model', partial);
+                } else {
+                    this.conversationHistory.pop();
+                }
+                return { text: partial, aborted: true };
+            }
+
+            console.error('Gemini API Error:', error);
+            this.conversationHistory.pop();
+            throw this._toUserFacingError(error);
+        }
+    }
 
-            if (error.message.includes('API_KEY_INVALID') || error.status === 400) {
-                throw new Error('API 키가 유효하지 않습니다. 설정에서 확인해주세요.');
-            } else if (error.message.includes('QUOTA') || error.status === 429) {
-                throw new Error('API 요청 한도를 초과했습니다. 잠시 후 다시 시도해주세요.');
-            } else if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
-                throw new Error('네트워크 연결을 확인해주세요.');
+    async _streamBackend(path, payload, onText, signal) {
+        const res = await apiFetch(path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload || {}),
+            signal,
+        });
+        if (!res.ok || !res.body) throw await readApiError(res);
+
+        let streamError = null;
+        await readSseStream(res.body, (data) => {
+            const event = this._parseJsonSafely(data);
+            if (event?.error) {
+                streamError = new Error(event.error);
+                streamError.status = event.status || 500;
+                streamError.code = event.code || '';
+            } else if (typeof event?.delta === 'string' && event.delta) {
+                onText(event.delta);
             }
-            throw new Error(`오류가 발생했습니다: ${error.message}`);
+        });
+        if (streamError) throw streamError;
+    }
+
+    _toUserFacingError(error) {
+        if (isApiLimitError(error)) return error;
+        if (error.status === 401) {
+            return new Error('로그인이 필요합니다. 설정에서 로그인해주세요.');
         }
+        if (error.code === 'upstream_timeout' || error.code === 'upstream_unavailable') {
+            return new Error('AI 서버가 바빠서 응답하지 못했어요. 잠시 후 다시 시도해주세요.');
+        }
+        if (error.message.includes('API_KEY_INVALID') || error.status === 400) {
+            return new Error('API 키가 유효하지 않습니다. 설정에서 확인해주세요.');
+        } else if (error.message.includes('QUOTA') || error.status === 429) {
+            return new Error('API 요청 한도를 초과했습니다. 잠시 후 다시 시도해주세요.');
+        } else if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
+            return new Error('네트워크 연결을 확인해주세요.');
+        }
+        return new Error(`오류가 발생했습니다: ${error.message}`);
+    }
+
+    _buildBackendHistory() {
+        return this.conversationHistory
+            .map((item) => ({
+                role: item?.role === 'model' ? 'ai' : 'user',
+                text: String(item?.parts?.[0]?.text || '').trim(),
+            }))
+            .filter((item) => item.text.length > 0);
     }
 
     async _callAPI() {
@@ -580,30 +802,11 @@ Message:
         let lastError = null;
 
         for (const model of tryModels) {
-            const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${this.effectiveApiKey}`;
-            const body = {
-                contents: this.conversationHistory,
-                systemInstruction: {
-                    parts: [{ text: this.systemPrompt }]
-                },
-                generationConfig: {
-                    temperature: 0.8,
-                    topP: 0.95,
-                    topK: 40,
-                    maxOutputTokens: 2048,
-                },
-                safetySettings: [
-                    { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
-                    { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
-                    { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
-                    { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" },
-                ]
-            };
-
+            const url = `${GEMINI_API_BASE}/models/${model}:generateContent?key=${this.effectiveApiKey}`;
             const res = await fetch(url, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(body),
+                body: JSON.stringify(this._buildDirectChatBody()),
             });
 
             if (res.ok) {
@@ -631,6 +834,51 @@ Message:
         throw lastError || new Error('모델 호출에 실패했습니다.');
     }
 
+    async _streamAPI(onText, signal) {
+        const url = `${GEMINI_API_BASE}/models/${this.model}:streamGenerateContent?alt=sse&key=${this.effectiveApiKey}`;
+        const res = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(this._buildDirectChatBody()),
+            signal,
+        });
+        if (!res.ok || !res.body) {
+            const errorData = await res.json().catch(() => ({}));
+            const error = new Error(errorData?.error?.message || `HTTP ${res.status}`);
+            error.status = res.status;
+            throw error;
+        }
+
+        await readSseStream(res.body, (data) => {
+            const chunk = this._parseJsonSafely(data);
+            const text = (chunk?.candidates?.[0]?.content?.parts || [])
+                .map((part) => (typeof part?.text === 'string' ? part.text : ''))
+                .join('');
+            if (text) onText(text);
+        });
+    }
+
+    _buildDirectChatBody() {
+        return {
+            contents: this.conversationHistory,
+            systemInstruction: {
+                parts: [{ text: this.systemPrompt }]
+            },
+            generationConfig: {
+                temperature: 0.8,
+                topP: 0.95,
+                topK: 40,
+                maxOutputTokens: 2048,
+            },
+            safetySettings: [
+                { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
+                { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
+                { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
+                { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" },
+            ]
+        };
+    }
+
     _extractText(response) {
         const candidate = response?.candidates?.[0];
         if (!candidate) {
@@ -931,12 +1179,7 @@ ${raw}`;
     }
 
     _splitIntoSentences(text) {
-        const value = String(text || '').trim();
-        if (!value) return [];
-        return value
-            .split(/(?<=[.!?])\s+|\n+/)
-            .map((sentence) => sentence.trim())
-            .filter(Boolean);
+        return splitIntoSentences(text);
     }
 
     _normalizeSentenceFeedback(items, sourceText, fallbackFeedback = '', fallbackSuggested = '', fallbackWhy = '') {
@@ -991,9 +1234,9 @@ ${raw}`;
 
     async _requestDetailedSentenceFeedback(sourceText, edits, correctedText) {
         const sentences = this._splitIntoSentences(sourceText);
-        if (sentences.length === 0 || !this.isConfigured) {
-            return this._normalizeSentenceFeedback([], sourceText, 'Looks good overall.', '', '');
-        }
+        if (sentences.length === 0) return [];
+        // Same as checkGrammar: no canned praise when the review could not be made.
+        if (!this.hasOwnApiKey) throw new Error('문법 검사 오류 (연결 실패)');
 
         const prompt = `You are a meticulous native English coach.
 Analyze EACH sentence and return ONLY valid JSON:
@@ -1027,7 +1270,7 @@ Corrected text:
 "${correctedText}"`;
 
         try {
-            const url = `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent?key=${this.effectiveApiKey}`;
+            const url = `${GEMINI_API_BASE}/models/${this.model}:generateContent?key=${this.effectiveApiKey}`;
             const body = {
                 contents: [{ role: 'user', parts: [{ text: prompt }] }],
                 generationConfig: {
@@ -1052,7 +1295,7 @@ Corrected text:
             return this._normalizeSentenceFeedback(parsed?.sentenceFeedback, sourceText, 'Detailed review complete.', '', '');
         } catch (error) {
             console.error('Detailed sentence feedback error:', error);
-            return this._normalizeSentenceFeedback([], sourceText, 'Looks good overall.', '', '');
+            throw new Error('문법 검사 오류 (연결 실패)');
         }
     }
 
@@ -1082,16 +1325,4 @@ Corrected text:
             why: index === 0 ? String(fallbackWhy || '').trim() : '',
         };
     }
-
-    _getDemoResponse() {
-        const delay = 800 + Math.random() * 1200;
-        return new Promise(resolve => {
-            setTimeout(() => {
-                const idx = Math.floor(Math.random() * DEMO_RESPONSES.length);
-                const response = DEMO_RESPONSES[idx];
-                this.addToHistory('model', response);
-                resolve(response);
-            }, delay);
-        });
-    }
 }
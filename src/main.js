@@ -1,5 +1,77 @@
 import './style.css';
 import { GeminiAPI } from './gemini.js';
+import {
+  CONVERSATION_NAME_MAX_CHARS,
+  DEFAULT_AI_AVATAR,
+  DEFAULT_AI_NAME,
+  buildConversationPreview,
+  createConversation,
+  deleteConversation,
+  getActiveConversationId,
+  getConversation,
+  loadConversations,
+  migrateLegacyConversation,
+  onConversationsChange,
+  setActiveConversationId,
+  sortConversations,
+  updateConversation,
+} from './conversations.js';
+import {
+  deleteConversationMessages,
+  loadMessagePage,
+  migrateLocalStorageMessages,
+  nextMessageSeq,
+  putMessage,
+} from './messageStore.js';
+import {
+  MEMORY_PROFILE_KEYS,
+  MEMORY_PROFILE_MAX_ITEM_CHARS,
+  buildMemorySummary,
+  rebalanceMemoryProfile,
+  sanitizeMemoryProfile,
+} from '../api/_memory_profile.js';
+import { PERSONA_PROFILE_KEYS, sanitizePersonaProfile } from '../api/_persona_profile.js';
+import {
+  REVIEW_GRADES,
+  formatReviewInterval,
+  getDueEntries,
+  getReviewState,
+  scheduleReview,
+} from './dictionaryReview.js';
+import {
+  buildDictionaryAnkiText,
+  buildDictionaryCsv,
+  buildDictionaryJsonExport,
+  mergeDictionaryImport,
+  normalizeDictionaryText,
+  parseDictionaryImport,
+} from './dictionaryTransfer.js';
+import { createBackup, parseBackup, restoreBackup, summarizeRestore } from './backup.js';
+import { runSync } from './sync.js';
+import { stampModifiedRecords } from './changeStamps.js';
+import { splitIntoSentences } from './sentences.js';
+import {
+  getPronunciationKey,
+  getPronunciationProgress,
+  recordPronunciationAttempt,
+  scorePronunciation,
+} from './pronunciation.js';
+import { clearTtsCache, getTtsCacheUsage, readTtsAudio, storeTtsAudio } from './ttsCache.js';
+import {
+  apiFetch,
+  completeLoginFromUrl,
+  getCurrentUser,
+  logout,
+  isApiLimitError,
+  onAuthChange,
+  readApiError,
+  requestLoginLink,
+} from './auth.js';
+import {
+  DEFAULT_NOTIFICATION_SCHEDULE,
+  NOTIFICATION_MAX_PER_DAY,
+  sanitizeNotificationSchedule,
+} from '../api/_notification_schedule.js';
 
 // ===========================
 // App State
@@ -15,13 +87,29 @@ const newStrictPrompt = "You are a close friend over text. Talk like a real pers
 const currentPrompt = localStorage.getItem('gemini_system_prompt');
 if (currentPrompt === oldDefaultPrompt1 || currentPrompt === oldDefaultPrompt2) {
   localStorage.setItem('gemini_system_prompt', newStrictPrompt);
-  gemini.setSystemPrompt(newStrictPrompt);
 }
 
+// Single-chat storage predates conversation threads; fold it into the first thread.
+const migratedConversationId = migrateLegacyConversation();
+
 // State
-let messages = JSON.parse(localStorage.getItem('chat_messages') || '[]');
+let activeConversation = resolveActiveConversation();
+// Only the loaded window of the active thread; older pages are fetched on scroll.
+let messages = [];
+let messagePaging = {
+  hasMore: false,
+  loading: false,
+  loadId: 0,
+};
+let isConversationListEditing = false;
 let isProcessing = false;
-let hasMessageIdChanges = false;
+let processingIdleWaiters = [];
+let replyStreamController = null;
+let proactiveContextSyncTimer = null;
+let syncTimer = null;
+let lastSyncError = '';
+let lastSyncedAt = '';
+const seenIncomingMessageIds = new Set();
 let nativeSheetRequestId = 0;
 let nativeSheetRefs = null;
 let openNativeSwipeRow = null;
@@ -32,6 +120,42 @@ let aiSpeechState = {
   objectUrl: '',
   loading: false,
   requestId: 0,
+  onFinish: null,
+};
+let audioPracticeRefs = null;
+let audioPracticeState = {
+  text: '',
+  messageId: '',
+  sentences: [],
+  audio: null,
+  objectUrl: '',
+  runId: 0,
+  mode: 'idle',
+  loop: false,
+  abStart: null,
+  abEnd: null,
+  activeSentence: -1,
+  pauseTimer: 0,
+};
+let pronunciationRefs = null;
+let pronunciationState = {
+  target: '',
+  source: null,
+  recognizer: null,
+};
+let callState = {
+  active: false,
+  phase: 'idle',
+  recognizer: null,
+  finalText: '',
+  interimText: '',
+  speakingText: '',
+  heldText: '',
+  turn: 0,
+  queue: [],
+  restartTimer: 0,
+  errorCount: 0,
+  wakeLock: null,
 };
 const aiTtsCache = {
   blobs: new Map(),
@@ -56,10 +180,24 @@ let dictionaryFilterState = {
 };
 let dictionaryCategoryFilterId = 'all';
 let dictionarySortMode = 'newest';
+let dictionaryReviewSession = {
+  queue: [],
+  revealed: false,
+  reviewedCount: 0,
+};
 let chatSelectionAddState = {
   text: '',
   sourceText: '',
 };
+let memoryEditorDraft = null;
+let personaPreviewState = {
+  timer: 0,
+  requestId: 0,
+};
+let memoryRefreshState = {
+  inflight: null,
+  pendingTurns: activeConversation.pendingMemoryTurns,
+};
 
 // ===========================
 // DOM Elements
@@ -74,15 +212,22 @@ const chatSearchPrevBtn = document.getElementById('chatSearchPrevBtn');
 const chatSearchNextBtn = document.getElementById('chatSearchNextBtn');
 const messageInput = document.getElementById('messageInput');
 const sendBtn = document.getElementById('sendBtn');
+const stopBtn = document.getElementById('stopBtn');
 const settingsBtn = document.getElementById('settingsBtn');
 const settingsModal = document.getElementById('settingsModal');
 const modalClose = document.getElementById('modalClose');
 const modelSelect = document.getElementById('modelSelect');
+const chatRouteSelect = document.getElementById('chatRouteSelect');
+const apiKeyInput = document.getElementById('apiKeyInput');
+const toggleApiKey = document.getElementById('toggleApiKey');
+const replyModeSelect = document.getElementById('replyModeSelect');
 const saveSettings = document.getElementById('saveSettings');
 const clearChat = document.getElementById('clearChat');
 const clearBtn = document.getElementById('clearBtn');
 const conversationListView = document.getElementById('conversationListView');
 const conversationList = document.getElementById('conversationList');
+const listEditBtn = document.getElementById('listEditBtn');
+const newConversationBtn = document.getElementById('newConversationBtn');
 const dictionaryView = document.getElementById('dictionaryView');
 const dictionaryPageList = document.getElementById('dictionaryPageList');
 const dictionaryBackBtn = document.getElementById('dictionaryBackBtn');
@@ -93,11 +238,38 @@ const dictionaryCategoryView = document.getElementById('dictionaryCategoryView')
 const dictionaryCategoryList = document.getElementById('dictionaryCategoryList');
 const dictionaryCategoryBackBtn = document.getElementById('dictionaryCategoryBackBtn');
 const dictionaryCategoryAddBtn = document.getElementById('dictionaryCategoryAddBtn');
+const dictionaryImportInput = document.getElementById('dictionaryImportInput');
+const dictionaryReviewView = document.getElementById('dictionaryReviewView');
+const dictionaryReviewBackBtn = document.getElementById('dictionaryReviewBackBtn');
+const dictionaryReviewMain = document.getElementById('dictionaryReviewMain');
+const dictionaryReviewProgress = document.getElementById('dictionaryReviewProgress');
 const contactName = document.getElementById('contactName');
 const contactStatus = document.getElementById('contactStatus');
 const enableNotifications = document.getElementById('enableNotifications');
 const testPushBtn = document.getElementById('testPushBtn');
+const notificationTimeZone = document.getElementById('notificationTimeZone');
+const notificationQuietStart = document.getElementById('notificationQuietStart');
+const notificationQuietEnd = document.getElementById('notificationQuietEnd');
+const notificationPerDay = document.getElementById('notificationPerDay');
+const notificationDays = document.getElementById('notificationDays');
+const saveNotificationSchedule = document.getElementById('saveNotificationSchedule');
+const exportBackupBtn = document.getElementById('exportBackupBtn');
+const restoreBackupBtn = document.getElementById('restoreBackupBtn');
+const restoreBackupInput = document.getElementById('restoreBackupInput');
+const syncStatus = document.getElementById('syncStatus');
+const ttsCacheStatus = document.getElementById('ttsCacheStatus');
+const clearTtsCacheBtn = document.getElementById('clearTtsCacheBtn');
+const accountLogin = document.getElementById('accountLogin');
+const accountEmailInput = document.getElementById('accountEmailInput');
+const accountLoginBtn = document.getElementById('accountLoginBtn');
+const accountLogoutBtn = document.getElementById('accountLogoutBtn');
+const syncNowBtn = document.getElementById('syncNowBtn');
 const voiceBtn = document.getElementById('voiceBtn');
+const callModeBtn = document.getElementById('callModeBtn');
+const callBar = document.getElementById('callBar');
+const callStatus = document.getElementById('callStatus');
+const callTranscript = document.getElementById('callTranscript');
+const callEndBtn = document.getElementById('callEndBtn');
 const splash = document.getElementById('splash');
 
 // Profile Modal Elements
@@ -113,6 +285,14 @@ const changeAvatarBtn = document.getElementById('changeAvatarBtn');
 const avatarInput = document.getElementById('avatarInput');
 const headerAvatar = document.getElementById('headerAvatar');
 const profileAvatarLarge = document.getElementById('profileAvatarLarge');
+const openMemoryEditorBtn = document.getElementById('openMemoryEditorBtn');
+const memoryItemCount = document.getElementById('memoryItemCount');
+const memoryModal = document.getElementById('memoryModal');
+const memoryClose = document.getElementById('memoryClose');
+const memorySaveBtn = document.getElementById('memorySaveBtn');
+const memoryEditorList = document.getElementById('memoryEditorList');
+const personaSliderGroup = document.getElementById('personaSliderGroup');
+const personaPreviewText = document.getElementById('personaPreviewText');
 
 let isEditingProfile = false;
 
@@ -120,6 +300,48 @@ const VAPID_PUBLIC_KEY = import.meta.env.VITE_VAPID_PUBLIC_KEY;
 const DEFAULT_TTS_VOICE_PRESET = 'Kore';
 const AI_TTS_STYLE_PROMPT = 'Speak in natural, warm, conversational American English with human-like intonation.';
 const TTS_CACHE_LIMIT = 8;
+const TTS_GET_QUERY_LIMIT = 1800;
+const TTS_PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5];
+const TTS_PLAYBACK_RATE_KEY = 'tts_playback_rate';
+const TTS_LONG_PRESS_MS = 500;
+const SHADOWING_PAUSE_FACTOR = 1.3;
+const SHADOWING_MIN_PAUSE_MS = 1500;
+const PRONUNCIATION_MAX_ALTERNATIVES = 5;
+const CALL_RESTART_DELAY_MS = 250;
+const CALL_ERROR_RESTART_DELAY_MS = 1500;
+const CALL_MAX_CONSECUTIVE_ERRORS = 5;
+const CALL_BARGE_IN_MIN_WORDS = 2;
+const CALL_PHASE_LABELS = {
+  listening: '듣고 있어요 · 말씀하세요',
+  thinking: '답장을 기다리는 중...',
+  speaking: '말하는 중 · 말을 걸면 멈춰요',
+};
+const MEMORY_REFRESH_TURN_INTERVAL = 6;
+const MEMORY_REFRESH_HISTORY_LIMIT = 20;
+const REPLY_BUBBLE_MS_PER_CHAR = 35;
+const REPLY_BUBBLE_MIN_DELAY_MS = 700;
+const REPLY_BUBBLE_MAX_DELAY_MS = 2600;
+const PERSONA_PREVIEW_MESSAGE = 'I finally finished my big project at work today!';
+const PERSONA_PREVIEW_DEBOUNCE_MS = 700;
+const REVIEW_GRADE_LABELS = {
+  again: '다시',
+  hard: '어려움',
+  good: '알맞음',
+  easy: '쉬움',
+};
+const SYNC_DEBOUNCE_MS = 3000;
+const PROACTIVE_CONTEXT_MESSAGES = 12;
+const PROACTIVE_CONTEXT_SYNC_DELAY_MS = 4000;
+const MEMORY_SECTION_LABELS = {
+  hobbies: '취미',
+  goals: '목표',
+  projects: '프로젝트',
+  personalityTraits: '성격',
+  dailyRoutine: '일상 루틴',
+  preferences: '선호',
+  background: '배경',
+  notes: '메모',
+};
 
 // Speech Recognition Setup
 const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
@@ -152,8 +374,8 @@ if (SpeechRecognition) {
 // Initialize
 // ===========================
 function init() {
-  ensureMessageIds();
-  if (hasMessageIdChanges) saveMessages();
+  if (migratedConversationId) backfillDictionarySourceConversation(migratedConversationId);
+  gemini.useConversation(activeConversation);
   ensureNativeAlternativesSheet();
   renderConversationList();
   renderDictionaryPage();
@@ -162,9 +384,11 @@ function init() {
   closeDictionaryPage();
   closeDictionaryCategoryPage();
 
-  renderMessages();
   loadSettings();
   setupEventListeners();
+  setupConversationList();
+  setupMemoryEditor();
+  setupPersonaSliders();
   setupChatSelectionDictionaryAction();
   setChatSearchVisible(false);
   setupBackSwipeGesture();
@@ -172,9 +396,16 @@ function init() {
   updateAIProfileUI();
   registerServiceWorker();
 
-  if (messages.length === 0) {
-    showWelcomeMessage();
-  }
+  const loginReady = completePendingLogin();
+  const conversationIds = loadConversations().map((conversation) => conversation.id);
+  migrateLocalStorageMessages(conversationIds, generateMessageId)
+    .catch((error) => console.error('Message migration failed:', error))
+    .then(() => loginReady)
+    .then(() => loadActiveConversationMessages())
+    .then(() => pullProactiveInbox())
+    .then(() => syncNow());
+  onConversationsChange(scheduleSync);
+  onAuthChange(handleAuthChange);
 
   // Hide Splash Screen
   setTimeout(() => {
@@ -185,12 +416,12 @@ function init() {
   if ('serviceWorker' in navigator) {
     navigator.serviceWorker.addEventListener('message', (event) => {
       if (event.data && event.data.type === 'PUSH_MESSAGE') {
-        const { text, time } = event.data;
-        const aiMsg = { id: generateMessageId(), role: 'ai', text, time };
-        messages.push(aiMsg);
-        appendMessageBubble('ai', text, time, true, null, messages.length - 1);
-        saveMessages();
-        scrollToBottom();
+        const { text, time, conversationId, messageId } = event.data;
+        appendIncomingAiMessage(conversationId || activeConversation.id, text, time, {
+          id: messageId || undefined,
+          proactive: Boolean(messageId),
+        });
+        if (messageId) void ackProactiveMessages([messageId]);
       }
     });
   }
@@ -213,27 +444,20 @@ function showWelcomeMessage() {
   welcome.id = 'welcomeMsg';
   welcome.innerHTML = `
   <div class="emoji">✦</div>
-    <h2>AI Assistant</h2>
-    <p>${gemini.isConfigured
-      ? 'English Learning Mode.<br>Send a message to start practicing!'
-      : '설정이 필요합니다.<br>관리자에게 문의하거나 Vercel 환경 변수를 확인해주세요.'
-    }</p>
+    <h2>${escapeHtml(activeConversation.name)}</h2>
+    <p>English Learning Mode.<br>Send a message to start practicing!</p>
 `;
   chatMessages.appendChild(welcome);
 }
 
 function updateStatus() {
-  if (gemini.isConfigured) {
-    contactStatus.textContent = `${getModelName(gemini.model)} `;
-  } else {
-    contactStatus.textContent = '데모 모드';
-  }
+  contactStatus.textContent = `${getModelName(gemini.model)} `;
 }
 
 function updateAIProfileUI() {
-  const aiName = localStorage.getItem('ai_name') || 'AI Assistant';
-  const aiAvatar = localStorage.getItem('ai_avatar') || '✦';
-  const ttsVoicePreset = localStorage.getItem('gemini_tts_voice_preset') || DEFAULT_TTS_VOICE_PRESET;
+  const aiName = activeConversation.name;
+  const aiAvatar = activeConversation.avatar;
+  const ttsVoicePreset = activeConversation.ttsVoicePreset || DEFAULT_TTS_VOICE_PRESET;
 
   contactName.textContent = aiName;
   aiNameInput.value = aiName;
@@ -257,6 +481,8 @@ function updateAIProfileUI() {
   }
 
   profileSystemPrompt.value = gemini.systemPrompt;
+  updatePersonaSliders();
+  updateMemoryItemCount();
   if (voicePresetSelect) {
     const hasOption = Array.from(voicePresetSelect.options).some((opt) => opt.value === ttsVoicePreset);
     voicePresetSelect.value = hasOption ? ttsVoicePreset : DEFAULT_TTS_VOICE_PRESET;
@@ -279,15 +505,44 @@ function renderMessages() {
   // Keep date divider
   chatMessages.innerHTML = '<div class="date-divider"><span>오늘</span></div>';
 
-  messages.forEach((msg, index) => {
-    appendMessageBubble(msg.role, msg.text, msg.time, false, msg.translation || null, index);
+  messages.forEach((msg) => {
+    chatMessages.appendChild(createMessageElement(msg.role, msg.text, msg.time, false, msg.translation || null, msg.id));
   });
 
   refreshChatSearchResults();
-  scrollToBottom();
+  // Jump instead of smooth-scrolling so the top-of-list paging trigger doesn't fire on the way down.
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+function prependMessageBubbles(olderMessages) {
+  const previousHeight = chatMessages.scrollHeight;
+  const previousTop = chatMessages.scrollTop;
+  const fragment = document.createDocumentFragment();
+  olderMessages.forEach((msg) => {
+    fragment.appendChild(createMessageElement(msg.role, msg.text, msg.time, false, msg.translation || null, msg.id));
+  });
+
+  const divider = chatMessages.querySelector('.date-divider');
+  if (divider) divider.after(fragment);
+  else chatMessages.prepend(fragment);
+
+  // Keep the bubble the user was looking at in place.
+  chatMessages.scrollTop = chatMessages.scrollHeight - previousHeight + previousTop;
+  refreshChatSearchResults();
+}
+
+function findMessageById(messageId) {
+  if (!messageId) return null;
+  return messages.find((msg) => msg.id === messageId) || null;
+}
+
+function appendMessageBubble(role, text, time, animate = true, translation = null, messageId = null) {
+  chatMessages.appendChild(createMessageElement(role, text, time, animate, translation, messageId));
+  refreshChatSearchResults();
+  if (animate) scrollToBottom();
 }
 
-function appendMessageBubble(role, text, time, animate = true, translation = null, messageIndex = null) {
+function createMessageElement(role, text, time, animate = true, translation = null, messageId = null) {
   const msgDiv = document.createElement('div');
   msgDiv.className = `message ${role === 'user' ? 'sent' : 'received'} `;
   if (!animate) msgDiv.style.animation = 'none';
@@ -297,8 +552,8 @@ function appendMessageBubble(role, text, time, animate = true, translation = nul
   const bubble = document.createElement('div');
   bubble.className = 'bubble';
   bubble.innerHTML = formatMessage(text);
-  if (messageIndex !== null) {
-    bubble.dataset.messageIndex = String(messageIndex);
+  if (messageId) {
+    bubble.dataset.messageId = messageId;
   }
 
   // Add click listener for AI messages to translate
@@ -321,8 +576,14 @@ function appendMessageBubble(role, text, time, animate = true, translation = nul
           // Show translation
           let translatedText = bubble.dataset.translated;
           if (!translatedText) {
-            // Fallback if pre-translation failed or wasn't ready
-            translatedText = await gemini.translate(bubble.dataset.original);
+            // Fallback if pre-translation failed or wasn't ready; a failure is not cached, so the next tap retries.
+            try {
+              translatedText = await gemini.translate(bubble.dataset.original);
+            } catch (error) {
+              bubble.classList.remove('translating');
+              showToast(error.message);
+              return;
+            }
             bubble.dataset.translated = translatedText;
           }
           bubble.innerHTML = formatMessage(translatedText);
@@ -339,7 +600,7 @@ function appendMessageBubble(role, text, time, animate = true, translation = nul
   if (role === 'user') {
     bubble.dataset.original = text;
 
-    const messageData = messageIndex !== null ? messages[messageIndex] : null;
+    const messageData = findMessageById(messageId);
     setupUserBubbleNativeSwipeAction(msgDiv, bubble, {
       sourceSentAt: messageData?.sentAt || messageData?.createdAt || null,
     });
@@ -356,8 +617,7 @@ function appendMessageBubble(role, text, time, animate = true, translation = nul
 
       setTimeout(async () => {
         const isReviewed = bubble.classList.contains('is-reviewed');
-        const index = Number(bubble.dataset.messageIndex);
-        const msg = Number.isNaN(index) ? null : messages[index];
+        const msg = findMessageById(bubble.dataset.messageId);
 
         if (isReviewed) {
           bubble.innerHTML = formatMessage(bubble.dataset.original);
@@ -384,22 +644,28 @@ function appendMessageBubble(role, text, time, animate = true, translation = nul
         }
 
         if (!review) {
-          review = await gemini.checkGrammar(bubble.dataset.original);
+          try {
+            review = await gemini.checkGrammar(bubble.dataset.original);
+          } catch (error) {
+            bubble.classList.remove('translating');
+            showToast(error.message);
+            return;
+          }
           if (msg) {
             msg.grammarReview = { ...review, checked: true };
-            saveMessages();
+            saveMessage(msg);
           }
           bubble.dataset.review = JSON.stringify(review);
         } else if (msg && !msg.grammarReview?.checked) {
           msg.grammarReview = { ...review, checked: true };
-          saveMessages();
+          saveMessage(msg);
         }
 
 	        review = normalizeGrammarReviewForDisplay(review, bubble.dataset.original || '');
 	        bubble.dataset.review = JSON.stringify(review);
 	        if (msg) {
 	          msg.grammarReview = { ...review, checked: true };
-	          saveMessages();
+	          saveMessage(msg);
 	        }
 
 	        bubble.innerHTML = formatGrammarReview(review, bubble.dataset.original || '');
@@ -434,10 +700,7 @@ function appendMessageBubble(role, text, time, animate = true, translation = nul
   }
   msgDiv.appendChild(bubbleRow);
   msgDiv.appendChild(timeEl);
-  chatMessages.appendChild(msgDiv);
-
-  refreshChatSearchResults();
-  if (animate) scrollToBottom();
+  return msgDiv;
 }
 
 function clearChatSearchHighlights() {
@@ -1067,6 +1330,8 @@ function setupChatSelectionDictionaryAction() {
 function stopAiSpeech() {
   aiSpeechState.requestId += 1;
   aiSpeechState.loading = false;
+  const { onFinish } = aiSpeechState;
+  aiSpeechState.onFinish = null;
   if (aiSpeechState.audio) {
     aiSpeechState.audio.onended = null;
     aiSpeechState.audio.onerror = null;
@@ -1084,19 +1349,30 @@ function stopAiSpeech() {
     aiSpeechState.button.setAttribute('aria-pressed', 'false');
   }
   aiSpeechState.button = null;
+  onFinish?.();
 }
 
-async function speakAiMessage(text, buttonEl) {
+/**
+ * Plays `text` with the selected voice, or stops it when `buttonEl` is already playing.
+ * `onFinish` runs once playback ends, is stopped or fails.
+ */
+async function speakAiMessage(text, buttonEl, { onFinish = null } = {}) {
   const speakText = String(text || '').trim();
-  if (!speakText) return;
+  if (!speakText) {
+    onFinish?.();
+    return;
+  }
 
   if (aiSpeechState.button === buttonEl && (aiSpeechState.loading || aiSpeechState.audio)) {
     stopAiSpeech();
+    onFinish?.();
     return;
   }
 
   stopAiSpeech();
+  stopAudioPractice();
   aiSpeechState.button = buttonEl;
+  aiSpeechState.onFinish = onFinish;
   const requestId = ++aiSpeechState.requestId;
   buttonEl.setAttribute('aria-pressed', 'true');
 
@@ -1114,6 +1390,7 @@ async function speakAiMessage(text, buttonEl) {
 
     const objectUrl = URL.createObjectURL(blob);
     const audio = new Audio(objectUrl);
+    audio.playbackRate = getTtsPlaybackRate();
 
     audio.onended = () => {
       if (aiSpeechState.audio === audio) {
@@ -1137,14 +1414,14 @@ async function speakAiMessage(text, buttonEl) {
   } catch (error) {
     if (requestId !== aiSpeechState.requestId) return;
     stopAiSpeech();
-    showToast(`음성 생성 실패: ${error.message}`);
+    showToast(isApiLimitError(error) ? error.message : `음성 생성 실패: ${error.message}`);
   }
 }
 
 function getSelectedTtsVoicePreset() {
   const fromSelect = voicePresetSelect?.value?.trim();
   if (fromSelect) return fromSelect;
-  return localStorage.getItem('gemini_tts_voice_preset') || DEFAULT_TTS_VOICE_PRESET;
+  return activeConversation.ttsVoicePreset || DEFAULT_TTS_VOICE_PRESET;
 }
 
 function buildTtsCacheKey(text, voiceName, style) {
@@ -1164,21 +1441,31 @@ function setCachedTtsBlob(cacheKey, blob) {
   }
 }
 
+let preferredTtsFormat = '';
+
+// Smallest format this browser can play; WAV always works.
+function getPreferredTtsFormat() {
+  if (preferredTtsFormat) return preferredTtsFormat;
+  const probe = document.createElement('audio');
+  if (probe.canPlayType('audio/ogg; codecs="opus"')) preferredTtsFormat = 'ogg-opus';
+  else if (probe.canPlayType('audio/mpeg')) preferredTtsFormat = 'mp3';
+  else preferredTtsFormat = 'wav';
+  return preferredTtsFormat;
+}
+
 async function requestTtsBlobFromServer(text, { voiceName, style }) {
-  const response = await fetch('/api/tts', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      text,
-      voiceName,
-      style,
-    }),
-  });
+  const params = { text, voiceName, style, format: getPreferredTtsFormat() };
+  const query = new URLSearchParams(params).toString();
+  // GET lets the browser and CDN cache the audio; very long texts fall back to a POST body.
+  const response = query.length <= TTS_GET_QUERY_LIMIT
+    ? await apiFetch(`/api/tts?${query}`)
+    : await apiFetch('/api/tts', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(params),
+    });
 
-  if (!response.ok) {
-    const errorPayload = await response.json().catch(() => ({}));
-    throw new Error(errorPayload?.error || `HTTP ${response.status}`);
-  }
+  if (!response.ok) throw await readApiError(response);
 
   return response.blob();
 }
@@ -1194,7 +1481,13 @@ async function fetchAiTtsBlob(text, { voiceName, style }) {
     return aiTtsCache.inflight.get(cacheKey);
   }
 
-  const promise = requestTtsBlobFromServer(text, { voiceName, style })
+  const promise = readTtsAudio(cacheKey)
+    .then(async (storedBlob) => {
+      if (storedBlob) return storedBlob;
+      const blob = await requestTtsBlobFromServer(text, { voiceName, style });
+      void storeTtsAudio(cacheKey, blob);
+      return blob;
+    })
     .then((blob) => {
       setCachedTtsBlob(cacheKey, blob);
       aiTtsCache.inflight.delete(cacheKey);
@@ -1209,6 +1502,32 @@ async function fetchAiTtsBlob(text, { voiceName, style }) {
   return promise;
 }
 
+function formatCacheSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+  return `${Math.ceil(bytes / 1024)}KB`;
+}
+
+async function renderTtsCacheStatus() {
+  if (!ttsCacheStatus) return;
+  const { entries, bytes } = await getTtsCacheUsage();
+  ttsCacheStatus.textContent = entries
+    ? `저장된 음성 ${entries}개 · ${formatCacheSize(bytes)}`
+    : '저장된 음성이 없습니다';
+}
+
+async function clearStoredTtsAudio() {
+  if (!confirm('저장된 음성을 모두 삭제할까요? 다음 재생 때 다시 생성합니다.')) return;
+  try {
+    await clearTtsCache();
+    aiTtsCache.blobs.clear();
+    showToast('음성 캐시를 비웠습니다 ✓');
+  } catch (error) {
+    console.error('Failed to clear TTS cache:', error);
+    showToast('음성 캐시를 비우지 못했습니다.');
+  }
+  await renderTtsCacheStatus();
+}
+
 function preloadAiMessageTts(text) {
   const speakText = String(text || '').trim();
   if (!speakText) return;
@@ -1236,156 +1555,923 @@ function attachAiSpeechButton(bubbleRow, bubble) {
     </svg>
   `;
 
+  const getSourceText = () => bubble.dataset.original || bubble.textContent || '';
+  // Tap plays the message; a long press (or right click) opens the practice sheet.
+  let pressTimer = 0;
+  let longPressed = false;
+  ttsBtn.addEventListener('pointerdown', () => {
+    longPressed = false;
+    clearTimeout(pressTimer);
+    pressTimer = setTimeout(() => {
+      longPressed = true;
+      openAudioPracticeSheet(getSourceText(), { messageId: bubble.dataset.messageId });
+    }, TTS_LONG_PRESS_MS);
+  });
+  ['pointerup', 'pointerleave', 'pointercancel'].forEach((type) => {
+    ttsBtn.addEventListener(type, () => clearTimeout(pressTimer));
+  });
+  ttsBtn.addEventListener('contextmenu', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    clearTimeout(pressTimer);
+    if (!longPressed) openAudioPracticeSheet(getSourceText(), { messageId: bubble.dataset.messageId });
+    longPressed = true;
+  });
+
   ttsBtn.addEventListener('click', (event) => {
     event.preventDefault();
     event.stopPropagation();
-    const sourceText = bubble.dataset.original || bubble.textContent || '';
-    speakAiMessage(sourceText, ttsBtn);
+    if (longPressed) {
+      longPressed = false;
+      return;
+    }
+    speakAiMessage(getSourceText(), ttsBtn);
   });
 
   bubbleRow.appendChild(ttsBtn);
 }
 
-function setupUserBubbleNativeSwipeAction(messageEl, bubble, context = {}) {
-  if (!messageEl || !bubble) return;
+// ===========================
+// Listening Practice (speed, A-B repeat, shadowing)
+// ===========================
+function getTtsPlaybackRate() {
+  const stored = Number(localStorage.getItem(TTS_PLAYBACK_RATE_KEY));
+  return TTS_PLAYBACK_RATES.includes(stored) ? stored : 1;
+}
 
-  messageEl.classList.add('has-native-swipe-action');
+function setTtsPlaybackRate(rate) {
+  if (!TTS_PLAYBACK_RATES.includes(rate)) return;
+  localStorage.setItem(TTS_PLAYBACK_RATE_KEY, String(rate));
+  if (aiSpeechState.audio) aiSpeechState.audio.playbackRate = rate;
+  if (audioPracticeState.audio) audioPracticeState.audio.playbackRate = rate;
+}
 
-  const actionBtn = document.createElement('button');
-  actionBtn.className = 'bubble-native-action-btn';
-  actionBtn.type = 'button';
-  actionBtn.setAttribute('aria-label', 'Open native alternatives');
-  actionBtn.innerHTML = `
-    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" aria-hidden="true">
-      <path d="M5 12h14" stroke="currentColor" stroke-width="2.2" stroke-linecap="round"/>
-      <path d="M13 5l7 7-7 7" stroke="currentColor" stroke-width="2.2" stroke-linecap="round" stroke-linejoin="round"/>
-    </svg>
-  `;
+function formatPracticeTime(seconds) {
+  const value = Math.max(0, Number(seconds) || 0);
+  return `${Math.floor(value / 60)}:${String(Math.floor(value % 60)).padStart(2, '0')}`;
+}
 
-  messageEl.insertBefore(actionBtn, messageEl.querySelector('.message-time'));
+function ensureAudioPracticeSheet() {
+  if (audioPracticeRefs) return audioPracticeRefs;
 
-  const MAX_SWIPE = 54;
-  let startX = 0;
-  let startY = 0;
-  let baseX = 0;
-  let dragging = false;
-  let moved = false;
+  const overlay = document.createElement('div');
+  overlay.className = 'native-sheet-overlay audio-practice-overlay';
+  overlay.innerHTML = `
+    <div class="native-sheet audio-practice-sheet" role="dialog" aria-label="듣기 연습">
+      <div class="native-sheet-handle"></div>
+      <div class="native-sheet-header">
+        <div class="native-sheet-title">듣기 연습</div>
+        <button class="native-sheet-close" type="button">닫기</button>
+      </div>
+      <div class="native-sheet-body">
+        <div class="audio-practice-sentences"></div>
+        <div class="audio-practice-status" aria-live="polite"></div>
+        <div class="audio-practice-row">
+          <span class="audio-practice-label">속도</span>
+          <div class="audio-practice-rates">
+            ${TTS_PLAYBACK_RATES.map((rate) => `<button type="button" class="audio-practice-chip" data-rate="${rate}">${rate}x</button>`).join('')}
+          </div>
+        </div>
+        <div class="audio-practice-row">
+          <span class="audio-practice-label">구간 반복</span>
+          <div class="audio-practice-ab">
+            <button type="button" class="audio-practice-chip" data-action="set-a">A</button>
+            <button type="button" class="audio-practice-chip" data-action="set-b">B</button>
+            <button type="button" class="audio-practice-chip" data-action="clear-ab">해제</button>
+            <button type="button" class="audio-practice-chip" data-action="loop">반복 재생</button>
+          </div>
+        </div>
+        <div class="audio-practice-actions">
+          <button type="button" class="secondary-btn" data-action="play">전체 재생</button>
+          <button type="button" class="secondary-btn" data-action="shadow">쉐도잉 시작</button>
+        </div>
+        <button type="button" class="secondary-btn" data-action="pronounce">이 문장 따라 읽고 발음 점수 받기</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(overlay);
 
-  const closeRow = () => {
-    messageEl.classList.remove('native-action-revealed');
-    bubble.style.transform = '';
-    if (openNativeSwipeRow === messageEl) openNativeSwipeRow = null;
+  const refs = {
+    overlay,
+    sentences: overlay.querySelector('.audio-practice-sentences'),
+    status: overlay.querySelector('.audio-practice-status'),
+    playBtn: overlay.querySelector('[data-action="play"]'),
+    shadowBtn: overlay.querySelector('[data-action="shadow"]'),
+    loopBtn: overlay.querySelector('[data-action="loop"]'),
+    setABtn: overlay.querySelector('[data-action="set-a"]'),
+    setBBtn: overlay.querySelector('[data-action="set-b"]'),
   };
 
-  const revealRow = () => {
-    if (openNativeSwipeRow && openNativeSwipeRow !== messageEl) {
-      const prevBubble = openNativeSwipeRow.querySelector('.bubble');
-      openNativeSwipeRow.classList.remove('native-action-revealed');
-      if (prevBubble) prevBubble.style.transform = '';
-    }
-    openNativeSwipeRow = messageEl;
-    messageEl.classList.add('native-action-revealed');
-    bubble.style.transform = `translateX(-${MAX_SWIPE}px)`;
-  };
+  overlay.querySelector('.native-sheet-close').addEventListener('click', closeAudioPracticeSheet);
+  overlay.addEventListener('click', (event) => {
+    if (event.target === overlay) closeAudioPracticeSheet();
+  });
+  overlay.querySelectorAll('[data-rate]').forEach((button) => {
+    button.addEventListener('click', () => {
+      setTtsPlaybackRate(Number(button.dataset.rate));
+      renderAudioPracticeControls();
+    });
+  });
+  refs.playBtn.addEventListener('click', () => {
+    if (audioPracticeState.mode === 'playing') stopAudioPractice();
+    else void playAudioPracticeMessage();
+  });
+  refs.shadowBtn.addEventListener('click', () => {
+    if (audioPracticeState.mode === 'shadowing') stopAudioPractice();
+    else void runShadowing();
+  });
+  refs.loopBtn.addEventListener('click', () => {
+    audioPracticeState.loop = !audioPracticeState.loop;
+    if (audioPracticeState.audio) audioPracticeState.audio.loop = shouldLoopPracticeAudio();
+    renderAudioPracticeControls();
+  });
+  overlay.querySelector('[data-action="pronounce"]').addEventListener('click', () => {
+    const { sentences, activeSentence, text, messageId } = audioPracticeState;
+    openPronunciationSheet(sentences[activeSentence] || text, { type: 'message', id: messageId });
+  });
+  refs.setABtn.addEventListener('click', () => setAudioPracticeMark('abStart'));
+  refs.setBBtn.addEventListener('click', () => setAudioPracticeMark('abEnd'));
+  overlay.querySelector('[data-action="clear-ab"]').addEventListener('click', () => {
+    audioPracticeState.abStart = null;
+    audioPracticeState.abEnd = null;
+    if (audioPracticeState.audio) audioPracticeState.audio.loop = shouldLoopPracticeAudio();
+    renderAudioPracticeControls();
+  });
+  refs.sentences.addEventListener('click', (event) => {
+    const sentenceEl = event.target instanceof Element ? event.target.closest('[data-sentence-index]') : null;
+    if (!sentenceEl) return;
+    void playAudioPracticeSentence(Number(sentenceEl.dataset.sentenceIndex));
+  });
 
-  actionBtn.addEventListener('click', async (event) => {
-    event.preventDefault();
-    event.stopPropagation();
-    await openNativeAlternativesSheet(bubble.dataset.original || bubble.textContent || '', context);
-    closeRow();
+  audioPracticeRefs = refs;
+  return refs;
+}
+
+function renderAudioPracticeControls() {
+  if (!audioPracticeRefs) return;
+  const refs = audioPracticeRefs;
+  const { mode, loop, abStart, abEnd, activeSentence } = audioPracticeState;
+  const rate = getTtsPlaybackRate();
+
+  refs.overlay.querySelectorAll('[data-rate]').forEach((button) => {
+    button.classList.toggle('active', Number(button.dataset.rate) === rate);
+  });
+  refs.loopBtn.classList.toggle('active', loop);
+  refs.setABtn.classList.toggle('active', abStart !== null);
+  refs.setBBtn.classList.toggle('active', abEnd !== null);
+  refs.setABtn.textContent = abStart === null ? 'A' : `A ${formatPracticeTime(abStart)}`;
+  refs.setBBtn.textContent = abEnd === null ? 'B' : `B ${formatPracticeTime(abEnd)}`;
+  refs.playBtn.textContent = mode === 'playing' ? '정지' : '전체 재생';
+  refs.shadowBtn.textContent = mode === 'shadowing' ? '쉐도잉 중지' : '쉐도잉 시작';
+  refs.sentences.querySelectorAll('[data-sentence-index]').forEach((sentenceEl) => {
+    sentenceEl.classList.toggle('active', Number(sentenceEl.dataset.sentenceIndex) === activeSentence);
   });
+}
 
-  bubble.addEventListener('click', (event) => {
-    if (messageEl.classList.contains('native-action-revealed')) {
-      event.preventDefault();
-      event.stopPropagation();
-      closeRow();
-    }
-  }, true);
+function setAudioPracticeStatus(text) {
+  if (audioPracticeRefs) audioPracticeRefs.status.textContent = text;
+}
 
-  messageEl.addEventListener('touchstart', (event) => {
-    if (!event.touches || event.touches.length !== 1) return;
-    if (event.target instanceof Element && event.target.closest('.bubble-native-action-btn')) return;
-    startX = event.touches[0].clientX;
-    startY = event.touches[0].clientY;
-    baseX = messageEl.classList.contains('native-action-revealed') ? -MAX_SWIPE : 0;
-    dragging = true;
-    moved = false;
-    bubble.style.transition = 'none';
-  }, { passive: true });
+function openAudioPracticeSheet(text, { messageId = '' } = {}) {
+  const practiceText = String(text || '').trim();
+  if (!practiceText) return;
+  stopAiSpeech();
+  stopAudioPractice();
+
+  const refs = ensureAudioPracticeSheet();
+  audioPracticeState.text = practiceText;
+  audioPracticeState.messageId = messageId;
+  audioPracticeState.sentences = splitIntoSentences(practiceText);
+  audioPracticeState.abStart = null;
+  audioPracticeState.abEnd = null;
+  refs.sentences.innerHTML = audioPracticeState.sentences
+    .map((sentence, index) => `<button type="button" class="audio-practice-sentence" data-sentence-index="${index}">${escapeHtml(sentence)}</button>`)
+    .join('');
+  setAudioPracticeStatus('문장을 누르면 그 문장만 들을 수 있어요.');
+  renderAudioPracticeControls();
 
-  messageEl.addEventListener('touchmove', (event) => {
-    if (!dragging || !event.touches || event.touches.length !== 1) return;
-    const dx = event.touches[0].clientX - startX;
-    const dy = Math.abs(event.touches[0].clientY - startY);
-    if (dy > Math.abs(dx) && dy > 8) return;
+  refs.overlay.classList.add('active');
+  document.body.classList.add('native-sheet-open');
+}
 
-    const nextX = Math.max(-MAX_SWIPE, Math.min(0, baseX + dx));
-    if (Math.abs(nextX - baseX) > 4) moved = true;
-    event.preventDefault();
-    bubble.style.transform = `translateX(${nextX}px)`;
-  }, { passive: false });
+function closeAudioPracticeSheet() {
+  stopAudioPractice();
+  if (!audioPracticeRefs) return;
+  audioPracticeRefs.overlay.classList.remove('active');
+  document.body.classList.remove('native-sheet-open');
+}
 
-  const finishSwipe = () => {
-    if (!dragging) return;
-    dragging = false;
-    bubble.style.transition = '';
+function stopAudioPractice() {
+  audioPracticeState.runId += 1;
+  clearTimeout(audioPracticeState.pauseTimer);
+  if (audioPracticeState.audio) {
+    audioPracticeState.audio.onended = null;
+    audioPracticeState.audio.ontimeupdate = null;
+    audioPracticeState.audio.pause();
+    audioPracticeState.audio.src = '';
+    audioPracticeState.audio = null;
+  }
+  if (audioPracticeState.objectUrl) {
+    URL.revokeObjectURL(audioPracticeState.objectUrl);
+    audioPracticeState.objectUrl = '';
+  }
+  audioPracticeState.mode = 'idle';
+  audioPracticeState.activeSentence = -1;
+  renderAudioPracticeControls();
+}
 
-    const matrix = getComputedStyle(bubble).transform;
-    const tx = matrix !== 'none' ? Number(matrix.split(',')[4]) : 0;
-    if (tx <= -30) {
-      revealRow();
-    } else {
-      closeRow();
-    }
+function fetchPracticeAudio(text) {
+  return fetchAiTtsBlob(text, { voiceName: getSelectedTtsVoicePreset(), style: AI_TTS_STYLE_PROMPT });
+}
 
-    if (moved) {
-      const suppressClickOnce = (event) => {
-        event.preventDefault();
-        event.stopPropagation();
-        bubble.removeEventListener('click', suppressClickOnce, true);
-      };
-      bubble.addEventListener('click', suppressClickOnce, true);
-    }
+/**
+ * Plays `blob` in the practice player and resolves when it ends (or is stopped).
+ */
+function playPracticeBlob(blob, { loop = false } = {}) {
+  if (audioPracticeState.objectUrl) URL.revokeObjectURL(audioPracticeState.objectUrl);
+  const objectUrl = URL.createObjectURL(blob);
+  const audio = new Audio(objectUrl);
+  audio.playbackRate = getTtsPlaybackRate();
+  audio.loop = loop;
+  audioPracticeState.audio = audio;
+  audioPracticeState.objectUrl = objectUrl;
+
+  return new Promise((resolve, reject) => {
+    audio.onended = () => resolve();
+    audio.onerror = () => reject(new Error('음성 재생 중 오류가 발생했습니다.'));
+    audio.play().catch(reject);
+  });
+}
+
+function hasAbRange() {
+  return audioPracticeState.abStart !== null && audioPracticeState.abEnd !== null;
+}
+
+// A-B repeat keeps the clip looping even with loop off; the wrap-around lands back on A.
+function shouldLoopPracticeAudio() {
+  return audioPracticeState.loop || hasAbRange();
+}
+
+// Keeps the whole-message player inside A-B once both marks are set.
+function applyAbRepeat(audio) {
+  audio.ontimeupdate = () => {
+    if (!hasAbRange()) return;
+    const { abStart, abEnd } = audioPracticeState;
+    if (audio.currentTime >= abEnd || audio.currentTime < abStart - 0.25) audio.currentTime = abStart;
   };
+}
 
-  messageEl.addEventListener('touchend', finishSwipe, { passive: true });
-  messageEl.addEventListener('touchcancel', finishSwipe, { passive: true });
+function setAudioPracticeMark(mark) {
+  const { audio, mode } = audioPracticeState;
+  if (!audio || mode !== 'playing') {
+    showToast('전체 재생 중에 구간을 지정할 수 있어요.');
+    return;
+  }
+  audioPracticeState[mark] = audio.currentTime;
+  const { abStart, abEnd } = audioPracticeState;
+  if (abStart !== null && abEnd !== null && abEnd <= abStart) {
+    audioPracticeState.abStart = abEnd;
+    audioPracticeState.abEnd = abStart;
+  }
+  audio.loop = shouldLoopPracticeAudio();
+  if (hasAbRange()) audio.currentTime = audioPracticeState.abStart;
+  renderAudioPracticeControls();
 }
 
-function ensureNativeAlternativesSheet() {
-  if (nativeSheetRefs) return nativeSheetRefs;
+async function runPracticeStep(mode, statusText, play) {
+  stopAudioPractice();
+  const runId = audioPracticeState.runId;
+  audioPracticeState.mode = mode;
+  setAudioPracticeStatus(statusText);
+  renderAudioPracticeControls();
+  try {
+    await play(runId);
+    if (runId !== audioPracticeState.runId) return;
+    stopAudioPractice();
+    setAudioPracticeStatus('');
+  } catch (error) {
+    if (runId !== audioPracticeState.runId) return;
+    stopAudioPractice();
+    setAudioPracticeStatus(isApiLimitError(error) ? error.message : `음성 생성 실패: ${error.message}`);
+  }
+}
+
+function playAudioPracticeMessage() {
+  return runPracticeStep('playing', '음성을 불러오는 중...', async (runId) => {
+    const blob = await fetchPracticeAudio(audioPracticeState.text);
+    if (runId !== audioPracticeState.runId) return;
+    setAudioPracticeStatus('');
+    const playback = playPracticeBlob(blob, { loop: shouldLoopPracticeAudio() });
+    applyAbRepeat(audioPracticeState.audio);
+    await playback;
+  });
+}
+
+function playAudioPracticeSentence(index) {
+  const sentence = audioPracticeState.sentences[index];
+  if (!sentence) return Promise.resolve();
+  return runPracticeStep('sentence', '음성을 불러오는 중...', async (runId) => {
+    audioPracticeState.activeSentence = index;
+    renderAudioPracticeControls();
+    const blob = await fetchPracticeAudio(sentence);
+    if (runId !== audioPracticeState.runId) return;
+    setAudioPracticeStatus('');
+    await playPracticeBlob(blob, { loop: audioPracticeState.loop });
+  });
+}
+
+function waitForShadowingTurn(runId, ms) {
+  return new Promise((resolve) => {
+    audioPracticeState.pauseTimer = setTimeout(resolve, ms);
+  }).then(() => runId === audioPracticeState.runId);
+}
+
+/**
+ * Plays one sentence at a time and leaves a pause about as long as the sentence for the
+ * learner to say it back. With loop on it starts over after the last sentence.
+ */
+function runShadowing() {
+  const { sentences } = audioPracticeState;
+  if (!sentences.length) return Promise.resolve();
+  return runPracticeStep('shadowing', '', async (runId) => {
+    do {
+      for (let index = 0; index < sentences.length; index += 1) {
+        audioPracticeState.activeSentence = index;
+        renderAudioPracticeControls();
+        setAudioPracticeStatus(`듣기 ${index + 1}/${sentences.length}`);
+        const blob = await fetchPracticeAudio(sentences[index]);
+        if (runId !== audioPracticeState.runId) return;
+        if (sentences[index + 1]) void fetchPracticeAudio(sentences[index + 1]).catch(() => {});
+
+        await playPracticeBlob(blob);
+        if (runId !== audioPracticeState.runId) return;
+        const durationMs = (audioPracticeState.audio?.duration || 2) * 1000 / getTtsPlaybackRate();
+        setAudioPracticeStatus(`따라 말해보세요 ${index + 1}/${sentences.length}`);
+        const pauseMs = Math.max(SHADOWING_MIN_PAUSE_MS, durationMs * SHADOWING_PAUSE_FACTOR);
+        if (!await waitForShadowingTurn(runId, pauseMs)) return;
+      }
+    } while (audioPracticeState.loop && runId === audioPracticeState.runId);
+  });
+}
+
+// ===========================
+// Pronunciation Practice
+// ===========================
+function ensurePronunciationSheet() {
+  if (pronunciationRefs) return pronunciationRefs;
 
   const overlay = document.createElement('div');
-  overlay.className = 'native-sheet-overlay';
+  overlay.className = 'native-sheet-overlay pronunciation-overlay';
   overlay.innerHTML = `
-    <div class="native-sheet" role="dialog" aria-label="Native alternatives">
+    <div class="native-sheet pronunciation-sheet" role="dialog" aria-label="발음 연습">
       <div class="native-sheet-handle"></div>
       <div class="native-sheet-header">
-        <div class="native-sheet-title">Native alternatives</div>
-        <button class="native-sheet-close" type="button">Close</button>
+        <div class="native-sheet-title">발음 연습</div>
+        <button class="native-sheet-close" type="button">닫기</button>
+      </div>
+      <div class="native-sheet-body">
+        <div class="native-original">
+          <div class="native-original-label">이 문장을 읽어보세요</div>
+          <div class="pronunciation-target"></div>
+        </div>
+        <div class="pronunciation-progress"></div>
+        <div class="pronunciation-result" aria-live="polite"></div>
+        <div class="audio-practice-actions">
+          <button type="button" class="secondary-btn" data-action="listen">듣기</button>
+          <button type="button" class="secondary-btn" data-action="speak">말하기</button>
+        </div>
       </div>
-      <div class="native-sheet-body"></div>
     </div>
   `;
-
   document.body.appendChild(overlay);
 
-  const sheet = overlay.querySelector('.native-sheet');
-  const body = overlay.querySelector('.native-sheet-body');
-  const closeBtn = overlay.querySelector('.native-sheet-close');
+  const refs = {
+    overlay,
+    target: overlay.querySelector('.pronunciation-target'),
+    progress: overlay.querySelector('.pronunciation-progress'),
+    result: overlay.querySelector('.pronunciation-result'),
+    listenBtn: overlay.querySelector('[data-action="listen"]'),
+    speakBtn: overlay.querySelector('[data-action="speak"]'),
+  };
 
-  const close = () => closeNativeAlternativesSheet();
-  closeBtn.addEventListener('click', close);
+  overlay.querySelector('.native-sheet-close').addEventListener('click', closePronunciationSheet);
   overlay.addEventListener('click', (event) => {
-    if (event.target === overlay) close();
+    if (event.target === overlay) closePronunciationSheet();
+  });
+  refs.listenBtn.addEventListener('click', () => {
+    speakAiMessage(pronunciationState.target, refs.listenBtn);
+  });
+  refs.speakBtn.addEventListener('click', () => {
+    if (pronunciationState.recognizer) pronunciationState.recognizer.stop();
+    else startPronunciationAttempt();
   });
 
-  nativeSheetRefs = { overlay, sheet, body };
-  return nativeSheetRefs;
+  pronunciationRefs = refs;
+  return refs;
 }
 
-function closeNativeAlternativesSheet() {
+/**
+ * Opens the practice sheet for `target`. `source` ({ type: 'dictionary' | 'message', id })
+ * is where the scores are kept.
+ */
+function openPronunciationSheet(target, source) {
+  const practiceTarget = String(target || '').trim();
+  if (!practiceTarget) return;
+  if (!SpeechRecognition) {
+    showToast('이 브라우저는 음성 인식을 지원하지 않습니다.');
+    return;
+  }
+  closeAudioPracticeSheet();
+  stopAiSpeech();
+
+  const refs = ensurePronunciationSheet();
+  pronunciationState.target = practiceTarget;
+  pronunciationState.source = source;
+  refs.target.textContent = practiceTarget;
+  refs.result.innerHTML = '';
+  renderPronunciationProgress();
+  renderPronunciationSpeakButton();
+
+  refs.overlay.classList.add('active');
+  document.body.classList.add('native-sheet-open');
+}
+
+function closePronunciationSheet() {
+  pronunciationState.recognizer?.abort();
+  if (!pronunciationRefs) return;
+  stopAiSpeech();
+  pronunciationRefs.overlay.classList.remove('active');
+  document.body.classList.remove('native-sheet-open');
+}
+
+function renderPronunciationSpeakButton() {
+  if (!pronunciationRefs) return;
+  const listening = Boolean(pronunciationState.recognizer);
+  pronunciationRefs.speakBtn.textContent = listening ? '듣는 중... (탭해서 끝내기)' : '말하기';
+  pronunciationRefs.speakBtn.classList.toggle('recording', listening);
+}
+
+function getPronunciationSourceRecord(source) {
+  if (source?.type === 'dictionary') return getDictionaryEntries().find((entry) => entry.id === source.id) || null;
+  if (source?.type === 'message') return findMessageById(source.id);
+  return null;
+}
+
+function renderPronunciationProgress() {
+  if (!pronunciationRefs) return;
+  const progress = getPronunciationProgress(getPronunciationSourceRecord(pronunciationState.source), pronunciationState.target);
+  pronunciationRefs.progress.textContent = progress
+    ? `최고 ${progress.bestScore}점 · ${progress.count}회 연습 · 최근 ${progress.attempts.slice(-5).map((attempt) => attempt.score).join(' → ')}`
+    : '아직 연습 기록이 없어요.';
+}
+
+function renderPronunciationResult(result) {
+  if (!pronunciationRefs) return;
+  const wordsHtml = result.words.map((item) => {
+    const heard = item.status === 'substituted' && item.heard
+      ? `<span class="pronunciation-heard">${escapeHtml(item.heard)}</span>`
+      : '';
+    return `<span class="pronunciation-word ${item.status}">${escapeHtml(item.word)}${heard}</span>`;
+  }).join(' ');
+  const missed = result.words.filter((item) => item.status === 'missed').length;
+  const substituted = result.words.filter((item) => item.status === 'substituted').length;
+
+  pronunciationRefs.result.innerHTML = `
+    <div class="pronunciation-score">${result.score}<span>점</span></div>
+    <div class="pronunciation-words">${wordsHtml}</div>
+    <div class="pronunciation-summary">빠진 단어 ${missed}개 · 다르게 들린 단어 ${substituted}개</div>
+    ${result.extra.length ? `<div class="pronunciation-summary">추가로 들린 말: ${escapeHtml(result.extra.join(' '))}</div>` : ''}
+    <div class="pronunciation-summary">인식된 문장: ${escapeHtml(result.transcript || '-')}</div>
+  `;
+}
+
+function savePronunciationResult(result) {
+  const { source, target } = pronunciationState;
+  if (source?.type === 'dictionary') {
+    let changed = false;
+    const entries = getDictionaryEntries().map((entry) => {
+      if (entry.id !== source.id) return entry;
+      changed = true;
+      return recordPronunciationAttempt(entry, target, result);
+    });
+    if (changed) saveDictionaryEntries(entries);
+    if (changed && dictionaryView?.classList.contains('active')) renderDictionaryPage();
+  } else if (source?.type === 'message') {
+    const message = findMessageById(source.id);
+    if (!message) return;
+    Object.assign(message, recordPronunciationAttempt(message, target, result));
+    saveMessage(message);
+  }
+}
+
+// Recognition alternatives for the whole utterance, best guess first.
+function collectRecognitionAlternatives(results) {
+  const finalResults = Array.from(results).filter((result) => result.isFinal !== false);
+  if (finalResults.length === 1) {
+    return Array.from(finalResults[0]).map((item) => ({ transcript: item.transcript, confidence: item.confidence }));
+  }
+  return [{
+    transcript: finalResults.map((result) => result[0]?.transcript || '').join(' '),
+    confidence: finalResults.reduce((sum, result) => sum + (result[0]?.confidence || 0), 0) / Math.max(1, finalResults.length),
+  }];
+}
+
+function startPronunciationAttempt() {
+  stopAiSpeech();
+  if (recognition && voiceBtn.classList.contains('recording')) recognition.abort();
+
+  const recognizer = new SpeechRecognition();
+  recognizer.lang = 'en-US';
+  recognizer.interimResults = false;
+  recognizer.maxAlternatives = PRONUNCIATION_MAX_ALTERNATIVES;
+  pronunciationState.recognizer = recognizer;
+  let scored = false;
+
+  recognizer.onresult = (event) => {
+    if (pronunciationState.recognizer !== recognizer) return;
+    const result = scorePronunciation(pronunciationState.target, collectRecognitionAlternatives(event.results));
+    scored = true;
+    renderPronunciationResult(result);
+    savePronunciationResult(result);
+    renderPronunciationProgress();
+  };
+  recognizer.onerror = (event) => {
+    if (pronunciationState.recognizer !== recognizer || event.error === 'aborted') return;
+    console.error('Pronunciation recognition error:', event.error);
+    if (pronunciationRefs) {
+      pronunciationRefs.result.textContent = event.error === 'not-allowed'
+        ? '마이크 권한이 필요해요.'
+        : '음성 인식 중 오류가 발생했습니다.';
+    }
+    scored = true;
+  };
+  recognizer.onend = () => {
+    if (pronunciationState.recognizer !== recognizer) return;
+    pronunciationState.recognizer = null;
+    if (!scored && pronunciationRefs) pronunciationRefs.result.textContent = '목소리가 들리지 않았어요. 다시 시도해주세요.';
+    renderPronunciationSpeakButton();
+  };
+
+  if (pronunciationRefs) pronunciationRefs.result.textContent = '';
+  recognizer.start();
+  renderPronunciationSpeakButton();
+}
+
+// ===========================
+// Call Mode (hands-free conversation)
+// ===========================
+// Listens, sends each utterance as a message, speaks the reply and listens again. The
+// recognizer keeps running while a reply is spoken so the user can cut in (barge-in).
+function startCallMode() {
+  if (callState.active) return;
+  if (!SpeechRecognition) {
+    showToast('이 브라우저는 음성 인식을 지원하지 않습니다.');
+    return;
+  }
+  stopAiSpeech();
+  closeAudioPracticeSheet();
+  closePronunciationSheet();
+  if (recognition && voiceBtn.classList.contains('recording')) recognition.abort();
+
+  callState.active = true;
+  callState.errorCount = 0;
+  void acquireCallWakeLock();
+  setCallPhase('listening');
+  startCallRecognizer();
+}
+
+function endCallMode() {
+  if (!callState.active) return;
+  callState.active = false;
+  callState.queue = [];
+  callState.heldText = '';
+  callState.turn += 1;
+  clearTimeout(callState.restartTimer);
+  const { recognizer } = callState;
+  callState.recognizer = null;
+  recognizer?.abort();
+  stopAiSpeech();
+  callState.wakeLock?.release().catch(() => {});
+  callState.wakeLock = null;
+  setCallPhase('idle');
+}
+
+function setCallPhase(phase) {
+  callState.phase = phase;
+  if (phase !== 'speaking') callState.speakingText = '';
+  renderCallBar();
+}
+
+function renderCallBar() {
+  const { active, phase, finalText, interimText } = callState;
+  callModeBtn?.classList.toggle('active', active);
+  if (!callBar) return;
+  callBar.hidden = !active;
+  if (!active) return;
+  callBar.dataset.phase = phase;
+  callStatus.textContent = CALL_PHASE_LABELS[phase] || '';
+  callTranscript.textContent = phase === 'thinking' ? '' : `${finalText} ${interimText}`.trim();
+}
+
+async function acquireCallWakeLock() {
+  // Keeps the screen (and with it the microphone) on while practicing on the go.
+  if (!callState.active || callState.wakeLock || !navigator.wakeLock) return;
+  try {
+    const wakeLock = await navigator.wakeLock.request('screen');
+    if (!callState.active) {
+      await wakeLock.release();
+      return;
+    }
+    callState.wakeLock = wakeLock;
+    wakeLock.addEventListener('release', () => {
+      if (callState.wakeLock === wakeLock) callState.wakeLock = null;
+    });
+  } catch (error) {
+    console.warn('Screen wake lock unavailable:', error);
+  }
+}
+
+// What the microphone hears while a reply plays may just be the reply itself.
+function isEchoOfReply(heard) {
+  const heardKey = getPronunciationKey(heard);
+  return heardKey.split(' ').length < CALL_BARGE_IN_MIN_WORDS
+    || getPronunciationKey(callState.speakingText).includes(heardKey);
+}
+
+function scheduleCallRecognizerRestart(delayMs = CALL_RESTART_DELAY_MS) {
+  clearTimeout(callState.restartTimer);
+  if (!callState.active || callState.phase === 'thinking') return;
+  callState.restartTimer = setTimeout(startCallRecognizer, delayMs);
+}
+
+function startCallRecognizer() {
+  if (!callState.active || callState.recognizer || callState.phase === 'thinking') return;
+
+  const recognizer = new SpeechRecognition();
+  recognizer.lang = 'en-US';
+  recognizer.interimResults = true;
+  recognizer.continuous = false;
+  recognizer.maxAlternatives = 1;
+  callState.recognizer = recognizer;
+  callState.finalText = '';
+  callState.interimText = '';
+  let failed = false;
+
+  recognizer.onresult = (event) => {
+    if (callState.recognizer !== recognizer) return;
+    const results = Array.from(event.results);
+    callState.finalText = results.filter((result) => result.isFinal).map((result) => result[0].transcript).join(' ').trim();
+    callState.interimText = results.filter((result) => !result.isFinal).map((result) => result[0].transcript).join(' ').trim();
+    const heard = `${callState.finalText} ${callState.interimText}`.trim();
+    if (callState.phase === 'speaking' && heard && !isEchoOfReply(heard)) {
+      // Barge-in: drop the rest of the reply and keep listening to the user.
+      callState.queue = [];
+      setCallPhase('listening');
+      stopAiSpeech();
+    }
+    callState.errorCount = 0;
+    renderCallBar();
+  };
+  recognizer.onerror = (event) => {
+    if (callState.recognizer !== recognizer) return;
+    if (event.error === 'not-allowed' || event.error === 'service-not-allowed' || event.error === 'audio-capture') {
+      showToast('마이크를 사용할 수 없어 통화 모드를 종료했습니다.');
+      endCallMode();
+      return;
+    }
+    // `no-speech` just means a quiet stretch; anything else counts toward giving up.
+    if (event.error !== 'no-speech' && event.error !== 'aborted') {
+      failed = true;
+      callState.errorCount += 1;
+      console.warn('Call mode recognition error:', event.error);
+    }
+  };
+  recognizer.onend = () => {
+    if (callState.recognizer !== recognizer) return;
+    callState.recognizer = null;
+    // Finals heard during playback without a barge-in are the reply's own echo.
+    const text = callState.phase === 'listening' ? callState.finalText : '';
+    callState.finalText = '';
+    callState.interimText = '';
+    renderCallBar();
+    if (!callState.active) return;
+    if (callState.errorCount >= CALL_MAX_CONSECUTIVE_ERRORS) {
+      showToast('음성 인식이 계속 실패해 통화 모드를 종료했습니다.');
+      endCallMode();
+      return;
+    }
+    if (text) void sendCallUtterance(text);
+    else scheduleCallRecognizerRestart(failed ? CALL_ERROR_RESTART_DELAY_MS : CALL_RESTART_DELAY_MS);
+  };
+
+  try {
+    recognizer.start();
+  } catch (error) {
+    callState.recognizer = null;
+    console.warn('Call mode recognition failed to start:', error);
+    scheduleCallRecognizerRestart(CALL_ERROR_RESTART_DELAY_MS);
+  }
+}
+
+async function sendCallUtterance(text) {
+  // A newer turn supersedes older ones: their replies still land in the chat but are not read out.
+  callState.turn += 1;
+  const { turn } = callState;
+  let utterance = text;
+  if (isProcessing) {
+    // The previous reply is still arriving. Hold this turn, together with anything said after it,
+    // and send it once that reply is done.
+    callState.heldText = `${callState.heldText} ${text}`.trim();
+    setCallPhase('thinking');
+    showToast('앞선 답장이 끝나면 이어서 보낼게요.');
+    await whenProcessingIdle();
+    if (!callState.active || turn !== callState.turn) return;
+    utterance = callState.heldText;
+    callState.heldText = '';
+  }
+  setCallPhase('thinking');
+
+  // sendMessage reads and clears the input box synchronously; a typed draft is put back.
+  const draft = messageInput.value;
+  messageInput.value = utterance;
+  const pending = sendMessage();
+  if (draft) {
+    messageInput.value = draft;
+    updateSendButton();
+    inputAreaHeightAdjust();
+  }
+  const replies = await pending;
+  if (!callState.active || turn !== callState.turn) return;
+
+  callState.queue = replies.filter((message) => message?.text);
+  playNextCallReply();
+}
+
+function playNextCallReply() {
+  if (!callState.active) return;
+  const next = callState.queue.shift();
+  if (!next) {
+    // A fresh recognizer, so nothing the microphone picked up from the reply gets sent.
+    const { recognizer } = callState;
+    callState.recognizer = null;
+    recognizer?.abort();
+    setCallPhase('listening');
+    startCallRecognizer();
+    return;
+  }
+
+  setCallPhase('speaking');
+  callState.speakingText = next.text;
+  startCallRecognizer();
+  const bubble = chatMessages.querySelector(`.bubble[data-message-id="${next.id}"]`);
+  const button = bubble?.parentElement?.querySelector('.bubble-tts-btn') || document.createElement('button');
+  speakAiMessage(next.text, button, {
+    onFinish: () => {
+      if (callState.active && callState.phase === 'speaking') playNextCallReply();
+    },
+  });
+}
+
+function setupUserBubbleNativeSwipeAction(messageEl, bubble, context = {}) {
+  if (!messageEl || !bubble) return;
+
+  messageEl.classList.add('has-native-swipe-action');
+
+  const actionBtn = document.createElement('button');
+  actionBtn.className = 'bubble-native-action-btn';
+  actionBtn.type = 'button';
+  actionBtn.setAttribute('aria-label', 'Open native alternatives');
+  actionBtn.innerHTML = `
+    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" aria-hidden="true">
+      <path d="M5 12h14" stroke="currentColor" stroke-width="2.2" stroke-linecap="round"/>
+      <path d="M13 5l7 7-7 7" stroke="currentColor" stroke-width="2.2" stroke-linecap="round" stroke-linejoin="round"/>
+    </svg>
+  `;
+
+  messageEl.insertBefore(actionBtn, messageEl.querySelector('.message-time'));
+
+  const MAX_SWIPE = 54;
+  let startX = 0;
+  let startY = 0;
+  let baseX = 0;
+  let dragging = false;
+  let moved = false;
+
+  const closeRow = () => {
+    messageEl.classList.remove('native-action-revealed');
+    bubble.style.transform = '';
+    if (openNativeSwipeRow === messageEl) openNativeSwipeRow = null;
+  };
+
+  const revealRow = () => {
+    if (openNativeSwipeRow && openNativeSwipeRow !== messageEl) {
+      const prevBubble = openNativeSwipeRow.querySelector('.bubble');
+      openNativeSwipeRow.classList.remove('native-action-revealed');
+      if (prevBubble) prevBubble.style.transform = '';
+    }
+    openNativeSwipeRow = messageEl;
+    messageEl.classList.add('native-action-revealed');
+    bubble.style.transform = `translateX(-${MAX_SWIPE}px)`;
+  };
+
+  actionBtn.addEventListener('click', async (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    await openNativeAlternativesSheet(bubble.dataset.original || bubble.textContent || '', context);
+    closeRow();
+  });
+
+  bubble.addEventListener('click', (event) => {
+    if (messageEl.classList.contains('native-action-revealed')) {
+      event.preventDefault();
+      event.stopPropagation();
+      closeRow();
+    }
+  }, true);
+
+  messageEl.addEventListener('touchstart', (event) => {
+    if (!event.touches || event.touches.length !== 1) return;
+    if (event.target instanceof Element && event.target.closest('.bubble-native-action-btn')) return;
+    startX = event.touches[0].clientX;
+    startY = event.touches[0].clientY;
+    baseX = messageEl.classList.contains('native-action-revealed') ? -MAX_SWIPE : 0;
+    dragging = true;
+    moved = false;
+    bubble.style.transition = 'none';
+  }, { passive: true });
+
+  messageEl.addEventListener('touchmove', (event) => {
+    if (!dragging || !event.touches || event.touches.length !== 1) return;
+    const dx = event.touches[0].clientX - startX;
+    const dy = Math.abs(event.touches[0].clientY - startY);
+    if (dy > Math.abs(dx) && dy > 8) return;
+
+    const nextX = Math.max(-MAX_SWIPE, Math.min(0, baseX + dx));
+    if (Math.abs(nextX - baseX) > 4) moved = true;
+    event.preventDefault();
+    bubble.style.transform = `translateX(${nextX}px)`;
+  }, { passive: false });
+
+  const finishSwipe = () => {
+    if (!dragging) return;
+    dragging = false;
+    bubble.style.transition = '';
+
+    const matrix = getComputedStyle(bubble).transform;
+    const tx = matrix !== 'none' ? Number(matrix.split(',')[4]) : 0;
+    if (tx <= -30) {
+      revealRow();
+    } else {
+      closeRow();
+    }
+
+    if (moved) {
+      const suppressClickOnce = (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        bubble.removeEventListener('click', suppressClickOnce, true);
+      };
+      bubble.addEventListener('click', suppressClickOnce, true);
+    }
+  };
+
+  messageEl.addEventListener('touchend', finishSwipe, { passive: true });
+  messageEl.addEventListener('touchcancel', finishSwipe, { passive: true });
+}
+
+function ensureNativeAlternativesSheet() {
+  if (nativeSheetRefs) return nativeSheetRefs;
+
+  const overlay = document.createElement('div');
+  overlay.className = 'native-sheet-overlay';
+  overlay.innerHTML = `
+    <div class="native-sheet" role="dialog" aria-label="Native alternatives">
+      <div class="native-sheet-handle"></div>
+      <div class="native-sheet-header">
+        <div class="native-sheet-title">Native alternatives</div>
+        <button class="native-sheet-close" type="button">Close</button>
+      </div>
+      <div class="native-sheet-body"></div>
+    </div>
+  `;
+
+  document.body.appendChild(overlay);
+
+  const sheet = overlay.querySelector('.native-sheet');
+  const body = overlay.querySelector('.native-sheet-body');
+  const closeBtn = overlay.querySelector('.native-sheet-close');
+
+  const close = () => closeNativeAlternativesSheet();
+  closeBtn.addEventListener('click', close);
+  overlay.addEventListener('click', (event) => {
+    if (event.target === overlay) close();
+  });
+
+  nativeSheetRefs = { overlay, sheet, body };
+  return nativeSheetRefs;
+}
+
+function closeNativeAlternativesSheet() {
   const refs = ensureNativeAlternativesSheet();
   refs.overlay.classList.remove('active');
   document.body.classList.remove('native-sheet-open');
@@ -1406,7 +2492,14 @@ async function openNativeAlternativesSheet(originalText, context = {}) {
   refs.overlay.classList.add('active');
   document.body.classList.add('native-sheet-open');
 
-  const alternatives = await gemini.getNativeAlternatives(originalText);
+  let alternatives;
+  try {
+    alternatives = await gemini.getNativeAlternatives(originalText);
+  } catch (error) {
+    if (currentRequestId !== nativeSheetRequestId) return;
+    refs.body.querySelector('.native-loading').textContent = error.message;
+    return;
+  }
   if (currentRequestId !== nativeSheetRequestId) return;
 
   refs.body.innerHTML = `
@@ -1521,8 +2614,19 @@ function getDictionaryEntries() {
     : [];
 }
 
+function readStoredDictionaryRecords(key) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (_) {
+    return [];
+  }
+}
+
 function saveDictionaryEntries(entries) {
-  localStorage.setItem('native_dictionary_entries', JSON.stringify(entries));
+  const previous = readStoredDictionaryRecords('native_dictionary_entries');
+  localStorage.setItem('native_dictionary_entries', JSON.stringify(stampModifiedRecords('dictionaryEntries', previous, entries)));
+  scheduleSync();
 }
 
 function getDictionaryCategories() {
@@ -1533,13 +2637,16 @@ function getDictionaryCategories() {
         id: String(cat?.id || ''),
         name: String(cat?.name || '').trim(),
         createdAt: String(cat?.createdAt || ''),
+        modifiedAt: String(cat?.modifiedAt || ''),
       }))
       .filter((cat) => cat.id && cat.name)
     : [];
 }
 
 function saveDictionaryCategories(categories) {
-  localStorage.setItem('native_dictionary_categories', JSON.stringify(categories));
+  const previous = readStoredDictionaryRecords('native_dictionary_categories');
+  localStorage.setItem('native_dictionary_categories', JSON.stringify(stampModifiedRecords('dictionaryCategories', previous, categories)));
+  scheduleSync();
 }
 
 function createDictionaryCategory(name) {
@@ -1680,7 +2787,7 @@ function addDictionaryEntry(option, originalText = '', sourceSentAt = null, cate
   const entries = getDictionaryEntries();
   const optionText = String(option?.text || '').trim();
   if (!optionText) return false;
-  const exists = entries.some((entry) => String(entry.text || '').toLowerCase() === optionText.toLowerCase());
+  const exists = entries.some((entry) => normalizeDictionaryText(entry.text) === normalizeDictionaryText(optionText));
   if (exists) return false;
 
   const createdAt = new Date().toISOString();
@@ -1693,6 +2800,7 @@ function addDictionaryEntry(option, originalText = '', sourceSentAt = null, cate
     entryType: 'native',
     original: originalText,
     originalSentAt: sourceSentAt || createdAt,
+    sourceConversationId: activeConversation.id,
     text: optionText,
     tone: option.tone,
     nuance: option.nuance,
@@ -1713,7 +2821,7 @@ function addGrammarDictionaryEntry(originalText, review, sourceSentAt = null, ca
   if (!correctedText) return false;
 
   const entries = getDictionaryEntries();
-  const exists = entries.some((entry) => String(entry.text || '').toLowerCase() === correctedText.toLowerCase());
+  const exists = entries.some((entry) => normalizeDictionaryText(entry.text) === normalizeDictionaryText(correctedText));
   if (exists) return false;
 
   const createdAt = new Date().toISOString();
@@ -1736,6 +2844,7 @@ function addGrammarDictionaryEntry(originalText, review, sourceSentAt = null, ca
     entryType: 'grammar',
     original: originalText || '',
     originalSentAt: sourceSentAt || createdAt,
+    sourceConversationId: activeConversation.id,
     text: correctedText,
     tone: '',
     nuance: '',
@@ -2073,9 +3182,61 @@ function renderDictionaryGrammarEdits(entry) {
   `;
 }
 
+function backfillDictionarySourceConversation(conversationId) {
+  const entries = getDictionaryEntries();
+  if (!entries.some((entry) => !entry.sourceConversationId)) return;
+  saveDictionaryEntries(entries.map((entry) => (
+    entry.sourceConversationId ? entry : { ...entry, sourceConversationId: conversationId }
+  )));
+}
+
+function renderDictionaryEntrySource(entry) {
+  const conversation = entry?.sourceConversationId ? getConversation(entry.sourceConversationId) : null;
+  if (!conversation) return '';
+  return `
+    <button class="dictionary-entry-source" type="button" data-source-conversation-id="${escapeHtml(conversation.id)}" data-source-sent-at="${escapeHtml(entry.originalSentAt || '')}">
+      💬 ${escapeHtml(conversation.name)}와의 대화에서
+    </button>
+  `;
+}
+
+async function openDictionaryEntrySource(conversationId, sentAt) {
+  if (!(await switchConversation(conversationId))) return;
+  closeDictionaryPage();
+  closeConversationList();
+
+  const findSource = () => messages.find((msg) => msg?.sentAt && msg.sentAt === sentAt) || null;
+  let source = findSource();
+  while (!source && messagePaging.hasMore) {
+    if (!(await loadOlderMessages())) break;
+    source = findSource();
+  }
+  if (!source) return;
+  const bubble = chatMessages.querySelector(`.bubble[data-message-id="${source.id}"]`);
+  if (!bubble) return;
+  bubble.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  bubble.classList.add('source-highlight');
+  window.setTimeout(() => bubble.classList.remove('source-highlight'), 1600);
+}
+
 function updateDictionaryButtonBadge() {
   if (!dictionaryBtn) return;
-  dictionaryBtn.dataset.count = String(getDictionaryEntries().length);
+  const dueCount = getDueEntries(getDictionaryEntries()).length;
+  dictionaryBtn.dataset.count = String(dueCount);
+  dictionaryBtn.setAttribute('aria-label', dueCount > 0 ? `내 사전, 오늘 복습 ${dueCount}개` : '내 사전');
+}
+
+function renderDictionaryReviewBanner(entries) {
+  if (entries.length === 0) return '';
+  const dueCount = getDueEntries(entries).length;
+  return `
+    <div class="dictionary-review-banner">
+      <div class="dictionary-review-banner-text">
+        ${dueCount > 0 ? `오늘 복습할 카드 <strong>${dueCount}</strong>개` : '오늘 복습을 모두 마쳤어요 🎉'}
+      </div>
+      ${dueCount > 0 ? '<button class="dictionary-review-start-btn" type="button" data-action="start-review">복습 시작</button>' : ''}
+    </div>
+  `;
 }
 
 function renderDictionaryPage() {
@@ -2090,6 +3251,7 @@ function renderDictionaryPage() {
     dictionaryPageList.innerHTML = `
       ${renderDictionaryFilterRow()}
       <div class="dictionary-empty">아직 저장된 표현이 없습니다.</div>
+      ${renderDictionaryTransferRow()}
     `;
     updateDictionaryHeaderCategorySubtitle();
     attachDictionaryFilterHandlers();
@@ -2113,6 +3275,7 @@ function renderDictionaryPage() {
           <span class="dictionary-entry-type ${getDictionaryEntryTypeClass(entry)}">${escapeHtml(getDictionaryEntryTag(entry))}</span>
           <span class="dictionary-entry-time">${escapeHtml(formatDictionaryTimestamp(entry.originalSentAt || entry.createdAt))}</span>
         </div>
+        ${renderDictionaryEntrySource(entry)}
         ${renderDictionaryCategoryBadges(entry)}
         ${isManualSortMode ? `
           <div class="dictionary-reorder-handle-row">
@@ -2142,13 +3305,16 @@ function renderDictionaryPage() {
         ` : ''}
         <div class="dictionary-text">${escapeHtml(entry.text)}</div>
         ${getDictionaryEntryType(entry) === 'native' ? `<div class="dictionary-nuance">${escapeHtml(entry.nuance || '')}</div>` : ''}
+        ${isManualSortMode ? '' : renderDictionaryPronunciationButton(entry)}
       </div>
     </div>
   `).join('');
 
   dictionaryPageList.innerHTML = `
+    ${renderDictionaryReviewBanner(entries)}
     ${renderDictionaryFilterRow()}
     ${listHtml}
+    ${renderDictionaryTransferRow()}
   `;
 
   updateDictionaryHeaderCategorySubtitle();
@@ -2158,9 +3324,37 @@ function renderDictionaryPage() {
     attachDictionaryReorderHandlers();
   } else {
     attachDictionarySwipeHandlers();
+    attachDictionaryPronunciationHandlers();
   }
 }
 
+function renderDictionaryPronunciationButton(entry) {
+  const progress = getPronunciationProgress(entry, entry.text);
+  return `
+    <button class="dictionary-pronounce-btn" type="button">
+      발음 연습${progress ? ` · 최고 ${progress.bestScore}점 (${progress.count}회)` : ''}
+    </button>
+  `;
+}
+
+function attachDictionaryPronunciationHandlers() {
+  if (!dictionaryPageList) return;
+  const entriesById = new Map(getDictionaryEntries().map((entry) => [entry.id, entry]));
+  dictionaryPageList.querySelectorAll('.dictionary-entry-swipe').forEach((row) => {
+    const button = row.querySelector('.dictionary-pronounce-btn');
+    const entry = entriesById.get(row.dataset.entryId);
+    if (!button || !entry) return;
+    button.addEventListener('touchstart', (event) => {
+      event.stopPropagation();
+    }, { passive: true });
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      openPronunciationSheet(entry.text, { type: 'dictionary', id: entry.id });
+    });
+  });
+}
+
 function persistDictionaryManualOrderFromDom() {
   if (!dictionaryPageList) return;
   const visibleIds = Array.from(dictionaryPageList.querySelectorAll('.dictionary-entry-swipe[data-entry-id]'))
@@ -2480,44 +3674,296 @@ function closeDictionaryCategoryPage() {
   if (dictionaryCategoryView) dictionaryCategoryView.classList.remove('active');
 }
 
+// ===========================
+// Dictionary Export / Import
+// ===========================
+const DICTIONARY_EXPORT_OPTIONS = [
+  { id: 'json', label: 'JSON (전체 백업)', extension: 'json', mimeType: 'application/json' },
+  { id: 'csv', label: 'CSV (스프레드시트)', extension: 'csv', mimeType: 'text/csv' },
+  { id: 'anki', label: 'Anki 덱 (텍스트 가져오기)', extension: 'txt', mimeType: 'text/plain' },
+];
+
+function renderDictionaryTransferRow() {
+  return `
+    <div class="dictionary-transfer-row">
+      <button class="dictionary-transfer-btn" type="button" data-action="export-dictionary">내보내기</button>
+      <button class="dictionary-transfer-btn" type="button" data-action="import-dictionary">가져오기</button>
+    </div>
+  `;
+}
+
+async function openDictionaryExportSheet() {
+  if (!document.body) return null;
+
+  return new Promise((resolve) => {
+    let closed = false;
+    const overlay = document.createElement('div');
+    overlay.className = 'dictionary-sheet-overlay';
+    overlay.innerHTML = `
+      <div class="dictionary-sheet-backdrop"></div>
+      <div class="dictionary-sheet" role="dialog" aria-modal="true" aria-label="내보내기 형식 선택">
+        <div class="dictionary-sheet-handle"></div>
+        <div class="dictionary-sheet-title">사전 내보내기</div>
+        <div class="dictionary-sheet-subtitle">파일 형식을 선택하세요</div>
+        <div class="dictionary-sheet-category-list">
+          ${DICTIONARY_EXPORT_OPTIONS.map((opt) => `
+            <button class="dictionary-sheet-category-option" type="button" data-export-format="${opt.id}">
+              <span>${escapeHtml(opt.label)}</span>
+            </button>
+          `).join('')}
+        </div>
+        <div class="dictionary-sheet-actions">
+          <button class="dictionary-sheet-btn ghost" type="button" data-action="cancel">닫기</button>
+        </div>
+      </div>
+    `;
+
+    const close = (value) => {
+      if (closed) return;
+      closed = true;
+      overlay.classList.remove('active');
+      setTimeout(() => overlay.remove(), 180);
+      resolve(value);
+    };
+
+    overlay.addEventListener('click', (event) => {
+      const target = event.target;
+      if (!(target instanceof HTMLElement)) return;
+      if (target.classList.contains('dictionary-sheet-backdrop')) return close(null);
+
+      const optionBtn = target.closest('.dictionary-sheet-category-option');
+      if (optionBtn instanceof HTMLElement) return close(optionBtn.dataset.exportFormat || null);
+
+      const actionBtn = target.closest('.dictionary-sheet-btn');
+      if (actionBtn instanceof HTMLElement && actionBtn.dataset.action === 'cancel') {
+        return close(null);
+      }
+    });
+
+    document.body.appendChild(overlay);
+    requestAnimationFrame(() => overlay.classList.add('active'));
+  });
+}
+
+function downloadTextFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportDictionary() {
+  const entries = getDictionaryEntries();
+  if (entries.length === 0) {
+    showToast('내보낼 표현이 없습니다.');
+    return;
+  }
+  const formatId = await openDictionaryExportSheet();
+  const format = DICTIONARY_EXPORT_OPTIONS.find((opt) => opt.id === formatId);
+  if (!format) return;
+
+  const categories = getDictionaryCategories();
+  const content = format.id === 'json'
+    ? buildDictionaryJsonExport(entries, categories)
+    : (format.id === 'csv' ? buildDictionaryCsv(entries, categories) : buildDictionaryAnkiText(entries, categories));
+  const date = new Date().toISOString().slice(0, 10);
+  downloadTextFile(`dictionary-${date}.${format.extension}`, content, format.mimeType);
+  showToast(`${entries.length}개 표현을 내보냈습니다.`);
+}
+
+async function importDictionaryFile(file) {
+  if (!file) return;
+  try {
+    const imported = parseDictionaryImport(await file.text());
+    const result = mergeDictionaryImport({
+      entries: getDictionaryEntries(),
+      categories: getDictionaryCategories(),
+    }, imported, generateMessageId);
+    saveDictionaryCategories(result.categories);
+    saveDictionaryEntries(result.entries);
+    updateDictionaryButtonBadge();
+    renderDictionaryPage();
+    showToast(result.skipped > 0
+      ? `${result.added}개를 가져왔습니다 (중복 ${result.skipped}개 제외)`
+      : `${result.added}개를 가져왔습니다`);
+  } catch (error) {
+    console.error('Dictionary import failed:', error);
+    showToast(`가져오기 실패: ${error.message}`);
+  }
+}
+
+// ===========================
+// Dictionary Review
+// ===========================
+function setDictionaryEntryReview(entryId, review) {
+  let changed = false;
+  const entries = getDictionaryEntries().map((entry) => {
+    if (entry.id !== entryId) return entry;
+    changed = true;
+    return { ...entry, review };
+  });
+  if (changed) saveDictionaryEntries(entries);
+  return changed;
+}
+
+function startDictionaryReview() {
+  const queue = getDueEntries(getDictionaryEntries()).map((entry) => entry.id);
+  if (queue.length === 0) {
+    showToast('오늘 복습할 카드가 없습니다.');
+    return;
+  }
+  dictionaryReviewSession = { queue, revealed: false, reviewedCount: 0 };
+  renderDictionaryReviewCard();
+  if (dictionaryReviewView) dictionaryReviewView.classList.add('active');
+  if (dictionaryView) dictionaryView.classList.remove('active');
+}
+
+function closeDictionaryReviewPage() {
+  if (dictionaryReviewView) dictionaryReviewView.classList.remove('active');
+  updateDictionaryButtonBadge();
+}
+
+function getDictionaryReviewPrompt(entry) {
+  return entry.original || entry.nuance || '(원래 메시지 없음)';
+}
+
+function renderDictionaryReviewCard() {
+  if (!dictionaryReviewMain) return;
+  const entriesById = new Map(getDictionaryEntries().map((entry) => [entry.id, entry]));
+  // Entries deleted mid-session simply drop out of the queue.
+  dictionaryReviewSession.queue = dictionaryReviewSession.queue.filter((id) => entriesById.has(id));
+  const { queue, revealed, reviewedCount } = dictionaryReviewSession;
+
+  if (dictionaryReviewProgress) {
+    dictionaryReviewProgress.textContent = queue.length > 0 ? `남은 카드 ${queue.length}개` : '';
+    dictionaryReviewProgress.hidden = queue.length === 0;
+  }
+
+  if (queue.length === 0) {
+    dictionaryReviewMain.innerHTML = `
+      <div class="dictionary-review-done">
+        <div class="dictionary-review-done-emoji">🎉</div>
+        <div>오늘 복습 완료! ${reviewedCount}장을 복습했어요.</div>
+        <button class="dictionary-review-start-btn" type="button" data-action="finish-review">사전으로 돌아가기</button>
+      </div>
+    `;
+    return;
+  }
+
+  const entry = entriesById.get(queue[0]);
+  const state = getReviewState(entry);
+  dictionaryReviewMain.innerHTML = `
+    <div class="dictionary-review-card">
+      <span class="dictionary-entry-type ${getDictionaryEntryTypeClass(entry)}">${escapeHtml(getDictionaryEntryTag(entry))}</span>
+      <div class="dictionary-entry-original-label">이렇게 말했을 때</div>
+      <div class="dictionary-review-prompt">${escapeHtml(getDictionaryReviewPrompt(entry))}</div>
+      ${revealed ? `
+        <div class="dictionary-review-divider"></div>
+        <div class="dictionary-entry-original-label">${getDictionaryEntryType(entry) === 'grammar' ? '올바른 문장' : '네이티브 표현'}</div>
+        <div class="dictionary-text">${escapeHtml(entry.text)}</div>
+        ${renderDictionaryGrammarEdits(entry)}
+        ${getDictionaryEntryType(entry) === 'native' && entry.nuance ? `<div class="dictionary-nuance">${escapeHtml(entry.nuance)}</div>` : ''}
+      ` : ''}
+    </div>
+    ${revealed ? `
+      <div class="dictionary-review-grades">
+        ${REVIEW_GRADES.map((grade) => `
+          <button class="dictionary-review-grade grade-${grade}" type="button" data-review-grade="${grade}">
+            <span>${REVIEW_GRADE_LABELS[grade]}</span>
+            <small>${escapeHtml(formatReviewInterval(state, grade))}</small>
+          </button>
+        `).join('')}
+      </div>
+    ` : `
+      <button class="dictionary-review-reveal" type="button" data-action="reveal">정답 보기</button>
+    `}
+  `;
+}
+
+function gradeDictionaryReviewCard(grade) {
+  const entryId = dictionaryReviewSession.queue[0];
+  const entry = getDictionaryEntries().find((item) => item.id === entryId);
+  if (!entry) return;
+
+  const review = scheduleReview(getReviewState(entry), grade);
+  setDictionaryEntryReview(entryId, review);
+  dictionaryReviewSession.queue.shift();
+  dictionaryReviewSession.reviewedCount += 1;
+  // Cards graded "again" come back at the end of this session.
+  if (grade === 'again') dictionaryReviewSession.queue.push(entryId);
+  dictionaryReviewSession.revealed = false;
+  updateDictionaryButtonBadge();
+  renderDictionaryReviewCard();
+}
+
 // ===========================
 // Chat Logic
 // ===========================
+/**
+ * Sends what is in the input box. Resolves with the AI messages the reply produced, which is
+ * empty when the request failed or was cancelled.
+ */
 async function sendMessage() {
   const text = messageInput.value.trim();
-  if (!text || isProcessing) return;
+  if (!text || isProcessing) return [];
 
   // Add user message to state
   const time = formatTime(new Date());
-  messages.push({ id: generateMessageId(), role: 'user', text, time, sentAt: new Date().toISOString() });
+  const userMsg = createMessage({ role: 'user', text, time, sentAt: new Date().toISOString() });
+  messages.push(userMsg);
 
   // UI updates
   removeWelcomeMessage();
-  appendMessageBubble('user', text, time, true, null, messages.length - 1);
+  appendMessageBubble('user', text, time, true, null, userMsg.id);
   messageInput.value = '';
   messageInput.style.height = 'auto';
   updateSendButton();
-  saveMessages();
+  saveMessage(userMsg);
 
   // API Call
   isProcessing = true;
   const typingIndicator = showTypingIndicator();
+  let replies = [];
 
   try {
-    const response = await gemini.sendMessage(text);
-    removeTypingIndicator(typingIndicator);
+    if (gemini.replyMode === 'stream') {
+      const streamed = await streamAiReply(text, typingIndicator);
+      removeTypingIndicator(typingIndicator);
+      // Cancelled before the first token: nothing to keep.
+      if (!streamed.text) return replies;
+      replies = [finalizeStreamedReply(streamed)];
+    } else if (gemini.replyMode === 'split') {
+      const parts = await gemini.sendMessageParts(text);
+      removeTypingIndicator(typingIndicator);
+      replies = await deliverReplyBubbles(parts);
+    } else {
+      const response = await gemini.sendMessage(text);
+      removeTypingIndicator(typingIndicator);
+
+      const aiTime = formatTime(new Date());
 
-    const aiTime = formatTime(new Date());
+      // Pre-translate for instant tap response; without one, a tap translates on demand.
+      const translation = await gemini.translate(response).catch((error) => {
+        console.warn('Failed to pre-translate reply:', error);
+        return null;
+      });
 
-    // Pre-translate for instant tap response
-    const translation = await gemini.translate(response);
+      const aiMsg = createMessage({ role: 'ai', text: response, time: aiTime, translation });
+      messages.push(aiMsg);
+      appendMessageBubble('ai', response, aiTime, true, translation, aiMsg.id);
+      saveMessage(aiMsg);
+      replies = [aiMsg];
+    }
 
-    messages.push({ id: generateMessageId(), role: 'ai', text: response, time: aiTime, translation });
-    appendMessageBubble('ai', response, aiTime, true, translation, messages.length - 1);
-    saveMessages();
+    noteUserTurnForMemory();
 
     // Notification request after first message
-    if (messages.length === 2) {
+    if (messages.filter((msg) => msg.role === 'user').length === 1) {
       setTimeout(() => requestNotificationPermission(), 1000);
     }
   } catch (error) {
@@ -2525,7 +3971,369 @@ async function sendMessage() {
     appendMessageBubble('system', `에러가 발생했습니다: ${error.message} `, formatTime(new Date()));
   } finally {
     isProcessing = false;
+    processingIdleWaiters.splice(0).forEach((resolve) => resolve());
+  }
+  return replies;
+}
+
+/**
+ * Resolves once no reply is being fetched.
+ */
+function whenProcessingIdle() {
+  if (!isProcessing) return Promise.resolve();
+  return new Promise((resolve) => processingIdleWaiters.push(resolve));
+}
+
+async function streamAiReply(text, typingIndicator) {
+  const controller = new AbortController();
+  replyStreamController = controller;
+  stopBtn?.classList.add('active');
+
+  let element = null;
+  let bubble = null;
+  try {
+    const result = await gemini.sendMessageStream(text, {
+      signal: controller.signal,
+      onDelta: (partial) => {
+        if (!element) {
+          removeTypingIndicator(typingIndicator);
+          // Not "animated": that path would preload TTS for the first few tokens.
+          element = createMessageElement('ai', partial, formatTime(new Date()), false);
+          element.style.animation = '';
+          bubble = element.querySelector('.bubble');
+          bubble.classList.add('streaming');
+          chatMessages.appendChild(element);
+        }
+        const stickToBottom = chatMessages.scrollHeight - chatMessages.scrollTop - chatMessages.clientHeight < 80;
+        bubble.innerHTML = formatMessage(partial);
+        bubble.dataset.original = partial;
+        if (stickToBottom) chatMessages.scrollTop = chatMessages.scrollHeight;
+      },
+    });
+    return { ...result, element, bubble };
+  } catch (error) {
+    // A failed stream is reported as a system bubble; don't leave the half reply behind.
+    element?.remove();
+    throw error;
+  } finally {
+    if (replyStreamController === controller) replyStreamController = null;
+    stopBtn?.classList.remove('active');
+    bubble?.classList.remove('streaming');
+  }
+}
+
+function finalizeStreamedReply({ text, element, bubble }) {
+  const aiTime = element.querySelector('.message-time')?.textContent || formatTime(new Date());
+  const aiMsg = createMessage({ role: 'ai', text, time: aiTime, translation: null });
+  messages.push(aiMsg);
+
+  bubble.dataset.messageId = aiMsg.id;
+  bubble.dataset.original = text;
+  bubble.innerHTML = formatMessage(text);
+  refreshChatSearchResults();
+  saveMessage(aiMsg);
+
+  // Translation and TTS only make sense for the finished text.
+  preloadAiMessageTts(text);
+  gemini.translate(text).then((translation) => {
+    aiMsg.translation = translation;
+    if (!bubble.dataset.translated) bubble.dataset.translated = translation || '';
+    saveMessage(aiMsg);
+  }).catch((error) => {
+    console.warn('Failed to pre-translate reply:', error);
+  });
+  return aiMsg;
+}
+
+function getReplyBubbleDelay(text) {
+  // Roughly how long a friend takes to type a short text, kept within a patient range.
+  const typingMs = String(text || '').length * REPLY_BUBBLE_MS_PER_CHAR;
+  return Math.min(REPLY_BUBBLE_MAX_DELAY_MS, Math.max(REPLY_BUBBLE_MIN_DELAY_MS, typingMs));
+}
+
+async function deliverReplyBubbles(parts) {
+  const delivered = [];
+  for (let i = 0; i < parts.length; i += 1) {
+    const part = parts[i];
+    if (i > 0) {
+      const indicator = showTypingIndicator();
+      await new Promise((resolve) => window.setTimeout(resolve, getReplyBubbleDelay(part)));
+      removeTypingIndicator(indicator);
+    }
+
+    const aiMsg = createMessage({ role: 'ai', text: part, time: formatTime(new Date()), translation: null });
+    messages.push(aiMsg);
+    appendMessageBubble('ai', part, aiMsg.time, true, null, aiMsg.id);
+    saveMessage(aiMsg);
+    delivered.push(aiMsg);
+
+    gemini.translate(part).then((translation) => {
+      aiMsg.translation = translation;
+      const bubble = chatMessages.querySelector(`.bubble[data-message-id="${aiMsg.id}"]`);
+      if (bubble && !bubble.dataset.translated) bubble.dataset.translated = translation || '';
+      saveMessage(aiMsg);
+    }).catch((error) => {
+      console.warn('Failed to pre-translate reply:', error);
+    });
+  }
+  return delivered;
+}
+
+function cancelAiReplyStream() {
+  replyStreamController?.abort();
+}
+
+function setPendingMemoryTurns(count) {
+  memoryRefreshState.pendingTurns = Math.max(0, count);
+  activeConversation = updateConversation(activeConversation.id, {
+    pendingMemoryTurns: memoryRefreshState.pendingTurns,
+  }) || activeConversation;
+}
+
+function noteUserTurnForMemory() {
+  setPendingMemoryTurns(memoryRefreshState.pendingTurns + 1);
+  if (memoryRefreshState.pendingTurns >= MEMORY_REFRESH_TURN_INTERVAL) {
+    void refreshLongTermMemory();
+  }
+}
+
+async function refreshLongTermMemory() {
+  if (memoryRefreshState.inflight) return memoryRefreshState.inflight;
+  if (memoryRefreshState.pendingTurns === 0) return null;
+
+  const history = messages
+    .filter((msg) => msg?.role === 'user' || msg?.role === 'ai')
+    .slice(-MEMORY_REFRESH_HISTORY_LIMIT)
+    .map((msg) => ({ role: msg.role, text: String(msg.text || '') }));
+  const turnsAtStart = memoryRefreshState.pendingTurns;
+  const conversationId = activeConversation.id;
+
+  memoryRefreshState.inflight = gemini.refreshMemory(history)
+    .then((result) => {
+      // Switching threads drops the result; its turns stay pending on that thread.
+      if (conversationId !== activeConversation.id) return null;
+      // Nothing was applied (memory edited mid-flight, or no profile came back): keep every turn pending.
+      if (!result) return null;
+      // Turns sent while the request was in flight stay pending for the next refresh.
+      setPendingMemoryTurns(memoryRefreshState.pendingTurns - turnsAtStart);
+      updateMemoryItemCount();
+      return result;
+    })
+    .catch((error) => {
+      // Silent failure: memory is retried on the next trigger.
+      console.warn('Memory refresh failed:', error);
+      return null;
+    })
+    .finally(() => {
+      memoryRefreshState.inflight = null;
+    });
+  return memoryRefreshState.inflight;
+}
+
+// ===========================
+// Persona
+// ===========================
+function getPersonaProfile() {
+  return sanitizePersonaProfile(gemini.personaProfile);
+}
+
+function updatePersonaSliders() {
+  if (!personaSliderGroup) return;
+  const persona = getPersonaProfile();
+  PERSONA_PROFILE_KEYS.forEach((key) => {
+    const slider = personaSliderGroup.querySelector(`.persona-slider[data-persona-key="${key}"]`);
+    const valueEl = personaSliderGroup.querySelector(`[data-persona-value="${key}"]`);
+    if (slider) slider.value = String(persona[key]);
+    if (valueEl) valueEl.textContent = String(persona[key]);
+  });
+}
+
+function schedulePersonaPreview() {
+  if (!personaPreviewText) return;
+  window.clearTimeout(personaPreviewState.timer);
+  const requestId = ++personaPreviewState.requestId;
+  personaPreviewText.classList.add('loading');
+
+  personaPreviewState.timer = window.setTimeout(async () => {
+    let reply = '';
+    try {
+      reply = await gemini.previewReply(PERSONA_PREVIEW_MESSAGE, getPersonaProfile());
+    } catch (error) {
+      console.warn('Persona preview failed:', error);
+    }
+    if (requestId !== personaPreviewState.requestId) return;
+    personaPreviewText.classList.remove('loading');
+    personaPreviewText.textContent = reply || '샘플 답장을 불러오지 못했습니다.';
+  }, PERSONA_PREVIEW_DEBOUNCE_MS);
+}
+
+function setupPersonaSliders() {
+  if (!personaSliderGroup) return;
+
+  personaSliderGroup.addEventListener('input', (event) => {
+    const slider = event.target;
+    if (!(slider instanceof HTMLInputElement) || !slider.dataset.personaKey) return;
+    const valueEl = personaSliderGroup.querySelector(`[data-persona-value="${slider.dataset.personaKey}"]`);
+    if (valueEl) valueEl.textContent = slider.value;
+  });
+
+  personaSliderGroup.addEventListener('change', (event) => {
+    const slider = event.target;
+    if (!(slider instanceof HTMLInputElement) || !slider.dataset.personaKey) return;
+    gemini.setPersonaProfile({
+      ...getPersonaProfile(),
+      [slider.dataset.personaKey]: Number(slider.value),
+    });
+    updatePersonaSliders();
+    schedulePersonaPreview();
+  });
+}
+
+// ===========================
+// Memory Editor
+// ===========================
+function normalizeMemoryItemKey(value) {
+  return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function updateMemoryItemCount() {
+  if (!memoryItemCount) return;
+  const profile = sanitizeMemoryProfile(gemini.memoryProfile);
+  memoryItemCount.textContent = String(MEMORY_PROFILE_KEYS.reduce((sum, key) => sum + profile[key].length, 0));
+}
+
+function buildMemoryEditorDraft() {
+  const profile = sanitizeMemoryProfile(gemini.memoryProfile);
+  const pins = sanitizeMemoryProfile(gemini.memoryPins);
+  const draft = {};
+  for (const key of MEMORY_PROFILE_KEYS) {
+    const pinned = new Set(pins[key].map(normalizeMemoryItemKey));
+    draft[key] = profile[key].map((text) => ({ text, pinned: pinned.has(normalizeMemoryItemKey(text)) }));
+  }
+  return draft;
+}
+
+function renderMemoryEditor() {
+  if (!memoryEditorList || !memoryEditorDraft) return;
+
+  memoryEditorList.innerHTML = MEMORY_PROFILE_KEYS.map((key) => {
+    const items = memoryEditorDraft[key] || [];
+    return `
+      <div class="profile-section">
+        <div class="section-title">${escapeHtml(MEMORY_SECTION_LABELS[key] || key)}</div>
+        <div class="section-group">
+          ${items.length === 0 ? '<div class="section-row memory-empty">아직 기억한 내용이 없습니다.</div>' : items.map((item, index) => `
+            <div class="section-row memory-item-row ${item.pinned ? 'pinned' : ''}" data-memory-key="${key}" data-memory-index="${index}">
+              <input class="memory-item-input" type="text" maxlength="${MEMORY_PROFILE_MAX_ITEM_CHARS}" value="${escapeHtml(item.text)}" placeholder="새 항목">
+              <button class="memory-item-btn memory-pin-btn" type="button" data-action="pin" aria-label="${item.pinned ? '고정 해제' : '고정'}" aria-pressed="${item.pinned ? 'true' : 'false'}">📌</button>
+              <button class="memory-item-btn memory-delete-btn" type="button" data-action="delete" aria-label="삭제">−</button>
+            </div>
+          `).join('')}
+          <button class="section-row memory-add-btn" type="button" data-action="add" data-memory-key="${key}">+ 항목 추가</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+function openMemoryEditor() {
+  memoryEditorDraft = buildMemoryEditorDraft();
+  renderMemoryEditor();
+  if (memoryModal) memoryModal.classList.add('active');
+}
+
+function closeMemoryEditor() {
+  if (memoryModal) memoryModal.classList.remove('active');
+  memoryEditorDraft = null;
+}
+
+function saveMemoryEditor() {
+  if (!memoryEditorDraft) return;
+
+  const pinnedKeys = new Set();
+  const raw = {};
+  for (const key of MEMORY_PROFILE_KEYS) {
+    const items = (memoryEditorDraft[key] || [])
+      .map((item) => ({ text: String(item.text || '').trim(), pinned: Boolean(item.pinned) }))
+      .filter((item) => item.text);
+    items.filter((item) => item.pinned).forEach((item) => pinnedKeys.add(normalizeMemoryItemKey(item.text)));
+    // Pinned items go first so the per-field cap keeps them.
+    raw[key] = [
+      ...items.filter((item) => item.pinned).map((item) => item.text),
+      ...items.filter((item) => !item.pinned).map((item) => item.text),
+    ];
+  }
+
+  const memoryProfile = rebalanceMemoryProfile(sanitizeMemoryProfile(raw));
+  const pinnedMemoryProfile = {};
+  for (const key of MEMORY_PROFILE_KEYS) {
+    pinnedMemoryProfile[key] = memoryProfile[key].filter((text) => pinnedKeys.has(normalizeMemoryItemKey(text)));
+  }
+
+  gemini.setMemory({
+    memoryProfile,
+    memorySummary: buildMemorySummary(memoryProfile),
+    pinnedMemoryProfile,
+  });
+  memoryEditorDraft = buildMemoryEditorDraft();
+  renderMemoryEditor();
+  updateMemoryItemCount();
+  showToast('메모리가 저장되었습니다 ✓');
+}
+
+function setupMemoryEditor() {
+  if (openMemoryEditorBtn) {
+    openMemoryEditorBtn.addEventListener('click', openMemoryEditor);
+  }
+
+  if (memoryClose) {
+    memoryClose.addEventListener('click', closeMemoryEditor);
   }
+
+  if (memorySaveBtn) {
+    memorySaveBtn.addEventListener('click', saveMemoryEditor);
+  }
+
+  if (!memoryEditorList) return;
+
+  memoryEditorList.addEventListener('input', (event) => {
+    const input = event.target;
+    if (!(input instanceof HTMLInputElement) || !memoryEditorDraft) return;
+    const row = input.closest('.memory-item-row');
+    const item = memoryEditorDraft[row?.dataset.memoryKey]?.[Number(row?.dataset.memoryIndex)];
+    if (item) item.text = input.value;
+  });
+
+  memoryEditorList.addEventListener('click', (event) => {
+    const target = event.target;
+    if (!(target instanceof HTMLElement) || !memoryEditorDraft) return;
+    const actionBtn = target.closest('[data-action]');
+    if (!(actionBtn instanceof HTMLElement)) return;
+
+    const action = actionBtn.dataset.action;
+    if (action === 'add') {
+      const key = actionBtn.dataset.memoryKey;
+      if (!memoryEditorDraft[key]) return;
+      memoryEditorDraft[key].push({ text: '', pinned: false });
+      renderMemoryEditor();
+      const inputs = memoryEditorList.querySelectorAll(`.memory-item-row[data-memory-key="${key}"] .memory-item-input`);
+      inputs[inputs.length - 1]?.focus();
+      return;
+    }
+
+    const row = actionBtn.closest('.memory-item-row');
+    const key = row?.dataset.memoryKey;
+    const index = Number(row?.dataset.memoryIndex);
+    const items = memoryEditorDraft[key];
+    if (!items || !items[index]) return;
+
+    if (action === 'pin') {
+      items[index].pinned = !items[index].pinned;
+    } else if (action === 'delete') {
+      items.splice(index, 1);
+    }
+    renderMemoryEditor();
+  });
 }
 
 function removeWelcomeMessage() {
@@ -2550,8 +4358,19 @@ function removeTypingIndicator(indicator) {
   if (indicator) indicator.remove();
 }
 
-function saveMessages() {
-  localStorage.setItem('chat_messages', JSON.stringify(messages));
+function saveMessage(message) {
+  putMessage(activeConversation.id, message)
+    .catch((error) => console.error('Failed to save message:', error));
+  syncConversationPreview();
+  scheduleProactiveContextSync();
+  scheduleSync();
+}
+
+function syncConversationPreview() {
+  const nextPreview = buildConversationPreview(messages);
+  if (nextPreview.preview !== activeConversation.preview || nextPreview.previewTime !== activeConversation.previewTime) {
+    activeConversation = updateConversation(activeConversation.id, nextPreview, { touch: true }) || activeConversation;
+  }
   renderConversationList();
 }
 
@@ -2559,28 +4378,116 @@ function generateMessageId() {
   return `${Date.now()}-${Math.random().toString(16).slice(2, 8)}`;
 }
 
-function ensureMessageIds() {
-  messages = messages.map((message) => {
-    if (message?.id) return message;
-    hasMessageIdChanges = true;
-    return { ...message, id: generateMessageId() };
-  });
+function createMessage(fields) {
+  return { id: generateMessageId(), seq: nextMessageSeq(), ...fields };
 }
 
-function loadSettings() {
-  const hasOption = Array.from(modelSelect.options).some((option) => option.value === gemini.model);
-  modelSelect.value = hasOption ? gemini.model : 'gemini-3-flash-preview';
+/**
+ * Newest page of a thread, or null when a newer load started while this one was in flight.
+ */
+async function readLatestMessagePage(conversationId) {
+  const loadId = ++messagePaging.loadId;
+  let page = { messages: [], hasMore: false };
+  try {
+    page = await loadMessagePage(conversationId);
+  } catch (error) {
+    console.error('Failed to load messages:', error);
+  }
+  return loadId === messagePaging.loadId ? page : null;
 }
 
-// ===========================
-// Event Listeners
-// ===========================
-function setupEventListeners() {
-  if (searchToggleBtn) {
-    searchToggleBtn.addEventListener('click', () => {
-      const currentlyVisible = chatSearchBar ? !chatSearchBar.hidden : chatSearchState.visible;
-      setChatSearchVisible(!currentlyVisible);
-    });
+function showMessagePage(page) {
+  messages = page.messages;
+  messagePaging.hasMore = page.hasMore;
+  messagePaging.loading = false;
+  gemini.loadHistory(messages);
+  renderMessages();
+  if (messages.length === 0) showWelcomeMessage();
+}
+
+async function loadActiveConversationMessages() {
+  const page = await readLatestMessagePage(activeConversation.id);
+  if (!page) return false;
+  showMessagePage(page);
+  return true;
+}
+
+async function loadOlderMessages() {
+  if (messagePaging.loading || !messagePaging.hasMore || messages.length === 0) return false;
+  const conversationId = activeConversation.id;
+  const loadId = messagePaging.loadId;
+  messagePaging.loading = true;
+
+  try {
+    const page = await loadMessagePage(conversationId, { beforeSeq: messages[0].seq });
+    if (loadId !== messagePaging.loadId) return false;
+    messagePaging.hasMore = page.hasMore;
+    if (page.messages.length === 0) return false;
+    messages = [...page.messages, ...messages];
+    prependMessageBubbles(page.messages);
+    return true;
+  } catch (error) {
+    console.warn('Failed to load older messages:', error);
+    return false;
+  } finally {
+    if (loadId === messagePaging.loadId) messagePaging.loading = false;
+  }
+}
+
+function loadSettings() {
+  const hasOption = Array.from(modelSelect.options).some((option) => option.value === gemini.model);
+  modelSelect.value = hasOption ? gemini.model : 'gemini-3-flash-preview';
+  if (apiKeyInput) {
+    apiKeyInput.value = gemini.apiKey;
+    apiKeyInput.type = 'password';
+  }
+  if (chatRouteSelect) {
+    chatRouteSelect.value = gemini.directChatFallback ? 'server-direct-fallback' : 'server';
+  }
+  if (replyModeSelect) {
+    replyModeSelect.value = gemini.replyMode;
+  }
+  renderNotificationScheduleForm();
+  renderSyncStatus();
+}
+
+// Uploaded avatars are stored in the thread (and synced), so photos are scaled down to icon size.
+const AVATAR_MAX_SIZE = 256;
+
+function readAvatarImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      const scale = Math.min(1, AVATAR_MAX_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+      canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+      const context = canvas.getContext('2d');
+      // JPEG has no transparency; fill it the way the avatar circle would look.
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL('image/jpeg', 0.85));
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Avatar image could not be read'));
+    };
+    image.src = url;
+  });
+}
+
+// ===========================
+// Event Listeners
+// ===========================
+function setupEventListeners() {
+  if (searchToggleBtn) {
+    searchToggleBtn.addEventListener('click', () => {
+      const currentlyVisible = chatSearchBar ? !chatSearchBar.hidden : chatSearchState.visible;
+      setChatSearchVisible(!currentlyVisible);
+    });
   }
 
   if (chatSearchInput) {
@@ -2610,6 +4517,24 @@ function setupEventListeners() {
 
   // Send button
   sendBtn.addEventListener('click', sendMessage);
+  if (stopBtn) stopBtn.addEventListener('click', cancelAiReplyStream);
+
+  // Lazy-load older history when scrolled near the top
+  chatMessages.addEventListener('scroll', () => {
+    if (chatMessages.scrollTop < 120) void loadOlderMessages();
+  }, { passive: true });
+
+  // Flush pending memory when the app goes to the background
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      void refreshLongTermMemory();
+      void syncProactiveContext();
+      void syncNow();
+    } else {
+      void pullProactiveInbox();
+      void syncNow();
+    }
+  });
 
   // Auto-resize textarea
   messageInput.addEventListener('input', () => {
@@ -2618,8 +4543,30 @@ function setupEventListeners() {
   });
 
   // Voice button
+  if (callModeBtn) {
+    callModeBtn.addEventListener('click', () => {
+      if (callState.active) endCallMode();
+      else startCallMode();
+    });
+  }
+
+  if (callEndBtn) {
+    callEndBtn.addEventListener('click', endCallMode);
+  }
+
+  document.addEventListener('visibilitychange', () => {
+    // The browser drops the wake lock (and often the recognizer) while the page is hidden.
+    if (document.visibilityState !== 'visible' || !callState.active) return;
+    void acquireCallWakeLock();
+    scheduleCallRecognizerRestart();
+  });
+
   if (voiceBtn) {
     voiceBtn.addEventListener('click', () => {
+      if (callState.active) {
+        showToast('통화 모드에서는 말하면 바로 전송됩니다.');
+        return;
+      }
       if (!recognition) {
         showToast('이 브라우저는 음성 인식을 지원하지 않습니다.');
         return;
@@ -2652,6 +4599,7 @@ function setupEventListeners() {
     settingsBtn.addEventListener('click', () => {
       settingsModal.classList.add('active');
       loadSettings();
+      void renderTtsCacheStatus();
     });
   }
 
@@ -2702,7 +4650,7 @@ function setupEventListeners() {
   });
 
   function saveProfile() {
-    const newName = aiNameInput.value.trim() || 'AI Assistant';
+    const newName = aiNameInput.value.trim() || DEFAULT_AI_NAME;
     const newPrompt = profileSystemPrompt.value.trim();
 
     // Get avatar: either DataURL from background-image or text content
@@ -2711,25 +4659,30 @@ function setupEventListeners() {
       newAvatar = profileAvatarLarge.style.backgroundImage.slice(5, -2); // Remove url("")
     }
 
-    localStorage.setItem('ai_name', newName);
-    localStorage.setItem('ai_avatar', newAvatar);
-    localStorage.setItem('gemini_tts_voice_preset', getSelectedTtsVoicePreset());
+    activeConversation = updateConversation(activeConversation.id, {
+      name: newName,
+      avatar: newAvatar,
+      ttsVoicePreset: getSelectedTtsVoicePreset(),
+    }) || activeConversation;
     gemini.setSystemPrompt(newPrompt);
 
     updateAIProfileUI();
+    renderConversationList();
     showToast('프로필 정보가 저장되었습니다 ✓');
   }
 
   if (testVoicePresetBtn) {
     testVoicePresetBtn.addEventListener('click', () => {
-      const profileName = (aiNameInput?.value || localStorage.getItem('ai_name') || 'AI Assistant').trim() || 'AI Assistant';
+      const profileName = (aiNameInput?.value || activeConversation.name).trim() || DEFAULT_AI_NAME;
       speakAiMessage(`Hi there! I'm ${profileName}. How are you?`, testVoicePresetBtn);
     });
   }
 
   if (voicePresetSelect) {
     voicePresetSelect.addEventListener('change', () => {
-      localStorage.setItem('gemini_tts_voice_preset', getSelectedTtsVoicePreset());
+      activeConversation = updateConversation(activeConversation.id, {
+        ttsVoicePreset: getSelectedTtsVoicePreset(),
+      }) || activeConversation;
       aiTtsCache.blobs.clear();
       aiTtsCache.inflight.clear();
       showToast('음성 프리셋이 저장되었습니다 ✓');
@@ -2755,12 +4708,15 @@ function setupEventListeners() {
     avatarInput.addEventListener('change', (e) => {
       const file = e.target.files[0];
       if (file) {
-        const reader = new FileReader();
-        reader.onload = (event) => {
-          profileAvatarLarge.style.backgroundImage = `url(${event.target.result})`;
-          profileAvatarLarge.textContent = '';
-        };
-        reader.readAsDataURL(file);
+        readAvatarImage(file)
+          .then((dataUrl) => {
+            profileAvatarLarge.style.backgroundImage = `url(${dataUrl})`;
+            profileAvatarLarge.textContent = '';
+          })
+          .catch((error) => {
+            console.warn('Failed to load avatar image:', error);
+            showToast('사진을 불러오지 못했습니다.');
+          });
       }
     });
   }
@@ -2769,17 +4725,37 @@ function setupEventListeners() {
   if (saveSettings) {
     saveSettings.addEventListener('click', () => {
       gemini.setModel(modelSelect.value);
+      if (apiKeyInput) {
+        gemini.setApiKey(apiKeyInput.value);
+      }
+      if (chatRouteSelect) {
+        gemini.setDirectChatFallback(chatRouteSelect.value === 'server-direct-fallback');
+      }
+      if (replyModeSelect) {
+        gemini.setReplyMode(replyModeSelect.value);
+      }
       updateStatus();
       settingsModal.classList.remove('active');
-      showToast('모델 설정이 저장되었습니다 ✓');
+      showToast(gemini.directChatFallback && !gemini.hasOwnApiKey
+        ? '직접 호출은 내 API 키를 입력해야 사용됩니다'
+        : '모델 설정이 저장되었습니다 ✓');
+    });
+  }
+
+  if (toggleApiKey && apiKeyInput) {
+    toggleApiKey.addEventListener('click', () => {
+      apiKeyInput.type = apiKeyInput.type === 'password' ? 'text' : 'password';
     });
   }
 
   // Clear chat
   clearChat.addEventListener('click', () => {
-    if (confirm('모든 대화 내역을 삭제하시겠습니까?')) {
+    if (confirm('이 대화의 모든 내역을 삭제하시겠습니까?')) {
       messages = [];
-      saveMessages();
+      messagePaging.hasMore = false;
+      deleteConversationMessages(activeConversation.id)
+        .catch((error) => console.error('Failed to clear messages:', error));
+      syncConversationPreview();
       gemini.clearHistory();
       renderMessages();
       showWelcomeMessage();
@@ -2811,6 +4787,66 @@ function setupEventListeners() {
     });
   }
 
+  if (dictionaryPageList) {
+    dictionaryPageList.addEventListener('click', (event) => {
+      const target = event.target;
+      if (!(target instanceof HTMLElement)) return;
+      if (target.closest('[data-action="start-review"]')) {
+        startDictionaryReview();
+        return;
+      }
+      if (target.closest('[data-action="export-dictionary"]')) {
+        void exportDictionary();
+        return;
+      }
+      if (target.closest('[data-action="import-dictionary"]')) {
+        dictionaryImportInput?.click();
+        return;
+      }
+      const sourceBtn = target.closest('.dictionary-entry-source');
+      if (!(sourceBtn instanceof HTMLElement)) return;
+      event.stopPropagation();
+      openDictionaryEntrySource(sourceBtn.dataset.sourceConversationId, sourceBtn.dataset.sourceSentAt);
+    });
+  }
+
+  if (dictionaryImportInput) {
+    dictionaryImportInput.addEventListener('change', async () => {
+      const [file] = dictionaryImportInput.files || [];
+      // Reset so choosing the same file again still fires a change.
+      dictionaryImportInput.value = '';
+      await importDictionaryFile(file);
+    });
+  }
+
+  if (dictionaryReviewBackBtn) {
+    dictionaryReviewBackBtn.addEventListener('click', () => {
+      closeDictionaryReviewPage();
+      openDictionaryPage();
+    });
+  }
+
+  if (dictionaryReviewMain) {
+    dictionaryReviewMain.addEventListener('click', (event) => {
+      const target = event.target;
+      if (!(target instanceof HTMLElement)) return;
+      const gradeBtn = target.closest('[data-review-grade]');
+      if (gradeBtn instanceof HTMLElement) {
+        gradeDictionaryReviewCard(gradeBtn.dataset.reviewGrade);
+        return;
+      }
+      const actionBtn = target.closest('[data-action]');
+      if (!(actionBtn instanceof HTMLElement)) return;
+      if (actionBtn.dataset.action === 'reveal') {
+        dictionaryReviewSession.revealed = true;
+        renderDictionaryReviewCard();
+      } else if (actionBtn.dataset.action === 'finish-review') {
+        closeDictionaryReviewPage();
+        openDictionaryPage();
+      }
+    });
+  }
+
   if (dictionaryCategoriesBtn) {
     dictionaryCategoriesBtn.addEventListener('click', async () => {
       if (dictionaryCategoryFilterId !== 'all') {
@@ -2852,14 +4888,69 @@ function setupEventListeners() {
     });
   }
 
+  if (saveNotificationSchedule) {
+    saveNotificationSchedule.addEventListener('click', () => {
+      void saveNotificationScheduleSettings();
+    });
+  }
+
+  if (accountLoginBtn) {
+    accountLoginBtn.addEventListener('click', () => {
+      void sendLoginLink();
+    });
+  }
+
+  if (accountEmailInput) {
+    accountEmailInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') void sendLoginLink();
+    });
+  }
+
+  if (accountLogoutBtn) {
+    accountLogoutBtn.addEventListener('click', () => {
+      void logoutAccount();
+    });
+  }
+
+  if (syncNowBtn) {
+    syncNowBtn.addEventListener('click', () => {
+      void syncNow({ manual: true });
+    });
+  }
+
+  if (clearTtsCacheBtn) {
+    clearTtsCacheBtn.addEventListener('click', () => {
+      void clearStoredTtsAudio();
+    });
+  }
+
+  if (exportBackupBtn) {
+    exportBackupBtn.addEventListener('click', () => {
+      void exportAppBackup();
+    });
+  }
+
+  if (restoreBackupBtn && restoreBackupInput) {
+    restoreBackupBtn.addEventListener('click', () => restoreBackupInput.click());
+    restoreBackupInput.addEventListener('change', async () => {
+      const [file] = restoreBackupInput.files || [];
+      restoreBackupInput.value = '';
+      await restoreAppBackup(file);
+    });
+  }
+
   // Test Push button
   if (testPushBtn) {
     testPushBtn.addEventListener('click', async () => {
       showToast('테스트 메시지를 요청 중...');
       try {
-        const response = await fetch('/api/cron?test=true');
+        // Signed-out test runs only reach this device's own subscription.
+        const endpoint = await getPushEndpoint();
+        const response = await apiFetch(`/api/cron?test=true&endpoint=${encodeURIComponent(endpoint)}`);
         const data = await response.json();
-        if (data.success) {
+        if (response.status === 400) {
+          showToast('서버에 등록된 기기가 없습니다. 알림을 다시 활성화해 주세요.');
+        } else if (data.success) {
           const subCount = data.totalSubscriptions || 0;
           if (subCount === 0) {
             showToast('서버에 등록된 기기가 없습니다. 알림을 다시 활성화해 주세요.');
@@ -2876,44 +4967,249 @@ function setupEventListeners() {
   }
 }
 
+// ===========================
+// Conversations
+// ===========================
+function resolveActiveConversation() {
+  const conversations = loadConversations();
+  const active = conversations.find((conversation) => conversation.id === getActiveConversationId());
+  if (active) return active;
+
+  const fallback = sortConversations(conversations)[0] || createConversation();
+  setActiveConversationId(fallback.id);
+  return fallback;
+}
+
+function renderConversationAvatar(avatar) {
+  const value = avatar || DEFAULT_AI_AVATAR;
+  // The image itself is set through element.style after render (applyConversationAvatarImages).
+  return value.startsWith('data:image')
+    ? '<div class="list-avatar list-avatar-image"></div>'
+    : `<div class="list-avatar">${escapeHtml(value)}</div>`;
+}
+
+function applyConversationAvatarImages(conversations) {
+  const avatars = new Map(conversations.map((conversation) => [conversation.id, conversation.avatar]));
+  conversationList.querySelectorAll('.conversation-row-wrap').forEach((row) => {
+    const image = row.querySelector('.list-avatar-image');
+    if (image) image.style.backgroundImage = `url("${avatars.get(row.dataset.conversationId)}")`;
+  });
+}
+
 function renderConversationList() {
   if (!conversationList) return;
 
-  const aiName = localStorage.getItem('ai_name') || 'AI Assistant';
-  const aiAvatar = localStorage.getItem('ai_avatar') || '✦';
-  const latest = messages[messages.length - 1] || null;
-
-  const preview = latest
-    ? (latest.text || '').replace(/\s+/g, ' ').slice(0, 80)
-    : '대화를 시작해보세요.';
-  const time = latest?.time || '';
-
-  const avatarHtml = aiAvatar.startsWith('data:image')
-    ? `<div class="list-avatar list-avatar-image" style="background-image:url('${aiAvatar}')"></div>`
-    : `<div class="list-avatar">${escapeHtml(aiAvatar)}</div>`;
-
-  conversationList.innerHTML = `
-    <button class="conversation-row" id="conversationRowMain" type="button">
-      ${avatarHtml}
-      <div class="conversation-content">
-        <div class="conversation-top">
-          <span class="conversation-name">${escapeHtml(aiName)}</span>
-          <span class="conversation-time">${escapeHtml(time)}</span>
+  const conversations = sortConversations(loadConversations());
+  conversationList.classList.toggle('editing', isConversationListEditing);
+
+  conversationList.innerHTML = conversations.map((conversation) => `
+    <div class="conversation-row-wrap ${conversation.pinned ? 'pinned' : ''}" data-conversation-id="${escapeHtml(conversation.id)}">
+      <button class="conversation-row ${conversation.id === activeConversation.id ? 'active' : ''}" type="button" data-conversation-action="open">
+        ${renderConversationAvatar(conversation.avatar)}
+        <div class="conversation-content">
+          <div class="conversation-top">
+            <span class="conversation-name">${conversation.pinned ? '<span class="conversation-pin-mark" aria-label="고정됨">📌</span>' : ''}${escapeHtml(conversation.name)}</span>
+            <span class="conversation-time">${escapeHtml(conversation.previewTime)}</span>
+          </div>
+          <div class="conversation-preview">${escapeHtml(conversation.preview || '대화를 시작해보세요.')}</div>
         </div>
-        <div class="conversation-preview">${escapeHtml(preview)}</div>
+        <span class="conversation-chevron">›</span>
+      </button>
+      ${isConversationListEditing ? `
+      <div class="conversation-actions">
+        <button class="conversation-action-btn" type="button" data-conversation-action="pin">${conversation.pinned ? '고정 해제' : '고정'}</button>
+        <button class="conversation-action-btn" type="button" data-conversation-action="rename">이름 변경</button>
+        <button class="conversation-action-btn danger" type="button" data-conversation-action="delete">삭제</button>
       </div>
-      <span class="conversation-chevron">›</span>
-    </button>
-  `;
+      ` : ''}
+    </div>
+  `).join('');
+  applyConversationAvatarImages(conversations);
+}
 
-  const row = document.getElementById('conversationRowMain');
-  if (row) {
-    row.addEventListener('click', () => closeConversationList());
+function setConversationListEditing(editing) {
+  isConversationListEditing = Boolean(editing);
+  if (listEditBtn) listEditBtn.textContent = isConversationListEditing ? '완료' : '편집';
+  renderConversationList();
+}
+
+async function switchConversation(conversationId) {
+  if (conversationId === activeConversation.id) return true;
+  if (isProcessing) {
+    showToast('답장을 받은 뒤에 대화를 바꿀 수 있습니다.');
+    return false;
+  }
+
+  if (!getConversation(conversationId)) return false;
+
+  stopAiSpeech();
+  // Read the messages first and swap the thread, its prompt and its history together, so
+  // nothing sent while the page loads goes to one thread with the other's context.
+  const page = await readLatestMessagePage(conversationId);
+  if (!page) return false;
+  if (isProcessing) {
+    showToast('답장을 받은 뒤에 대화를 바꿀 수 있습니다.');
+    return false;
   }
+  // Re-read: the thread may have been updated or deleted while the page loaded.
+  const next = getConversation(conversationId);
+  if (!next) return false;
+
+  setActiveConversationId(next.id);
+  activeConversation = next;
+  gemini.useConversation(next);
+  memoryRefreshState.pendingTurns = next.pendingMemoryTurns;
+
+  setChatSearchVisible(false);
+  updateAIProfileUI();
+  showMessagePage(page);
+  return true;
+}
+
+function promptConversationName(defaultValue = '') {
+  const input = window.prompt(`AI 친구 이름을 입력하세요 (최대 ${CONVERSATION_NAME_MAX_CHARS}자)`, defaultValue);
+  if (input === null) return null;
+  const name = input.trim();
+  if (!name) {
+    showToast('이름을 입력해주세요.');
+    return null;
+  }
+  if (name.length > CONVERSATION_NAME_MAX_CHARS) {
+    showToast(`이름은 ${CONVERSATION_NAME_MAX_CHARS}자 이하로 입력해주세요.`);
+    return null;
+  }
+  return name;
+}
+
+async function createNewConversation() {
+  if (isProcessing) {
+    showToast('답장을 받은 뒤에 대화를 바꿀 수 있습니다.');
+    return;
+  }
+  const name = promptConversationName(DEFAULT_AI_NAME);
+  if (!name) return;
+
+  const conversation = createConversation({ name });
+  await switchConversation(conversation.id);
+  setConversationListEditing(false);
+  closeConversationList();
+}
+
+function renameConversation(conversationId) {
+  const conversation = getConversation(conversationId);
+  if (!conversation) return;
+  const name = promptConversationName(conversation.name);
+  if (!name) return;
+
+  const updated = updateConversation(conversationId, { name });
+  if (updated && conversationId === activeConversation.id) {
+    activeConversation = updated;
+    updateAIProfileUI();
+  }
+  renderConversationList();
+}
+
+function toggleConversationPin(conversationId) {
+  const conversation = getConversation(conversationId);
+  if (!conversation) return;
+  const updated = updateConversation(conversationId, { pinned: !conversation.pinned });
+  if (updated && conversationId === activeConversation.id) activeConversation = updated;
+  renderConversationList();
+}
+
+async function removeConversation(conversationId) {
+  const conversation = getConversation(conversationId);
+  if (!conversation) return;
+  if (conversationId === activeConversation.id && isProcessing) {
+    showToast('답장을 받은 뒤에 삭제할 수 있습니다.');
+    return;
+  }
+  if (!confirm(`'${conversation.name}'와의 대화, 메모리와 설정을 모두 삭제하시겠습니까?`)) return;
+
+  deleteConversation(conversationId);
+  deleteConversationMessages(conversationId)
+    .catch((error) => console.error('Failed to delete messages:', error));
+  if (conversationId === activeConversation.id) {
+    // Always keep one thread around so the chat view has something to show.
+    const fallback = sortConversations(loadConversations())[0] || createConversation();
+    await switchConversation(fallback.id);
+  }
+  renderConversationList();
+  showToast('대화를 삭제했습니다');
+}
+
+/**
+ * Appends an AI message to any thread; only the active thread is re-rendered.
+ * Messages carrying a server id (proactive pings) are skipped if the thread already shows them.
+ */
+async function appendIncomingAiMessage(conversationId, text, time, { id, proactive = false } = {}) {
+  const aiMsg = createMessage({ role: 'ai', text, time });
+  if (id) aiMsg.id = id;
+  if (proactive) aiMsg.proactive = true;
+
+  // The push and the inbox pull can both deliver the same message.
+  if (id && seenIncomingMessageIds.has(id)) return;
+  if (id) seenIncomingMessageIds.add(id);
+  if (id && conversationId === activeConversation.id && findMessageById(id)) return;
+  if (id && conversationId !== activeConversation.id && getConversation(conversationId)) {
+    const { messages: recent } = await loadMessagePage(conversationId, { limit: PROACTIVE_CONTEXT_MESSAGES })
+      .catch(() => ({ messages: [] }));
+    if (recent.some((message) => message.id === id)) return;
+  }
+
+  if (conversationId === activeConversation.id) {
+    messages.push(aiMsg);
+    removeWelcomeMessage();
+    appendMessageBubble('ai', text, time, true, null, aiMsg.id);
+    gemini.addToHistory('model', text);
+    saveMessage(aiMsg);
+    scrollToBottom();
+    return;
+  }
+
+  if (!getConversation(conversationId)) return;
+  putMessage(conversationId, aiMsg)
+    .catch((error) => console.error('Failed to save message:', error));
+  updateConversation(conversationId, buildConversationPreview([aiMsg]), { touch: true });
+  renderConversationList();
+}
+
+function setupConversationList() {
+  if (listEditBtn) {
+    listEditBtn.addEventListener('click', () => setConversationListEditing(!isConversationListEditing));
+  }
+
+  if (newConversationBtn) {
+    newConversationBtn.addEventListener('click', () => createNewConversation());
+  }
+
+  if (!conversationList) return;
+  conversationList.addEventListener('click', (event) => {
+    const target = event.target;
+    if (!(target instanceof HTMLElement)) return;
+    const actionEl = target.closest('[data-conversation-action]');
+    const rowEl = target.closest('[data-conversation-id]');
+    if (!actionEl || !rowEl) return;
+
+    const conversationId = rowEl.dataset.conversationId;
+    const action = actionEl.dataset.conversationAction;
+    if (action === 'pin') {
+      toggleConversationPin(conversationId);
+    } else if (action === 'rename') {
+      renameConversation(conversationId);
+    } else if (action === 'delete') {
+      removeConversation(conversationId);
+    } else if (action === 'open') {
+      setConversationListEditing(false);
+      closeConversationList();
+      void switchConversation(conversationId);
+    }
+  });
 }
 
 function openConversationList() {
   renderConversationList();
+  updateDictionaryButtonBadge();
   closeDictionaryPage();
   closeDictionaryCategoryPage();
   if (conversationListView) conversationListView.classList.add('active');
@@ -2952,6 +5248,7 @@ function setupBackSwipeGesture() {
     if (dictionaryCategoryView?.classList.contains('active')) return true;
     if (settingsModal?.classList.contains('active')) return true;
     if (profileModal?.classList.contains('active')) return true;
+    if (memoryModal?.classList.contains('active')) return true;
     if (nativeSheetRefs?.overlay?.classList.contains('active')) return true;
     return false;
   };
@@ -3031,6 +5328,201 @@ function updateSendButton() {
   }
 }
 
+// ===========================
+// Account & Sync
+// ===========================
+/**
+ * Opens a login link the page was loaded from. Runs before anything else talks to the API.
+ */
+async function completePendingLogin() {
+  try {
+    const user = await completeLoginFromUrl();
+    if (user) showToast(`${user.email}(으)로 로그인했습니다`);
+  } catch (error) {
+    console.warn('Login link failed:', error);
+    showToast('로그인 링크가 만료되었거나 이미 사용되었습니다.');
+  }
+}
+
+async function sendLoginLink() {
+  const email = String(accountEmailInput?.value || '').trim();
+  if (!email) {
+    showToast('이메일 주소를 입력해주세요.');
+    return;
+  }
+  accountLoginBtn.disabled = true;
+  try {
+    await requestLoginLink(email);
+    showToast('로그인 링크를 보냈습니다. 메일함을 확인해주세요.');
+  } catch (error) {
+    showToast(error.status === 400 ? '이메일 주소가 올바르지 않습니다.' : '로그인 링크를 보내지 못했습니다.');
+  } finally {
+    accountLoginBtn.disabled = false;
+  }
+}
+
+async function logoutAccount() {
+  if (!confirm('로그아웃할까요? 데이터는 이 기기에 그대로 남습니다.')) return;
+  await logout();
+  showToast('로그아웃했습니다');
+}
+
+/**
+ * Login, logout and expired sessions all land here. Push is re-registered so the subscription
+ * and its proactive messages follow the account.
+ */
+function handleAuthChange(user) {
+  lastSyncedAt = '';
+  lastSyncError = '';
+  renderSyncStatus();
+  if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+    void subscribeUserToPush();
+  }
+  if (user) void syncNow();
+}
+
+function scheduleSync() {
+  if (!getCurrentUser()) return;
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => {
+    syncTimer = null;
+    void syncNow();
+  }, SYNC_DEBOUNCE_MS);
+}
+
+async function syncNow({ manual = false } = {}) {
+  if (!getCurrentUser()) return;
+  clearTimeout(syncTimer);
+  try {
+    const changed = await runSync();
+    lastSyncError = '';
+    lastSyncedAt = new Date().toISOString();
+    if (changed.length > 0) void refreshAfterRemoteSync(changed);
+    if (manual) showToast(changed.length > 0 ? '다른 기기의 변경 사항을 가져왔습니다' : '동기화 완료');
+  } catch (error) {
+    console.warn('Sync failed:', error);
+    lastSyncError = error.message || '알 수 없는 오류';
+    if (manual) showToast('동기화에 실패했습니다.');
+  }
+  renderSyncStatus();
+}
+
+/**
+ * Re-reads whatever another device changed. The open chat is reloaded only between replies.
+ */
+async function refreshAfterRemoteSync(changedCollections) {
+  const changed = new Set(changedCollections);
+  if (changed.has('dictionaryEntries') || changed.has('dictionaryCategories')) {
+    updateDictionaryButtonBadge();
+    if (dictionaryView?.classList.contains('active')) renderDictionaryPage();
+    if (dictionaryCategoryView?.classList.contains('active')) renderDictionaryCategoryManagerPage();
+  }
+  if (!changed.has('conversations') && !changed.has('messages')) return;
+
+  if (isProcessing) {
+    setTimeout(() => refreshAfterRemoteSync(changedCollections), 1500);
+    return;
+  }
+  // Same order as switchConversation: the thread and its messages are swapped together.
+  const conversationId = resolveActiveConversation().id;
+  const page = await readLatestMessagePage(conversationId);
+  if (!page) return;
+  if (isProcessing) {
+    setTimeout(() => refreshAfterRemoteSync(changedCollections), 1500);
+    return;
+  }
+  const next = resolveActiveConversation();
+  if (next.id !== conversationId) {
+    void refreshAfterRemoteSync(changedCollections);
+    return;
+  }
+  activeConversation = next;
+  gemini.useConversation(activeConversation);
+  memoryRefreshState.pendingTurns = activeConversation.pendingMemoryTurns;
+  updateAIProfileUI();
+  renderConversationList();
+  showMessagePage(page);
+}
+
+function renderSyncStatus() {
+  const user = getCurrentUser();
+  if (syncStatus) {
+    if (!user) {
+      syncStatus.textContent = '로그인하지 않음 · 이 기기에만 저장됩니다';
+    } else {
+      const state = lastSyncError
+        ? `동기화 오류: ${lastSyncError}`
+        : (lastSyncedAt ? `마지막 동기화 ${formatDictionaryTimestamp(lastSyncedAt)}` : '동기화 대기 중');
+      syncStatus.innerHTML = `
+        <div>${escapeHtml(user.email)}</div>
+        <div>${escapeHtml(state)}</div>
+      `;
+    }
+  }
+  if (accountLogin) accountLogin.hidden = Boolean(user);
+  if (accountLogoutBtn) accountLogoutBtn.hidden = !user;
+  if (syncNowBtn) syncNowBtn.hidden = !user;
+}
+
+// ===========================
+// Backup & Restore
+// ===========================
+async function exportAppBackup() {
+  try {
+    const backup = await createBackup();
+    const date = new Date().toISOString().slice(0, 10);
+    downloadTextFile(`ai-chat-backup-${date}.json`, JSON.stringify(backup), 'application/json');
+    showToast(`백업 완료: 대화 ${backup.conversations.length}개, 메시지 ${backup.messages.length}개`);
+  } catch (error) {
+    console.error('Backup failed:', error);
+    showToast('백업 파일을 만들지 못했습니다.');
+  }
+}
+
+function describeRestore(summary) {
+  const { incoming, current } = summary;
+  const when = summary.createdAt ? ` (${formatDictionaryTimestamp(summary.createdAt)})` : '';
+  if (summary.partial) {
+    return `사전만 들어 있는 파일입니다${when}.\n\n`
+      + `가져올 표현: ${incoming.dictionaryEntries}개\n`
+      + `현재 사전의 표현 ${current.dictionaryEntries}개가 덮어써집니다. 대화는 그대로 유지됩니다.\n\n복원하시겠습니까?`;
+  }
+  return `백업${when}을 복원합니다.\n\n`
+    + `가져올 내용: 대화 ${incoming.conversations}개, 메시지 ${incoming.messages}개, 사전 ${incoming.dictionaryEntries}개, 설정 ${incoming.settings}개\n`
+    + `덮어써질 내용: 대화 ${current.conversations}개, 메시지 ${current.messages}개, 사전 ${current.dictionaryEntries}개\n\n`
+    + '현재 기기의 데이터는 되돌릴 수 없습니다. 복원하시겠습니까?';
+}
+
+async function restoreAppBackup(file) {
+  if (!file) return;
+  if (isProcessing) {
+    showToast('답장을 받은 뒤에 복원할 수 있습니다.');
+    return;
+  }
+
+  let backup;
+  try {
+    backup = parseBackup(await file.text());
+  } catch (error) {
+    showToast(error.message);
+    return;
+  }
+
+  const summary = await summarizeRestore(backup);
+  if (!confirm(describeRestore(summary))) return;
+
+  try {
+    await restoreBackup(backup);
+  } catch (error) {
+    console.error('Restore failed:', error);
+    showToast('복원에 실패했습니다. 기존 데이터는 유지됩니다.');
+    return;
+  }
+  showToast('복원 완료! 앱을 다시 불러옵니다.');
+  // Every module reads its state at startup, so a reload is the simplest consistent restart.
+  setTimeout(() => window.location.reload(), 800);
+}
+
 // Push Notifications
 // ===========================
 async function requestNotificationPermission(manual = false) {
@@ -3069,6 +5561,166 @@ async function requestNotificationPermission(manual = false) {
   }
 }
 
+function loadNotificationSchedule() {
+  try {
+    const stored = JSON.parse(localStorage.getItem('notification_schedule') || 'null');
+    if (stored) return sanitizeNotificationSchedule(stored);
+  } catch (_) {
+    // Fall through to the defaults below.
+  }
+  // First run: same hours as before, in the device's own time zone.
+  const deviceTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return sanitizeNotificationSchedule({ ...DEFAULT_NOTIFICATION_SCHEDULE, timeZone: deviceTimeZone });
+}
+
+function renderNotificationScheduleForm() {
+  const schedule = loadNotificationSchedule();
+
+  if (notificationTimeZone) {
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    if (!zones.includes(schedule.timeZone)) zones.unshift(schedule.timeZone);
+    notificationTimeZone.innerHTML = zones
+      .map((zone) => `<option value="${escapeHtml(zone)}">${escapeHtml(zone)}</option>`)
+      .join('');
+    notificationTimeZone.value = schedule.timeZone;
+  }
+  if (notificationQuietStart) notificationQuietStart.value = schedule.quietStart;
+  if (notificationQuietEnd) notificationQuietEnd.value = schedule.quietEnd;
+  if (notificationPerDay) {
+    notificationPerDay.innerHTML = Array.from({ length: NOTIFICATION_MAX_PER_DAY + 1 }, (_, count) => (
+      `<option value="${count}">${count === 0 ? '보내지 않음' : `${count}회`}</option>`
+    )).join('');
+    notificationPerDay.value = String(schedule.perDay);
+  }
+  if (notificationDays) {
+    notificationDays.querySelectorAll('input[type="checkbox"]').forEach((input) => {
+      input.checked = schedule.days.includes(Number(input.value));
+    });
+  }
+}
+
+function readNotificationScheduleForm() {
+  const days = notificationDays
+    ? [...notificationDays.querySelectorAll('input[type="checkbox"]:checked')].map((input) => Number(input.value))
+    : DEFAULT_NOTIFICATION_SCHEDULE.days;
+  return sanitizeNotificationSchedule({
+    timeZone: notificationTimeZone?.value,
+    quietStart: notificationQuietStart?.value,
+    quietEnd: notificationQuietEnd?.value,
+    perDay: notificationPerDay?.value,
+    days,
+  });
+}
+
+async function saveNotificationScheduleSettings() {
+  const schedule = readNotificationScheduleForm();
+  localStorage.setItem('notification_schedule', JSON.stringify(schedule));
+  renderNotificationScheduleForm();
+
+  // The schedule lives on the server-side subscription record, so re-register to apply it.
+  if ('Notification' in window && Notification.permission === 'granted') {
+    if (await subscribeUserToPush()) showToast('알림 일정이 저장되었습니다');
+  } else {
+    showToast('알림 일정이 저장되었습니다. 알림을 활성화하면 적용됩니다.');
+  }
+}
+
+async function getPushEndpoint() {
+  if (!('serviceWorker' in navigator) || !('PushManager' in window)) return '';
+  if (!('Notification' in window) || Notification.permission !== 'granted') return '';
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    const subscription = await registration.pushManager.getSubscription();
+    return subscription?.endpoint || '';
+  } catch (_) {
+    return '';
+  }
+}
+
+function scheduleProactiveContextSync() {
+  clearTimeout(proactiveContextSyncTimer);
+  proactiveContextSyncTimer = setTimeout(() => {
+    proactiveContextSyncTimer = null;
+    void syncProactiveContext();
+  }, PROACTIVE_CONTEXT_SYNC_DELAY_MS);
+}
+
+/**
+ * Sends the active thread's persona, memory and recent turns so cron can write a
+ * proactive message that continues this conversation.
+ */
+async function syncProactiveContext() {
+  const endpoint = await getPushEndpoint();
+  if (!endpoint) return;
+
+  const lastUserMessage = [...messages].reverse().find((message) => message.role === 'user');
+  const context = {
+    conversationId: activeConversation.id,
+    aiName: activeConversation.name,
+    systemPrompt: gemini.systemPrompt,
+    personaProfile: gemini.personaProfile,
+    memoryProfile: gemini.memoryProfile,
+    memorySummary: gemini.memorySummary,
+    recentMessages: messages
+      .filter((message) => message.role === 'user' || message.role === 'ai')
+      .slice(-PROACTIVE_CONTEXT_MESSAGES)
+      .map((message) => ({ role: message.role, text: message.text, proactive: Boolean(message.proactive) })),
+    lastUserMessageAt: lastUserMessage?.sentAt || '',
+  };
+
+  try {
+    await apiFetch('/api/proactive', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ endpoint, context }),
+      keepalive: true,
+    });
+  } catch (error) {
+    console.warn('Failed to sync proactive context:', error);
+  }
+}
+
+/**
+ * Moves proactive messages written by cron into their conversations, then acknowledges them.
+ */
+async function pullProactiveInbox() {
+  const endpoint = await getPushEndpoint();
+  if (!endpoint) return;
+
+  try {
+    const response = await apiFetch(`/api/proactive?endpoint=${encodeURIComponent(endpoint)}`);
+    if (!response.ok) return;
+    const data = await response.json();
+    const inbox = Array.isArray(data.messages) ? data.messages : [];
+    if (inbox.length === 0) return;
+
+    for (const item of inbox) {
+      const conversationId = getConversation(item.conversationId) ? item.conversationId : activeConversation.id;
+      await appendIncomingAiMessage(conversationId, item.text, formatTime(new Date(item.createdAt)), {
+        id: item.id,
+        proactive: true,
+      });
+    }
+    await ackProactiveMessages(inbox.map((item) => item.id), endpoint);
+  } catch (error) {
+    console.warn('Failed to pull proactive messages:', error);
+  }
+}
+
+async function ackProactiveMessages(ids, endpoint = '') {
+  const target = endpoint || await getPushEndpoint();
+  if (!target || ids.length === 0) return;
+  try {
+    await apiFetch('/api/proactive', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ endpoint: target, ack: ids }),
+    });
+  } catch (error) {
+    console.warn('Failed to acknowledge proactive messages:', error);
+  }
+}
+
 async function subscribeUserToPush() {
   try {
     const registration = await navigator.serviceWorker.ready;
@@ -3081,7 +5733,7 @@ async function subscribeUserToPush() {
       if (!VAPID_PUBLIC_KEY) {
         console.error('VAPID Public Key missing (VITE_VAPID_PUBLIC_KEY). Please check Vercel Env Vars.');
         showToast('서버 설정(VAPID Key)이 누락되었습니다.');
-        return;
+        return false;
       }
 
       subscription = await registration.pushManager.subscribe({
@@ -3091,18 +5743,21 @@ async function subscribeUserToPush() {
     }
 
     // Always send/sync subscription to server
-    const response = await fetch('/api/push', {
+    const response = await apiFetch('/api/push', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(subscription)
+      body: JSON.stringify({ subscription, schedule: loadNotificationSchedule() })
     });
 
     if (!response.ok) throw new Error('Failed to register subscription on server');
 
     console.log('Successfully subscribed to Web Push');
+    void syncProactiveContext();
+    return true;
   } catch (error) {
     console.error('Failed to subscribe to Web Push:', error);
     showToast('알림 등록에 실패했습니다.');
+    return false;
   }
 }
 
@@ -0,0 +1,223 @@
+// Chat message store (IndexedDB)
+// One record per message, keyed by message id and ordered within a conversation by `seq`.
+import { markPendingChanges } from './changeStamps.js';
+
+const DB_NAME = 'ai-chat';
+const DB_VERSION = 1;
+const MESSAGE_STORE = 'messages';
+const CONVERSATION_SEQ_INDEX = 'conversationSeq';
+const LEGACY_MESSAGES_KEY = 'chat_messages';
+const LEGACY_MESSAGES_OWNER_KEY = 'chat_messages_owner';
+const LEGACY_MESSAGES_KEY_PREFIX = 'chat_messages:';
+
+export const MESSAGE_PAGE_SIZE = 50;
+
+let dbPromise = null;
+let lastSeq = 0;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(MESSAGE_STORE)) {
+      const store = db.createObjectStore(MESSAGE_STORE, { keyPath: 'id' });
+      store.createIndex(CONVERSATION_SEQ_INDEX, ['conversationId', 'seq']);
+    }
+  };
+  dbPromise = requestToPromise(request);
+  // Allow a later call to retry after a failed open (e.g. blocked upgrade).
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+function conversationRange(conversationId, beforeSeq = Infinity) {
+  return IDBKeyRange.bound([conversationId, -Infinity], [conversationId, beforeSeq], false, true);
+}
+
+/**
+ * Monotonic ordering key for new messages; migrated history uses small integers and always sorts first.
+ */
+export function nextMessageSeq() {
+  lastSeq = Math.max(Date.now(), lastSeq + 1);
+  return lastSeq;
+}
+
+/**
+ * Loads the newest `limit` messages older than `beforeSeq`, oldest first.
+ */
+export async function loadMessagePage(conversationId, { beforeSeq = Infinity, limit = MESSAGE_PAGE_SIZE } = {}) {
+  const db = await openDatabase();
+  const tx = db.transaction(MESSAGE_STORE, 'readonly');
+  const index = tx.objectStore(MESSAGE_STORE).index(CONVERSATION_SEQ_INDEX);
+  const page = [];
+
+  await new Promise((resolve, reject) => {
+    const request = index.openCursor(conversationRange(conversationId, beforeSeq), 'prev');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      // Read one extra record so we know whether an older page exists.
+      if (!cursor || page.length > limit) {
+        resolve();
+        return;
+      }
+      page.push(cursor.value);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  const hasMore = page.length > limit;
+  return {
+    messages: page.slice(0, limit).reverse(),
+    hasMore,
+  };
+}
+
+export async function putMessage(conversationId, message) {
+  const db = await openDatabase();
+  const now = Date.now();
+  markPendingChanges('messages', [message.id], now);
+  const tx = db.transaction(MESSAGE_STORE, 'readwrite');
+  tx.objectStore(MESSAGE_STORE).put({ ...message, conversationId, modifiedAt: new Date(now).toISOString() });
+  await transactionDone(tx);
+}
+
+export async function deleteConversationMessages(conversationId) {
+  const db = await openDatabase();
+  const tx = db.transaction(MESSAGE_STORE, 'readwrite');
+  const store = tx.objectStore(MESSAGE_STORE);
+  const request = store.index(CONVERSATION_SEQ_INDEX).openKeyCursor(conversationRange(conversationId));
+  const deletedIds = [];
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) {
+      // Marked before the deletes commit; if they fail, sync re-sends the surviving records.
+      markPendingChanges('messages', deletedIds);
+      return;
+    }
+    store.delete(cursor.primaryKey);
+    deletedIds.push(cursor.primaryKey);
+    cursor.continue();
+  };
+  await transactionDone(tx);
+}
+
+/**
+ * Every stored message across all conversations (backup export, first sync).
+ */
+export async function loadAllMessages() {
+  const db = await openDatabase();
+  const tx = db.transaction(MESSAGE_STORE, 'readonly');
+  return requestToPromise(tx.objectStore(MESSAGE_STORE).getAll());
+}
+
+/**
+ * Clears the store and writes `records` in a single transaction, so a failed restore keeps the old history.
+ */
+export async function replaceAllMessages(records) {
+  const db = await openDatabase();
+  const tx = db.transaction(MESSAGE_STORE, 'readwrite');
+  const store = tx.objectStore(MESSAGE_STORE);
+  store.clear();
+  records.forEach((record) => store.put({ ...record, seq: Number(record.seq) }));
+  await transactionDone(tx);
+}
+
+/**
+ * The stored messages among `ids`, skipping ids that are gone.
+ */
+export async function loadMessagesByIds(ids) {
+  const db = await openDatabase();
+  const store = db.transaction(MESSAGE_STORE, 'readonly').objectStore(MESSAGE_STORE);
+  const records = await Promise.all(ids.map((id) => requestToPromise(store.get(id))));
+  return records.filter(Boolean);
+}
+
+/**
+ * Writes and deletes records from another device in one transaction.
+ */
+export async function applyMessageChanges(records, deleteIds = []) {
+  const db = await openDatabase();
+  const tx = db.transaction(MESSAGE_STORE, 'readwrite');
+  const store = tx.objectStore(MESSAGE_STORE);
+  records.forEach((record) => store.put(record));
+  deleteIds.forEach((id) => store.delete(id));
+  await transactionDone(tx);
+}
+
+/**
+ * Marks the pre-thread `chat_messages` array as belonging to a conversation until it is migrated.
+ */
+export function setLegacyMessagesOwner(conversationId) {
+  if (localStorage.getItem(LEGACY_MESSAGES_KEY) === null) return;
+  localStorage.setItem(LEGACY_MESSAGES_OWNER_KEY, conversationId);
+}
+
+function readLegacyMessages(key) {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(key) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * One-time move of localStorage histories into IndexedDB.
+ * Each key is only removed after its records are committed, so a failed run is retried next launch.
+ */
+export async function migrateLocalStorageMessages(conversationIds, generateId) {
+  const sources = conversationIds
+    .map((conversationId) => ({ key: `${LEGACY_MESSAGES_KEY_PREFIX}${conversationId}`, conversationId }))
+    .filter((source) => localStorage.getItem(source.key) !== null);
+  const legacyOwner = localStorage.getItem(LEGACY_MESSAGES_OWNER_KEY);
+  if (legacyOwner && localStorage.getItem(LEGACY_MESSAGES_KEY) !== null) {
+    sources.push({ key: LEGACY_MESSAGES_KEY, conversationId: legacyOwner });
+  }
+  if (sources.length === 0) return 0;
+
+  const db = await openDatabase();
+  let migrated = 0;
+  for (const { key, conversationId } of sources) {
+    const records = readLegacyMessages(key)
+      .filter((message) => message && typeof message === 'object')
+      .map((message, index) => ({
+        ...message,
+        id: message.id || generateId(),
+        conversationId,
+        seq: index,
+      }));
+
+    const tx = db.transaction(MESSAGE_STORE, 'readwrite');
+    const store = tx.objectStore(MESSAGE_STORE);
+    records.forEach((record) => store.put(record));
+    await transactionDone(tx);
+
+    localStorage.removeItem(key);
+    if (key === LEGACY_MESSAGES_KEY) localStorage.removeItem(LEGACY_MESSAGES_OWNER_KEY);
+    migrated += records.length;
+  }
+  return migrated;
+}
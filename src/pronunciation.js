@@ -0,0 +1,211 @@
+// Pronunciation scoring
+// Lines up what speech recognition heard with the sentence the learner meant to read, word by
+// word, and keeps a short history of scores on the dictionary entry or message practiced.
+
+const HISTORY_LIMIT = 10;
+const TARGETS_PER_RECORD_LIMIT = 12;
+// Later recognition alternatives are the recognizer's second guesses; matching one of them
+// means the word was ambiguous, so it scores a little lower than a clean first guess.
+const ALTERNATIVE_PENALTY = 0.9;
+const EXTRA_WORD_PENALTY = 0.5;
+
+const CONTRACTIONS = {
+  "i'm": 'i am',
+  "you're": 'you are',
+  "we're": 'we are',
+  "they're": 'they are',
+  "it's": 'it is',
+  "that's": 'that is',
+  "what's": 'what is',
+  "there's": 'there is',
+  "he's": 'he is',
+  "she's": 'she is',
+  "let's": 'let us',
+  "i've": 'i have',
+  "you've": 'you have',
+  "we've": 'we have',
+  "i'll": 'i will',
+  "you'll": 'you will',
+  "we'll": 'we will',
+  "i'd": 'i would',
+  "don't": 'do not',
+  "doesn't": 'does not',
+  "didn't": 'did not',
+  "isn't": 'is not',
+  "aren't": 'are not',
+  "wasn't": 'was not',
+  "weren't": 'were not',
+  "can't": 'cannot',
+  "won't": 'will not',
+  "wouldn't": 'would not',
+  "couldn't": 'could not',
+  "shouldn't": 'should not',
+  "haven't": 'have not',
+  gonna: 'going to',
+  wanna: 'want to',
+};
+
+const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen', 'twenty'];
+
+/**
+ * Comparable tokens for one written word: lowercase, no punctuation, contractions and small
+ * numbers spelled out, so "I'm 5" and "I am five" read the same.
+ */
+function tokenizeWord(word) {
+  const cleaned = String(word || '')
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .replace(/[^a-z0-9'\s-]/g, ' ')
+    .replace(/-/g, ' ')
+    .trim();
+  return cleaned
+    .split(/\s+/)
+    .map((token) => token.replace(/^'+|'+$/g, ''))
+    .filter(Boolean)
+    .flatMap((token) => {
+      if (CONTRACTIONS[token]) return CONTRACTIONS[token].split(' ');
+      if (/^\d+$/.test(token) && NUMBER_WORDS[Number(token)]) return [NUMBER_WORDS[Number(token)]];
+      return [token];
+    });
+}
+
+function tokenizeText(text) {
+  return String(text || '').split(/\s+/).flatMap(tokenizeWord);
+}
+
+/**
+ * Key under which progress for `target` is stored; the same sentence with different
+ * punctuation or casing shares its history.
+ */
+export function getPronunciationKey(target) {
+  return tokenizeText(target).join(' ');
+}
+
+// Edit-distance alignment; returns one op per target token plus the extra heard tokens.
+function alignTokens(expected, heard) {
+  const rows = expected.length + 1;
+  const cols = heard.length + 1;
+  const cost = Array.from({ length: rows }, () => new Array(cols).fill(0));
+  for (let i = 0; i < rows; i += 1) cost[i][0] = i;
+  for (let j = 0; j < cols; j += 1) cost[0][j] = j;
+  for (let i = 1; i < rows; i += 1) {
+    for (let j = 1; j < cols; j += 1) {
+      const same = expected[i - 1] === heard[j - 1] ? 0 : 1;
+      cost[i][j] = Math.min(cost[i - 1][j - 1] + same, cost[i - 1][j] + 1, cost[i][j - 1] + 1);
+    }
+  }
+
+  const ops = [];
+  const extra = [];
+  let i = expected.length;
+  let j = heard.length;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && cost[i][j] === cost[i - 1][j - 1] + (expected[i - 1] === heard[j - 1] ? 0 : 1)) {
+      ops.unshift({ status: expected[i - 1] === heard[j - 1] ? 'correct' : 'substituted', heard: heard[j - 1] });
+      i -= 1;
+      j -= 1;
+    } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+      ops.unshift({ status: 'missed', heard: '' });
+      i -= 1;
+    } else {
+      extra.unshift(heard[j - 1]);
+      j -= 1;
+    }
+  }
+  return { ops, extra };
+}
+
+function evaluateAlternative(targetWords, alternative, index) {
+  const tokensPerWord = targetWords.map(tokenizeWord);
+  const expected = tokensPerWord.flat();
+  const heard = tokenizeText(alternative.transcript);
+  const { ops, extra } = alignTokens(expected, heard);
+
+  let cursor = 0;
+  const words = targetWords.map((word, wordIndex) => {
+    const wordOps = ops.slice(cursor, cursor + tokensPerWord[wordIndex].length);
+    cursor += tokensPerWord[wordIndex].length;
+    let status = 'correct';
+    if (wordOps.length && wordOps.every((op) => op.status === 'missed')) status = 'missed';
+    else if (wordOps.some((op) => op.status !== 'correct')) status = 'substituted';
+    return { word, status, heard: wordOps.map((op) => op.heard).filter(Boolean).join(' ') };
+  });
+
+  const correctTokens = ops.filter((op) => op.status === 'correct').length;
+  const accuracy = expected.length
+    ? Math.max(0, (correctTokens - extra.length * EXTRA_WORD_PENALTY) / expected.length)
+    : 0;
+  const confidence = Number(alternative.confidence) || 0;
+  // Some browsers report 0 when they have no confidence estimate; treat that as neutral.
+  const confidenceFactor = confidence > 0 ? 0.75 + 0.25 * Math.min(1, confidence) : 1;
+  const alternativeFactor = index === 0 ? 1 : ALTERNATIVE_PENALTY;
+
+  return {
+    score: Math.round(100 * accuracy * confidenceFactor * alternativeFactor),
+    accuracy,
+    transcript: String(alternative.transcript || '').trim(),
+    confidence,
+    words,
+    extra,
+  };
+}
+
+/**
+ * Scores one reading of `target`. `alternatives` are `{ transcript, confidence }` from
+ * SpeechRecognition, best guess first; the one that lines up best with `target` is used.
+ */
+export function scorePronunciation(target, alternatives) {
+  const targetWords = String(target || '').split(/\s+/).filter((word) => tokenizeWord(word).length);
+  const candidates = (Array.isArray(alternatives) ? alternatives : [])
+    .filter((alternative) => String(alternative?.transcript || '').trim());
+  if (!targetWords.length || !candidates.length) {
+    return {
+      score: 0,
+      accuracy: 0,
+      transcript: '',
+      confidence: 0,
+      words: targetWords.map((word) => ({ word, status: 'missed', heard: '' })),
+      extra: [],
+    };
+  }
+
+  // The closest reading decides the word feedback; confidence and rank only discount its score,
+  // so a penalized exact match still beats a sloppier first guess. Ties go to the earlier guess.
+  return candidates
+    .map((alternative, index) => evaluateAlternative(targetWords, alternative, index))
+    .reduce((best, result) => (result.accuracy > best.accuracy ? result : best));
+}
+
+/**
+ * Progress for one target after another attempt: the latest scores (newest last), best score
+ * and number of attempts.
+ */
+export function addPronunciationAttempt(progress, result, now = new Date()) {
+  const attempts = Array.isArray(progress?.attempts) ? progress.attempts : [];
+  const nextAttempts = [...attempts, { score: result.score, at: now.toISOString() }].slice(-HISTORY_LIMIT);
+  return {
+    attempts: nextAttempts,
+    bestScore: Math.max(Number(progress?.bestScore) || 0, result.score),
+    lastScore: result.score,
+    count: (Number(progress?.count) || attempts.length) + 1,
+  };
+}
+
+/**
+ * Records an attempt on a dictionary entry or message. Its `pronunciation` field maps
+ * pronunciation keys to progress; the least recently practiced targets are dropped first.
+ */
+export function recordPronunciationAttempt(record, target, result, now = new Date()) {
+  const key = getPronunciationKey(target);
+  const existing = record?.pronunciation && typeof record.pronunciation === 'object' ? record.pronunciation : {};
+  const updated = { ...existing, [key]: addPronunciationAttempt(existing[key], result, now) };
+  const keys = Object.keys(updated)
+    .sort((a, b) => String(updated[b].attempts?.at(-1)?.at || '').localeCompare(String(updated[a].attempts?.at(-1)?.at || '')))
+    .slice(0, TARGETS_PER_RECORD_LIMIT);
+  return { ...record, pronunciation: Object.fromEntries(keys.map((item) => [item, updated[item]])) };
+}
+
+export function getPronunciationProgress(record, target) {
+  return record?.pronunciation?.[getPronunciationKey(target)] || null;
+}
@@ -0,0 +1,96 @@
+// Browser half of the response cache (IndexedDB)
+// Keeps answers from /api/translate, /api/grammar-feedback and /api/native-alternatives so the
+// same sentence is answered without a request, even after a reload.
+import { getResponseCacheMaterial, isCacheableResponse } from '../api/_response_cache.js';
+
+const DB_NAME = 'ai-chat-response-cache';
+const DB_VERSION = 1;
+const RESPONSE_STORE = 'responses';
+const EXPIRES_INDEX = 'expiresAt';
+const RESPONSE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+let prunedThisSession = false;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(RESPONSE_STORE)) {
+      const store = db.createObjectStore(RESPONSE_STORE, { keyPath: 'key' });
+      store.createIndex(EXPIRES_INDEX, 'expiresAt');
+    }
+  };
+  dbPromise = requestToPromise(request);
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+async function hashMaterial(material) {
+  if (!globalThis.crypto?.subtle) return material;
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(material));
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function getCacheKey(route, params) {
+  const material = getResponseCacheMaterial(route, params);
+  return material ? `${route}:${await hashMaterial(material)}` : '';
+}
+
+async function pruneExpired(db) {
+  const tx = db.transaction(RESPONSE_STORE, 'readwrite');
+  const request = tx.objectStore(RESPONSE_STORE).index(EXPIRES_INDEX).openCursor(IDBKeyRange.upperBound(Date.now()));
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    cursor.delete();
+    cursor.continue();
+  };
+}
+
+/**
+ * Resolves with the cached answer for this request, or null. Cache trouble is never an error.
+ */
+export async function getCachedResponse(route, params) {
+  try {
+    const key = await getCacheKey(route, params);
+    if (!key) return null;
+    const db = await openDatabase();
+    const record = await requestToPromise(db.transaction(RESPONSE_STORE, 'readonly').objectStore(RESPONSE_STORE).get(key));
+    return record && record.expiresAt > Date.now() ? record.payload : null;
+  } catch (error) {
+    console.warn('Response cache read failed:', error);
+    return null;
+  }
+}
+
+export async function setCachedResponse(route, params, payload) {
+  if (!isCacheableResponse(route, payload)) return;
+  try {
+    const key = await getCacheKey(route, params);
+    if (!key) return;
+    const db = await openDatabase();
+    const tx = db.transaction(RESPONSE_STORE, 'readwrite');
+    tx.objectStore(RESPONSE_STORE).put({ key, payload, expiresAt: Date.now() + RESPONSE_TTL_MS });
+    if (!prunedThisSession) {
+      prunedThisSession = true;
+      void pruneExpired(db);
+    }
+  } catch (error) {
+    console.warn('Response cache write failed:', error);
+  }
+}
@@ -0,0 +1,13 @@
+// Sentence splitting shared by per-sentence feedback and per-sentence audio
+
+/**
+ * Splits text after ., ! or ? and at line breaks. Empty pieces are dropped.
+ */
+export function splitIntoSentences(text) {
+  const value = String(text || '').trim();
+  if (!value) return [];
+  return value
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+}
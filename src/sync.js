@@ -0,0 +1,242 @@
+// Cross-device sync engine
+// Local stores stay the source of truth. Local writes mark the ids they touch as pending
+// (changeStamps.js); each run pushes those records (ids that are gone as tombstones), clears the
+// marks the server settled and applies what other devices pushed. The first run for an account
+// marks every local record, so everything on the device is offered to it once.
+// Restoring a backup is one write at restore time (backup.js): restored records carry the restore
+// time and records it removed are deleted as of it, so the restore wins on every device.
+// Data is synced into the signed-in account; without a session nothing leaves the device.
+import { SYNC_BATCH_SIZE, SYNC_COLLECTIONS } from '../api/_sync.js';
+import { apiFetch, getCurrentUser, readApiError } from './auth.js';
+import {
+  clearPendingChanges,
+  isTrackingPendingChanges,
+  loadPendingChanges,
+  markPendingChanges,
+  startPendingChanges,
+} from './changeStamps.js';
+import { applySyncedConversations, loadConversations } from './conversations.js';
+import { applyMessageChanges, loadAllMessages, loadMessagesByIds } from './messageStore.js';
+
+const SYNC_STATE_KEY = 'sync_state';
+const SYNC_STATE_VERSION = 2;
+const LEGACY_DELETIONS_KEY = 'sync_deletions';
+const DICTIONARY_ENTRIES_KEY = 'native_dictionary_entries';
+const DICTIONARY_CATEGORIES_KEY = 'native_dictionary_categories';
+
+let runningSync = null;
+let syncQueued = false;
+
+function readJsonArray(key) {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(key) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function pickByIds(records, ids) {
+  const wanted = new Set(ids);
+  return records.filter((record) => wanted.has(record?.id));
+}
+
+function createArrayAdapter(key) {
+  return {
+    loadAll: async () => readJsonArray(key).filter((record) => record?.id),
+    load: async (ids) => pickByIds(readJsonArray(key), ids),
+    // Written directly rather than through the dictionary's save path, which would mark them again.
+    apply: async (puts, deleteIds) => {
+      const removed = new Set(deleteIds);
+      const byId = new Map(puts.map((record) => [record.id, record]));
+      const next = readJsonArray(key)
+        .filter((record) => !removed.has(record?.id))
+        .map((record) => {
+          const replacement = byId.get(record?.id);
+          if (replacement) byId.delete(record.id);
+          return replacement || record;
+        });
+      localStorage.setItem(key, JSON.stringify([...next, ...byId.values()]));
+    },
+  };
+}
+
+const COLLECTION_ADAPTERS = {
+  conversations: {
+    loadAll: async () => loadConversations(),
+    load: async (ids) => pickByIds(loadConversations(), ids),
+    apply: async (puts, deleteIds) => applySyncedConversations(puts, deleteIds),
+  },
+  messages: {
+    loadAll: () => loadAllMessages(),
+    load: (ids) => loadMessagesByIds(ids),
+    apply: (puts, deleteIds) => applyMessageChanges(puts, deleteIds),
+  },
+  dictionaryEntries: createArrayAdapter(DICTIONARY_ENTRIES_KEY),
+  dictionaryCategories: createArrayAdapter(DICTIONARY_CATEGORIES_KEY),
+};
+
+function timestampHint(record) {
+  return Date.parse(record?.modifiedAt || '')
+    || Date.parse(record?.updatedAt || '')
+    || Date.parse(record?.createdAt || '')
+    || Date.now();
+}
+
+/**
+ * Sync state belongs to one account. Signing in to another one (or upgrading from the state
+ * that kept a hash per record) starts over: cursors are reset so everything already in the
+ * account is pulled, and every local record is marked so it is offered to it.
+ */
+async function loadSyncState(userId) {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(SYNC_STATE_KEY) || 'null');
+    if (parsed?.version === SYNC_STATE_VERSION && parsed.userId === userId && isTrackingPendingChanges()) {
+      return { version: SYNC_STATE_VERSION, userId, cursors: parsed.cursors || {} };
+    }
+  } catch (_) {
+    // Start over.
+  }
+
+  startPendingChanges();
+  localStorage.removeItem(LEGACY_DELETIONS_KEY);
+  for (const collection of SYNC_COLLECTIONS) {
+    const records = await COLLECTION_ADAPTERS[collection].loadAll();
+    markPendingChanges(collection, records.map((record) => record.id));
+  }
+  const state = { version: SYNC_STATE_VERSION, userId, cursors: {} };
+  saveSyncState(state);
+  return state;
+}
+
+function saveSyncState(state) {
+  localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(state));
+}
+
+function getSyncUserId() {
+  return getCurrentUser()?.id || '';
+}
+
+async function collectLocalChanges(skipped) {
+  const marks = {};
+  const changes = {};
+  let hasMore = false;
+
+  for (const collection of SYNC_COLLECTIONS) {
+    const pending = loadPendingChanges(collection);
+    const ids = Object.keys(pending).filter((id) => !skipped[collection].has(id));
+    if (ids.length > SYNC_BATCH_SIZE) hasMore = true;
+    const batch = ids.slice(0, SYNC_BATCH_SIZE);
+    const records = new Map((await COLLECTION_ADAPTERS[collection].load(batch)).map((record) => [record.id, record]));
+
+    marks[collection] = {};
+    changes[collection] = batch.map((id) => {
+      marks[collection][id] = pending[id];
+      const record = records.get(id);
+      // Records carry the time they were written (`modifiedAt`), so an edit made offline does
+      // not beat a later one from another device just because it synced last.
+      if (record) return { id, updatedAt: timestampHint(record), data: record };
+      return { id, updatedAt: pending[id], deleted: true };
+    });
+  }
+  return { marks, changes, hasMore };
+}
+
+async function applyRemoteChanges(sent, remote, dropped) {
+  const changedCollections = [];
+
+  for (const collection of SYNC_COLLECTIONS) {
+    const adapter = COLLECTION_ADAPTERS[collection];
+    // What the server stored or answered with a newer version is now in sync, unless it was
+    // written again while the request was in flight. Dropped records stay pending.
+    const droppedIds = new Set(dropped[collection] || []);
+    const settled = Object.fromEntries(Object.entries(sent.marks[collection]).filter(([id]) => !droppedIds.has(id)));
+    clearPendingChanges(collection, settled);
+
+    // Ids still pending were written here after what the server has; they are pushed next and
+    // the server keeps whichever write is newer.
+    const pending = loadPendingChanges(collection);
+    const incoming = (remote[collection] || []).filter((record) => pending[record.id] === undefined);
+    const local = new Map((await adapter.load(incoming.map((record) => record.id))).map((record) => [record.id, record]));
+
+    const puts = [];
+    const deleteIds = [];
+    incoming.forEach((record) => {
+      const current = local.get(record.id);
+      if (record.deleted) {
+        if (current) deleteIds.push(record.id);
+        return;
+      }
+      const next = { ...record.data, id: record.id };
+      if (!current || JSON.stringify(current) !== JSON.stringify(next)) puts.push(next);
+    });
+
+    if (puts.length > 0 || deleteIds.length > 0) {
+      await adapter.apply(puts, deleteIds);
+      changedCollections.push(collection);
+    }
+  }
+  return changedCollections;
+}
+
+async function syncOnce() {
+  const changedCollections = new Set();
+  // Records the server refused are not offered again in this run; the next run retries them.
+  const skipped = Object.fromEntries(SYNC_COLLECTIONS.map((collection) => [collection, new Set()]));
+  let hasMore = true;
+
+  while (hasMore) {
+    const userId = getSyncUserId();
+    if (!userId) break;
+    const state = await loadSyncState(userId);
+    const sent = await collectLocalChanges(skipped);
+
+    const response = await apiFetch('/api/sync', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ cursors: state.cursors, changes: sent.changes }),
+    });
+    if (!response.ok) throw await readApiError(response);
+    const data = await response.json();
+    // The account changed while this request was running; drop the result.
+    if (getSyncUserId() !== userId) break;
+
+    const dropped = data.dropped || {};
+    SYNC_COLLECTIONS.forEach((collection) => {
+      if (!dropped[collection]?.length) return;
+      console.warn(`Sync skipped ${dropped[collection].length} ${collection} record(s) the server did not accept:`, dropped[collection]);
+      dropped[collection].forEach((id) => skipped[collection].add(id));
+    });
+    (await applyRemoteChanges(sent, data.changes || {}, dropped)).forEach((collection) => changedCollections.add(collection));
+    state.cursors = data.cursors || state.cursors;
+    saveSyncState(state);
+    hasMore = Boolean(data.hasMore || sent.hasMore);
+  }
+  return [...changedCollections];
+}
+
+/**
+ * Runs one full sync. Calls made while a sync is running are folded into one follow-up run.
+ * Resolves with the collections that received changes from other devices.
+ */
+export function runSync() {
+  if (!getSyncUserId()) return Promise.resolve([]);
+  if (runningSync) {
+    syncQueued = true;
+    return runningSync;
+  }
+
+  runningSync = (async () => {
+    const changed = new Set();
+    try {
+      do {
+        syncQueued = false;
+        (await syncOnce()).forEach((collection) => changed.add(collection));
+      } while (syncQueued);
+    } finally {
+      runningSync = null;
+    }
+    return [...changed];
+  })();
+  return runningSync;
+}
@@ -0,0 +1,155 @@
+// Persistent cache of synthesized speech
+// Audio lives in Cache Storage under `/tts-cache/<hash>` so the service worker can serve it
+// offline; IndexedDB keeps size and last use per entry so the oldest audio is evicted first
+// once the cache grows past its budget.
+
+// Keep in sync with TTS_CACHE_NAME in public/sw.js, which serves and preserves this cache.
+const TTS_CACHE_NAME = 'ai-chat-tts-v1';
+const TTS_URL_PREFIX = '/tts-cache/';
+const DB_NAME = 'ai-chat-tts-cache';
+const DB_VERSION = 1;
+const ENTRY_STORE = 'entries';
+const LAST_USED_INDEX = 'lastUsedAt';
+const MAX_CACHE_BYTES = 40 * 1024 * 1024;
+const MAX_CACHE_ENTRIES = 400;
+
+let dbPromise = null;
+
+function isSupported() {
+  return typeof caches !== 'undefined' && typeof indexedDB !== 'undefined' && Boolean(globalThis.crypto?.subtle);
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(ENTRY_STORE)) {
+      const store = db.createObjectStore(ENTRY_STORE, { keyPath: 'url' });
+      store.createIndex(LAST_USED_INDEX, 'lastUsedAt');
+    }
+  };
+  dbPromise = requestToPromise(request);
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+async function getAudioUrl(cacheKey) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(cacheKey));
+  const hash = [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+  return `${TTS_URL_PREFIX}${hash}`;
+}
+
+async function touchEntry(db, url, size) {
+  const tx = db.transaction(ENTRY_STORE, 'readwrite');
+  tx.objectStore(ENTRY_STORE).put({ url, size, lastUsedAt: Date.now() });
+  await transactionDone(tx);
+}
+
+/**
+ * Drops least recently used audio until the cache fits both the byte and the entry budget.
+ */
+async function evictOverflow(db, cache) {
+  const entries = await requestToPromise(
+    db.transaction(ENTRY_STORE, 'readonly').objectStore(ENTRY_STORE).index(LAST_USED_INDEX).getAll(),
+  );
+  let totalBytes = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+  let count = entries.length;
+  const evicted = [];
+  for (const entry of entries) {
+    if (totalBytes <= MAX_CACHE_BYTES && count <= MAX_CACHE_ENTRIES) break;
+    evicted.push(entry.url);
+    totalBytes -= entry.size || 0;
+    count -= 1;
+  }
+  if (!evicted.length) return;
+
+  const tx = db.transaction(ENTRY_STORE, 'readwrite');
+  evicted.forEach((url) => tx.objectStore(ENTRY_STORE).delete(url));
+  await transactionDone(tx);
+  await Promise.all(evicted.map((url) => cache.delete(url)));
+}
+
+/**
+ * Resolves with the stored audio for `cacheKey` (see buildTtsCacheKey), or null. Cache trouble
+ * is never an error; the caller just synthesizes again.
+ */
+export async function readTtsAudio(cacheKey) {
+  if (!cacheKey || !isSupported()) return null;
+  try {
+    const url = await getAudioUrl(cacheKey);
+    const cache = await caches.open(TTS_CACHE_NAME);
+    const response = await cache.match(url);
+    if (!response) return null;
+    const blob = await response.blob();
+    await touchEntry(await openDatabase(), url, blob.size);
+    return blob;
+  } catch (error) {
+    console.warn('TTS cache read failed:', error);
+    return null;
+  }
+}
+
+export async function storeTtsAudio(cacheKey, blob) {
+  if (!cacheKey || !blob || !isSupported()) return;
+  try {
+    const url = await getAudioUrl(cacheKey);
+    const cache = await caches.open(TTS_CACHE_NAME);
+    await cache.put(url, new Response(blob, {
+      headers: {
+        'Content-Type': blob.type || 'audio/wav',
+        'Content-Length': String(blob.size),
+      },
+    }));
+    const db = await openDatabase();
+    await touchEntry(db, url, blob.size);
+    await evictOverflow(db, cache);
+  } catch (error) {
+    console.warn('TTS cache write failed:', error);
+  }
+}
+
+/**
+ * Resolves with `{ entries, bytes }` for the settings screen.
+ */
+export async function getTtsCacheUsage() {
+  if (!isSupported()) return { entries: 0, bytes: 0 };
+  try {
+    const db = await openDatabase();
+    const entries = await requestToPromise(db.transaction(ENTRY_STORE, 'readonly').objectStore(ENTRY_STORE).getAll());
+    return {
+      entries: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + (entry.size || 0), 0),
+    };
+  } catch (error) {
+    console.warn('TTS cache usage read failed:', error);
+    return { entries: 0, bytes: 0 };
+  }
+}
+
+export async function clearTtsCache() {
+  if (!isSupported()) return;
+  await caches.delete(TTS_CACHE_NAME);
+  const db = await openDatabase();
+  const tx = db.transaction(ENTRY_STORE, 'readwrite');
+  tx.objectStore(ENTRY_STORE).clear();
+  await transactionDone(tx);
+}
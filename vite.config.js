@@ -0,0 +1,10 @@
+import { defineConfig, loadEnv } from 'vite';
+
+export default defineConfig(({ mode }) => {
+  // The Gemini key is server-only; a VITE_ copy would be one import away from the bundle.
+  const env = loadEnv(mode, process.cwd(), 'VITE_');
+  if (mode === 'production' && env.VITE_GEMINI_API_KEY) {
+    console.warn('\n[warn] VITE_GEMINI_API_KEY is set. Remove it and keep the key in GEMINI_API_KEY on the server.\n');
+  }
+  return {};
+});